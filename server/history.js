@@ -0,0 +1,122 @@
+// server/history.js
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+/**
+ * The list view of a record: enough to find it again without loading its data points.
+ */
+const summarize = (record) => ({
+    id: record.id,
+    createdAt: record.createdAt,
+    algoName: record.algoName,
+    inputMode: record.inputMode,
+    measure: record.measure,
+    inputSizes: record.inputSizes,
+    bigO: record.bigO
+});
+
+/**
+ * What a search matches against: the name, the verdict and the code.
+ */
+const searchTextOf = (record) => [
+    record.algoName,
+    record.bigO,
+    record.code,
+    ...(record.implementations || []).flatMap(impl => [impl.name, impl.code])
+].filter(Boolean).join('\n').toLowerCase();
+
+/**
+ * Creates a store of past analyses, kept as one JSON file per record in `directory`.
+ * An index of every record's summary and search text is read into memory once, so listing and
+ * searching never touch the disk; fetching a record reads its file. Files are written to a temporary
+ * name first and then renamed, so a crash never leaves a half-written record behind.
+ * @param {object} options
+ * @param {string} options.directory Where the records live; created on the first save.
+ * @returns {{save: Function, list: Function, get: Function, remove: Function}}
+ */
+function createHistoryStore({ directory }) {
+    const index = new Map();
+    const fileOf = (id) => path.join(directory, `${id}.json`);
+
+    const load = async () => {
+        let names;
+        try {
+            names = await fs.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        for (const name of names.filter(n => n.endsWith('.json'))) {
+            try {
+                const record = JSON.parse(await fs.readFile(path.join(directory, name), 'utf8'));
+                index.set(record.id, { summary: summarize(record), searchText: searchTextOf(record) });
+            } catch (error) {
+                console.error(`Skipping unreadable history record ${name}:`, error.message);
+            }
+        }
+    };
+    // A history that can't be read is left empty rather than keeping the server from starting.
+    const loaded = load().catch(error => console.error('Could not read the analysis history:', error.message));
+
+    return {
+        /**
+         * Stores an analysis and returns its record.
+         * @param {object} entry The request fields (algoName, code or implementations, inputMode,
+         *   inputSizes, mSizes, budgetMs, params, measure, caseAnalysis), the verdict to list it
+         *   under (`bigO`) and the `result` body.
+         * @returns {Promise<object>} The stored record, with its `id` and `createdAt`.
+         */
+        async save(entry) {
+            await loaded;
+            const record = {
+                id: randomUUID(),
+                createdAt: new Date().toISOString(),
+                ...entry
+            };
+            await fs.mkdir(directory, { recursive: true });
+            const temporary = `${fileOf(record.id)}.tmp`;
+            await fs.writeFile(temporary, JSON.stringify(record));
+            await fs.rename(temporary, fileOf(record.id));
+            index.set(record.id, { summary: summarize(record), searchText: searchTextOf(record) });
+            return record;
+        },
+
+        /**
+         * Lists record summaries, newest first.
+         * @param {object} [options]
+         * @param {string} [options.query] Only records whose name, Big O or code contains this, ignoring case.
+         * @param {number} [options.limit] At most this many (default 50).
+         * @returns {Promise<Array<object>>}
+         */
+        async list({ query = '', limit = 50 } = {}) {
+            await loaded;
+            const needle = query.toLowerCase();
+            return [...index.values()]
+                .filter(({ searchText }) => searchText.includes(needle))
+                .map(({ summary }) => summary)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit);
+        },
+
+        /** Returns a full record, or null if there is no such record. */
+        async get(id) {
+            await loaded;
+            if (!index.has(id)) return null;
+            return JSON.parse(await fs.readFile(fileOf(id), 'utf8'));
+        },
+
+        /** Deletes a record. Returns false if there was no such record. */
+        async remove(id) {
+            await loaded;
+            if (!index.has(id)) return false;
+            await fs.rm(fileOf(id), { force: true });
+            index.delete(id);
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createHistoryStore,
+};
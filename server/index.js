@@ -1,14 +1,38 @@
 
-const v8 = require('v8');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { VM } = require('vm2');
 const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
-const { runAnalysis, determineComplexity } = require('../src/calculator');
+const {
+    MEASURES,
+    summarizeCalibration,
+    runComparison,
+    runGridAnalysis,
+    determineComplexity,
+    determineGridComplexity,
+    evaluateModel
+} = require('../src/calculator');
+const { DISTRIBUTION_NAMES } = require('../src/utils/distributions');
+const { analyzeStatically, agreesWithEmpirical } = require('../src/staticAnalysis');
+const { measureComplexity } = require('../src/analyze');
+const { metricLabels, seriesColor } = require('../src/utils/chartStyle');
+const { SandboxError, InvalidOptionsError, InsufficientDataError } = require('../src/errors');
+const { EXPORT_FORMATS, renderReport, reportFileName } = require('../src/report');
+const { listProblems, starterCode } = require('../src/problems');
+const { gradeSolution } = require('../src/grading');
+const { FINAL_STATUSES, createJobQueue } = require('./jobs');
+const { createHistoryStore } = require('./history');
+const { validateAnalysisRequest } = require('./requests');
 
 const app = express();
 const port = 3001;
 
+// How many input sizes each fitted model's curve is sampled at.
+const CURVE_POINTS = 60;
+
+// Where finished analyses are kept, one JSON file each.
+const HISTORY_DIR = path.join(__dirname, 'data', 'history');
+
 app.use(cors({ origin: 'http://localhost:3000' }));
 app.use(express.json());
 
@@ -21,130 +45,568 @@ const chartJSNodeCanvas = new ChartJSNodeCanvas({
     }
 });
 
-
-
-app.post('/api/analyze', (req, res) => {
-    const { code, algoName, inputMode, inputSizes } = req.body;
-
-    console.log('Received payload:', req.body);
-
-    if (!code || typeof code !== 'string' ||
-        !algoName || typeof algoName !== 'string' ||
-        !inputMode || (inputMode !== 'array' && inputMode !== 'number') ||
-        !inputSizes || !Array.isArray(inputSizes) || inputSizes.length === 0 || !inputSizes.every(n => typeof n === 'number')) {
-        return res.status(400).json({ error: 'Invalid input' });
-    }
-
-        if (inputMode === 'array') {
-        const maxInputSize = Math.max(...inputSizes);
-        const heapStats = v8.getHeapStatistics();
-        const availableMemory = heapStats.heap_size_limit - heapStats.used_heap_size;
-        
-        // Estimate memory needed: 8 bytes per number, plus a 20% safety margin.
-        const requiredMemory = maxInputSize * 8 * 1.2;
-
-        if (requiredMemory > availableMemory) {
-            const maxAllowed = Math.floor((availableMemory / (8 * 1.2)) / 1000) * 1000;
-            return res.status(400).json({ 
-                error: `Input size is too large for available server memory. Please try a max size of around ${maxAllowed.toLocaleString()}.`
-            });
-        }
+// Paints the dark surface color behind every chart.
+const canvasBackgroundPlugin = {
+    id: 'customCanvasBackgroundColor',
+    beforeDraw: (chart, args, options) => {
+        const { ctx } = chart;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = options.color || '#1e1e1e';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+    },
+    options: {
+        color: '#1e1e1e'
     }
+};
 
-    try {
-        const dataPoints = runAnalysis(code, inputSizes, 10, inputMode);
-
-        if (dataPoints.length === 0) {
-            return res.status(400).json({ error: 'Analysis produced no data points. Input sizes might be too small.' });
-        }
-
-        const { bestFit, confidence, results } = determineComplexity(dataPoints);
-        const bigO = bestFit;
-        const bestModelResult = results.find(r => r.type === bigO);
-        const rmse = bestModelResult ? bestModelResult.rmse : 0;
-
-        const executionTimes = dataPoints.map(p => p.time);
-
-        const configuration = {
-            type: 'line',
-            data: {
-                datasets: [{
-                    label: 'Execution Time (ms)',
-                    data: dataPoints.map(p => ({ x: p.n, y: p.time })),
-                    borderColor: 'rgb(177, 98, 134)',
-                    backgroundColor: 'rgba(177, 98, 134, 0.5)',
-                    tension: 0.1
-                }]
+/**
+ * Builds the dark-themed Chart.js configuration for one or more series.
+ * @param {Array<{label: string, dataPoints: Array<{n: number, time?: number, operations?: number, memory?: number}>}>} series
+ * @param {string} bigO The detected complexity, shown in the title.
+ * @param {string} metric Which measurement to plot: 'time' (default), 'operations' or 'memory'.
+ */
+function buildChartConfiguration(series, bigO, metric = 'time') {
+    return {
+        type: 'line',
+        data: {
+            datasets: series.map((entry, i) => ({
+                label: entry.label,
+                data: entry.dataPoints.map(p => ({ x: p.n, y: p[metric] })),
+                borderColor: seriesColor(i),
+                backgroundColor: seriesColor(i, 0.5),
+                tension: 0.1
+            }))
+        },
+        options: {
+            plugins: {
+                title: {
+                    display: true,
+                    text: `${metricLabels[metric].title} - Detected: ${bigO}`,
+                    padding: {
+                        top: 10,
+                        bottom: 30
+                    }
+                },
+                legend: {
+                    labels: {
+                        color: 'white'
+                    }
+                }
             },
-            options: {
-                plugins: {
+            scales: {
+                x: {
+                    type: 'logarithmic',
                     title: {
                         display: true,
-                        text: `Big O Complexity Analysis - Detected: ${bigO}`,
-                        padding: {
-                            top: 10,
-                            bottom: 30
-                        }
+                        text: 'Input Size (n)'
                     },
-                    legend: {
-                        labels: {
-                            color: 'white'
-                        }
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.1)'
                     }
                 },
-                scales: {
-                    x: {
-                        type: 'logarithmic',
-                        title: {
-                            display: true,
-                            text: 'Input Size (n)'
-                        },
-                        grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
-                        }
+                y: {
+                    title: {
+                        display: true,
+                        text: metricLabels[metric].axis
                     },
-                    y: {
-                        title: {
-                            display: true,
-                            text: 'Time (ms)'
-                        },
-                        grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
-                        }
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.1)'
                     }
-                },
-                layout: {
-                    padding: 20
                 }
             },
-            plugins: [{
-                id: 'customCanvasBackgroundColor',
-                beforeDraw: (chart, args, options) => {
-                    const { ctx } = chart;
-                    ctx.save();
-                    ctx.globalCompositeOperation = 'destination-over';
-                    ctx.fillStyle = options.color || '#1e1e1e';
-                    ctx.fillRect(0, 0, chart.width, chart.height);
-                    ctx.restore();
+            layout: {
+                padding: 20
+            }
+        },
+        plugins: [canvasBackgroundPlugin]
+    };
+}
+
+/**
+ * Builds a heatmap of a two-variable grid sweep: one square cell per (n, m) pair,
+ * colored from cool (fast) to warm (slow) on a log scale, with the measurement printed inside.
+ * @param {Array<{n: number, m: number, time?: number, operations?: number}>} dataPoints
+ * @param {Array<number>} nSizes Sizes along the x-axis.
+ * @param {Array<number>} mSizes Sizes along the y-axis.
+ * @param {string} bigO The detected complexity, shown in the title.
+ * @param {string} metric Which measurement to plot: 'time' (default) or 'operations'.
+ */
+function buildHeatmapConfiguration(dataPoints, nSizes, mSizes, bigO, metric = 'time') {
+    const logTimes = dataPoints.map(p => Math.log10(Math.max(p[metric], 1e-6)));
+    const minLog = Math.min(...logTimes);
+    const span = (Math.max(...logTimes) - minLog) || 1;
+    const cellColor = (time) => {
+        const t = (Math.log10(Math.max(time, 1e-6)) - minLog) / span;
+        return `hsl(${Math.round(260 - t * 220)}, 70%, ${Math.round(35 + t * 20)}%)`;
+    };
+    const cellRadius = (context) => {
+        const { chartArea } = context.chart;
+        if (!chartArea) return 10;
+        return Math.min(chartArea.width / nSizes.length, chartArea.height / mSizes.length) / 2 - 2;
+    };
+    const indexAxis = (sizes, label) => ({
+        type: 'linear',
+        min: -0.5,
+        max: sizes.length - 0.5,
+        title: { display: true, text: label },
+        ticks: { stepSize: 1, callback: (value) => sizes[value] },
+        grid: { color: 'rgba(255, 255, 255, 0.1)' }
+    });
+
+    const cellLabelsPlugin = {
+        id: 'cellLabels',
+        afterDatasetsDraw: (chart) => {
+            const { ctx } = chart;
+            const meta = chart.getDatasetMeta(0);
+            ctx.save();
+            ctx.fillStyle = 'white';
+            ctx.font = '11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            meta.data.forEach((element, i) => {
+                ctx.fillText(dataPoints[i][metric].toPrecision(3), element.x, element.y);
+            });
+            ctx.restore();
+        }
+    };
+
+    return {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                label: metricLabels[metric].series,
+                data: dataPoints.map(p => ({ x: nSizes.indexOf(p.n), y: mSizes.indexOf(p.m) })),
+                pointStyle: 'rect',
+                pointRadius: cellRadius,
+                pointHoverRadius: cellRadius,
+                backgroundColor: dataPoints.map(p => cellColor(p[metric])),
+                borderColor: dataPoints.map(p => cellColor(p[metric]))
+            }]
+        },
+        options: {
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Two-Variable Complexity Analysis - Detected: ${bigO}`,
+                    padding: {
+                        top: 10,
+                        bottom: 30
+                    }
                 },
-                options: {
-                    color: '#1e1e1e'
+                legend: {
+                    display: false
                 }
-            }]
+            },
+            scales: {
+                x: indexAxis(nSizes, 'Input Size (n)'),
+                y: indexAxis(mSizes, 'Input Size (m)')
+            },
+            layout: {
+                padding: 20
+            }
+        },
+        plugins: [canvasBackgroundPlugin, cellLabelsPlugin]
+    };
+}
+
+/**
+ * Samples a fitted model from determineComplexity across the measured range of n, so a client can
+ * draw it over the data points. Sizes are spaced evenly on a log scale when every n is positive.
+ * @param {{type: string, coefficients: Array<number>}} model
+ * @param {Array<{n: number}>} dataPoints The points the model was fitted to.
+ * @returns {Array<{n: number, value: number}>}
+ */
+function sampleCurve(model, dataPoints) {
+    const nValues = dataPoints.map(p => p.n);
+    const min = Math.min(...nValues);
+    const max = Math.max(...nValues);
+    const logScale = min > 0;
+    const [from, to] = logScale ? [Math.log(min), Math.log(max)] : [min, max];
+    return Array.from({ length: CURVE_POINTS }, (_, i) => {
+        const position = from + (to - from) * i / (CURVE_POINTS - 1);
+        const n = logScale ? Math.exp(position) : position;
+        return { n, value: evaluateModel(model.type, model.coefficients, n) };
+    });
+}
+
+/**
+ * Maps a failed analysis to its HTTP status and body. Sandbox failures are the user's code hitting
+ * a limit or throwing, so they get a 422 with the reason ('timeout', 'out-of-memory' or 'error');
+ * a request the analysis can't serve (invalid options, or too few sizes measured, such as a budget
+ * that fits only one) gets a 400, and anything else is a 500.
+ * @param {Error} error
+ * @returns {{status: number, body: {error: string, reason?: string}}}
+ */
+function describeAnalysisError(error) {
+    if (error instanceof SandboxError) {
+        return { status: 422, body: { error: error.message, reason: error.reason } };
+    }
+    if (error instanceof InvalidOptionsError || error instanceof InsufficientDataError) {
+        return { status: 400, body: { error: error.message } };
+    }
+    return { status: 500, body: { error: error.message } };
+}
+
+/**
+ * Sends a failed analysis (see describeAnalysisError).
+ */
+function sendAnalysisError(res, error) {
+    console.error('Analysis error:', error);
+    const { status, body } = describeAnalysisError(error);
+    res.status(status).json(body);
+}
+
+/**
+ * Renders a chart configuration to a base64 PNG.
+ * @throws {Error} 'Error generating graph' if rendering fails.
+ */
+async function renderChart(configuration) {
+    try {
+        const imageBuffer = await chartJSNodeCanvas.renderToBuffer(configuration);
+        return imageBuffer.toString('base64');
+    } catch (err) {
+        console.error('Error generating graph:', err);
+        throw new Error('Error generating graph');
+    }
+}
+
+/**
+ * Runs a validated comparison request and builds its response body, shaped like performAnalysis's
+ * with the per-implementation results under `comparison`: each one's complexity, models (with
+ * curves) and data points, the speed-up over the baseline (the first implementation) at each size,
+ * and the crossover between every pair.
+ * @param {object} request From validateAnalysisRequest, with `isComparison` set.
+ * @param {object} [options] As in performAnalysis.
+ * @returns {Promise<object>}
+ * @throws {SandboxError|CancelledError|Error} See describeAnalysisError.
+ */
+async function performComparison(request, options = {}) {
+    const { implementations, inputMode, inputSizes, paramSpecs, measure, includePng } = request;
+    const { onProgress, signal } = options;
+
+    const result = await runComparison(implementations, inputSizes, 10, inputMode, paramSpecs, { measure, onProgress, signal });
+    const series = result.implementations.map(({ name, dataPoints }) => ({ label: name, dataPoints }));
+    const comparison = {
+        baseline: result.baseline,
+        implementations: result.implementations.map(({ name, dataPoints, complexity }) => {
+            const bestModelResult = complexity.results.find(r => r.type === complexity.bestFit);
+            return {
+                name,
+                bigO: complexity.bestFit,
+                confidence: complexity.confidence,
+                rmse: bestModelResult ? bestModelResult.rmse : 0,
+                exponent: complexity.exponent,
+                models: complexity.results.map(model => ({ ...model, curve: sampleCurve(model, dataPoints) })),
+                dataPoints
+            };
+        }),
+        speedups: result.speedups,
+        crossovers: result.crossovers
+    };
+
+    const verdicts = comparison.implementations.map(impl => `${impl.name} ${impl.bigO}`).join(', ');
+    const graphBase64 = includePng ? await renderChart(buildChartConfiguration(series, verdicts, measure)) : null;
+    return {
+        bigO: null, confidence: null, rmse: null, exponent: null, models: null, measure, dataPoints: null, series,
+        cases: null, grid: null, adaptive: null, comparison, graphBase64, space: null, spaceGraphBase64: null, staticAnalysis: null,
+        calibration: null
+    };
+}
+
+/**
+ * Runs a validated analysis request and builds the response body: the fitted complexity, the data
+ * points, every model's coefficients (and, for one variable, its curve over the measured range),
+ * and whatever the request's mode adds (cases, grid or adaptive sizes). The PNG charts, a grid's
+ * heatmap included, are only rendered when the request sets `includePng`; the web frontend draws
+ * its own from the data points.
+ * @param {object} request From validateAnalysisRequest.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] Passed to the calculator; called as each size completes.
+ * @param {AbortSignal} [options.signal] Cancels the analysis.
+ * @returns {Promise<object>}
+ * @throws {SandboxError|InsufficientDataError|CancelledError|Error} See describeAnalysisError.
+ */
+async function performAnalysis(request, options = {}) {
+    const {
+        code, inputMode, inputSizes, mSizes, paramSpecs, caseAnalysis, measure, budgetMs, includePng, isGrid, isAdaptive, isComparison
+    } = request;
+    const { onProgress, signal } = options;
+
+    if (isComparison) {
+        return performComparison(request, options);
+    }
+
+    if (isGrid) {
+        const dataPoints = await runGridAnalysis(code, inputSizes, mSizes, 10, inputMode, paramSpecs, { measure, onProgress, signal });
+        const { bestFit, confidence, results } = determineGridComplexity(dataPoints, measure);
+        const bestModelResult = results.find(r => r.type === bestFit);
+        const rmse = bestModelResult ? bestModelResult.rmse : 0;
+
+        const graphBase64 = includePng
+            ? await renderChart(buildHeatmapConfiguration(dataPoints, inputSizes, mSizes, bestFit, measure))
+            : null;
+        const grid = { nSizes: inputSizes, mSizes, dataPoints };
+        return {
+            bigO: bestFit, confidence, rmse, exponent: null, models: results, measure, dataPoints, series: null,
+            cases: null, grid, adaptive: null, comparison: null, graphBase64, space: null, spaceGraphBase64: null, staticAnalysis: null,
+            calibration: null
+        };
+    }
+
+    // Timed runs have the harness overhead taken off (see measureComplexity).
+    const measured = await measureComplexity(code, {
+        inputSizes: isAdaptive ? null : inputSizes, budgetMs, cases: caseAnalysis, inputMode, params: paramSpecs, measure, onProgress, signal
+    });
+    const { dataPoints, complexity, calibration } = measured;
+    let cases = null;
+    let adaptive = null;
+    let series = [{ label: metricLabels[measure].series, dataPoints }];
+
+    if (caseAnalysis) {
+        // Big O is reported for the worst case; the other cases ride along for comparison.
+        const { best, average, worst, casesDisagree, distributions } = measured.cases;
+        cases = { best, average, worst, casesDisagree };
+        series = DISTRIBUTION_NAMES.map(name => ({ label: name, dataPoints: distributions[name].dataPoints }));
+    } else if (isAdaptive) {
+        adaptive = {
+            ...measured.adaptive,
+            inputSizes: dataPoints.map(point => point.n),
+            iterations: dataPoints.map(point => point.samples[measure].length)
         };
+    }
 
-        chartJSNodeCanvas.renderToBuffer(configuration).then((imageBuffer) => {
-            const graphBase64 = imageBuffer.toString('base64');
-            res.json({ bigO, confidence, rmse, graphBase64 });
-        }).catch(err => {
-            console.error('Error generating graph:', err);
-            res.status(500).json({ error: 'Error generating graph' });
+    if (dataPoints.length === 0) {
+        throw new InsufficientDataError('Analysis produced no data points. Input sizes might be too small.');
+    }
+
+    if (!complexity) {
+        throw new InsufficientDataError('The time budget only allowed one input size. Try a larger budget.', dataPoints);
+    }
+
+    const { bestFit, confidence, exponent, results } = complexity;
+    const bigO = bestFit;
+    const bestModelResult = results.find(r => r.type === bigO);
+    const rmse = bestModelResult ? bestModelResult.rmse : 0;
+
+    const estimate = analyzeStatically(code);
+    const staticAnalysis = { ...estimate, agrees: agreesWithEmpirical(estimate, complexity.rank) };
+
+    const spaceComplexity = determineComplexity(dataPoints, 'memory');
+    const spaceModelResult = spaceComplexity.results.find(r => r.type === spaceComplexity.bestFit);
+    const space = {
+        bigO: spaceComplexity.bestFit,
+        confidence: spaceComplexity.confidence,
+        exponent: spaceComplexity.exponent,
+        rmse: spaceModelResult ? spaceModelResult.rmse : 0,
+        models: spaceComplexity.results.map(model => ({ ...model, curve: sampleCurve(model, dataPoints) }))
+    };
+    const spaceSeries = [{ label: metricLabels.memory.series, dataPoints }];
+    const models = results.map(model => ({ ...model, curve: sampleCurve(model, dataPoints) }));
+
+    const [graphBase64, spaceGraphBase64] = includePng
+        ? await Promise.all([
+            renderChart(buildChartConfiguration(series, bigO, measure)),
+            renderChart(buildChartConfiguration(spaceSeries, space.bigO, 'memory'))
+        ])
+        : [null, null];
+    return {
+        bigO, confidence, rmse, exponent, models, measure, dataPoints, series,
+        cases, grid: null, adaptive, comparison: null, graphBase64, space, spaceGraphBase64, staticAnalysis,
+        calibration: calibration && summarizeCalibration(calibration, dataPoints)
+    };
+}
+
+const jobs = createJobQueue({ describeError: describeAnalysisError });
+const history = createHistoryStore({ directory: HISTORY_DIR });
+
+/**
+ * Runs an analysis (see performAnalysis) and records it in the history. The response carries the
+ * record's `historyId`, or null if it couldn't be stored; a failed save never fails the analysis.
+ * The stored result leaves out the PNG charts, which can be rendered again from the data points.
+ * @returns {Promise<object>}
+ */
+async function analyzeAndRecord(request, options) {
+    const result = await performAnalysis(request, options);
+    const { code, implementations, algoName, inputMode, inputSizes, mSizes, budgetMs, paramSpecs, measure, caseAnalysis } = request;
+    try {
+        const record = await history.save({
+            algoName,
+            code: implementations ? null : code,
+            implementations: implementations || null,
+            inputMode,
+            inputSizes: result.adaptive ? result.adaptive.inputSizes : inputSizes,
+            mSizes: mSizes || null,
+            budgetMs: budgetMs || null,
+            params: paramSpecs,
+            measure,
+            caseAnalysis,
+            bigO: result.comparison
+                ? result.comparison.implementations.map(impl => `${impl.name}: ${impl.bigO}`).join(', ')
+                : result.bigO,
+            result: { ...result, graphBase64: null, spaceGraphBase64: null }
         });
+        return { ...result, historyId: record.id };
+    } catch (error) {
+        console.error('Could not record the analysis:', error);
+        return { ...result, historyId: null };
+    }
+}
+
+app.post('/api/analyze', async (req, res) => {
+    console.log('Received payload:', req.body);
+
+    const { error, request } = validateAnalysisRequest(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // Queued with the jobs, so it never runs alongside another measurement.
+    try {
+        res.json(await jobs.run(({ signal }) => analyzeAndRecord(request, { signal })));
+    } catch (error) {
+        sendAnalysisError(res, error);
+    }
+});
+
+// The problem catalog, each with the code a solution starts from.
+app.get('/api/problems', (req, res) => {
+    res.json({ problems: listProblems().map(problem => ({ ...problem, starterCode: starterCode(problem) })) });
+});
+
+// Grades a solution to a catalog problem: its answers against the reference solution, and its
+// complexity against the problem's target (see gradeSolution in src/grading.js). The analysis
+// behind the complexity verdict carries model curves, as in /api/analyze. Like an analysis, it
+// waits its turn in the job queue.
+app.post('/api/grade', async (req, res) => {
+    const { problemId, code, measure = 'operations' } = req.body;
+    if (typeof problemId !== 'string' || typeof code !== 'string' || code.trim() === '') {
+        return res.status(400).json({ error: 'Invalid input: send the problemId and the solution code.' });
+    }
+    if (!MEASURES.includes(measure)) {
+        return res.status(400).json({ error: `Invalid measure: use one of ${MEASURES.join(', ')}.` });
+    }
 
+    try {
+        const grade = await jobs.run(({ signal }) => gradeSolution(problemId, code, { measure, signal }));
+        if (grade.complexity) {
+            // Curves for the chart, as /api/analyze sends them.
+            const { analysis } = grade.complexity;
+            const models = analysis.models.map(model => ({ ...model, curve: sampleCurve(model, analysis.dataPoints) }));
+            grade.complexity = { ...grade.complexity, analysis: { ...analysis, models } };
+        }
+        res.json(grade);
     } catch (error) {
-        console.error('Analysis error:', error);
-        res.status(500).json({ error: error.message });
+        sendAnalysisError(res, error);
+    }
+});
+
+// Jobs run the same analysis as /api/analyze in the background, one at a time, reporting
+// each completed input size. The finished job's `result` is what /api/analyze would have sent.
+app.post('/api/jobs', (req, res) => {
+    console.log('Received job:', req.body);
+
+    const { error, request } = validateAnalysisRequest(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const job = jobs.submit(({ signal, onProgress }) => analyzeAndRecord(request, {
+        signal,
+        onProgress: (update) => onProgress({
+            ...update,
+            // An automatic sweep doesn't know its sizes in advance, so it reports the budget used instead.
+            fraction: update.total ? update.completed / update.total : Math.min(1, update.elapsedMs / request.budgetMs)
+        })
+    }));
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'No such job.' });
+    }
+    res.json(job);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = jobs.cancel(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'No such job.' });
+    }
+    res.json(job);
+});
+
+// Streams a job's events as Server-Sent Events. The first event is a 'snapshot' of the job so far,
+// and the stream ends after the final 'done', 'failed' or 'cancelled' event.
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'No such job.' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('snapshot', job);
+    if (FINAL_STATUSES.has(job.status)) {
+        send(job.status, job);
+        return res.end();
+    }
+
+    const unsubscribe = jobs.subscribe(job.id, (event, state) => {
+        send(event, state);
+        if (FINAL_STATUSES.has(event)) res.end();
+    });
+    req.on('close', () => {
+        if (unsubscribe) unsubscribe();
+    });
+});
+
+// Past analyses, newest first. `q` searches names, Big O and code; `limit` caps the count (default 50, at most 500).
+app.get('/api/history', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q : '';
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'Invalid limit: use a whole number from 1 to 500.' });
+    }
+    res.json({ entries: await history.list({ query, limit }) });
+});
+
+app.get('/api/history/:id', async (req, res) => {
+    const record = await history.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'No such analysis.' });
+    }
+    res.json(record);
+});
+
+// Downloads a past analysis as a report: `format` is json, csv, markdown, svg or html (see src/report.js).
+app.get('/api/history/:id/export', async (req, res) => {
+    const { format } = req.query;
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        return res.status(400).json({ error: `Invalid format: use one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    }
+    const record = await history.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'No such analysis.' });
+    }
+    res.type(EXPORT_FORMATS[format].contentType)
+        .attachment(reportFileName(record.algoName, format))
+        .send(renderReport({ algoName: record.algoName, ...record.result }, format));
+});
+
+app.delete('/api/history/:id', async (req, res) => {
+    if (!(await history.remove(req.params.id))) {
+        return res.status(404).json({ error: 'No such analysis.' });
     }
+    res.status(204).end();
 });
 
 app.listen(port, () => {
@@ -0,0 +1,190 @@
+// server/jobs.js
+const { randomUUID } = require('crypto');
+const { CancelledError } = require('../src/errors');
+
+// How long a finished job can still be fetched, in milliseconds.
+const JOB_RETENTION_MS = 10 * 60 * 1000;
+
+const FINAL_STATUSES = new Set(['done', 'failed', 'cancelled']);
+
+/**
+ * Creates an in-memory queue of analysis jobs. Jobs run one at a time, so two analyses never
+ * compete for the CPU and skew each other's timings. Every measurement the server makes goes
+ * through it: background jobs with submit(), and requests that wait for their answer, such as
+ * /api/analyze and /api/grade, with run().
+ *
+ * A job goes from 'queued' to 'running' and ends as 'done', 'failed' or 'cancelled'. Subscribers
+ * get every change as an event: 'status' when it starts, 'progress' for each update the task
+ * reports, and finally one of 'done', 'failed' or 'cancelled'. A 'progress' event carries just the
+ * update; every other event carries the job's snapshot.
+ * @param {object} [options]
+ * @param {(error: Error) => {status: number, body: object}} [options.describeError] Turns a failed
+ *   task's error into the HTTP status and body a client would have got for it.
+ * @param {number} [options.retentionMs] How long finished jobs are kept (default 10 minutes).
+ * @returns {{submit: Function, run: Function, get: Function, cancel: Function, subscribe: Function}}
+ */
+function createJobQueue(options = {}) {
+    const {
+        describeError = (error) => ({ status: 500, body: { error: error.message } }),
+        retentionMs = JOB_RETENTION_MS
+    } = options;
+    const jobs = new Map();
+    const queue = [];
+    let running = null;
+
+    /**
+     * The client-facing view of a job. `dataPoints` holds every point reported so far, so a late
+     * subscriber or a poll can rebuild the live table.
+     */
+    const snapshot = (job) => ({
+        id: job.id,
+        status: job.status,
+        queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        progress: job.progress,
+        dataPoints: job.dataPoints,
+        result: job.result,
+        error: job.error
+    });
+
+    const emit = (job, event, data = snapshot(job)) => {
+        job.listeners.forEach(listener => listener(event, data));
+    };
+
+    const finish = (job, status, fields = {}) => {
+        Object.assign(job, { status, finishedAt: Date.now() }, fields);
+        emit(job, status);
+        job.listeners.clear();
+        setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+    };
+
+    const runNext = async () => {
+        if (running || queue.length === 0) return;
+        const job = queue.shift();
+        running = job;
+        job.status = 'running';
+        job.startedAt = Date.now();
+        emit(job, 'status');
+
+        try {
+            const result = await job.task({
+                signal: job.controller.signal,
+                onProgress: (update) => {
+                    const { dataPoint, ...progress } = update;
+                    job.progress = progress;
+                    if (dataPoint) job.dataPoints.push(dataPoint);
+                    emit(job, 'progress', update);
+                }
+            });
+            finish(job, 'done', { result });
+            job.settle(null, result);
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                finish(job, 'cancelled');
+            } else {
+                console.error(`Job ${job.id} failed:`, error);
+                const { status, body } = describeError(error);
+                finish(job, 'failed', { error: { status, ...body } });
+            }
+            job.settle(error);
+        } finally {
+            running = null;
+            runNext();
+        }
+    };
+
+    /**
+     * Queues a task as a new job. `settle(error, result)` is called once it has run, or with a
+     * CancelledError if it's cancelled before it starts.
+     */
+    const enqueue = (task, settle = () => {}) => {
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            progress: null,
+            dataPoints: [],
+            result: null,
+            error: null,
+            task,
+            controller: new AbortController(),
+            listeners: new Set(),
+            settle
+        };
+        jobs.set(job.id, job);
+        queue.push(job);
+        const state = snapshot(job);
+        runNext();
+        return state;
+    };
+
+    return {
+        /**
+         * Queues a task and returns the new job's snapshot.
+         * @param {(context: {signal: AbortSignal, onProgress: Function}) => Promise<object>} task
+         *   Runs the analysis. It reports updates ({ dataPoint, completed, total, ... }) through
+         *   onProgress, must stop when the signal fires, and resolves with the job's result.
+         */
+        submit(task) {
+            return enqueue(task);
+        },
+
+        /**
+         * Queues a task like submit(), and waits for it: for a request that answers with the result
+         * rather than a job to follow.
+         * @param {Function} task As for submit().
+         * @returns {Promise<object>} The task's result.
+         * @throws {Error} Whatever the task threw, or a CancelledError if the job was cancelled first.
+         */
+        run(task) {
+            return new Promise((resolve, reject) => {
+                enqueue(task, (error, result) => (error ? reject(error) : resolve(result)));
+            });
+        },
+
+        /** Returns a job's snapshot, or null if there is no such job (or it has expired). */
+        get(id) {
+            const job = jobs.get(id);
+            return job ? snapshot(job) : null;
+        },
+
+        /**
+         * Cancels a job: a queued job never starts, a running one has its sandbox stopped.
+         * Finished jobs are left as they are.
+         * @returns {object|null} The job's snapshot, or null if there is no such job.
+         */
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job) return null;
+            if (job.status === 'queued') {
+                queue.splice(queue.indexOf(job), 1);
+                job.controller.abort();
+                finish(job, 'cancelled');
+                job.settle(new CancelledError('The job was cancelled before it started.'));
+            } else if (job.status === 'running') {
+                job.controller.abort();
+            }
+            return snapshot(job);
+        },
+
+        /**
+         * Calls listener(event, data) for every change to a job until it finishes.
+         * @returns {Function|null} Unsubscribes; null if there is no such job or it already finished.
+         */
+        subscribe(id, listener) {
+            const job = jobs.get(id);
+            if (!job || FINAL_STATUSES.has(job.status)) return null;
+            job.listeners.add(listener);
+            return () => job.listeners.delete(listener);
+        }
+    };
+}
+
+module.exports = {
+    FINAL_STATUSES,
+    createJobQueue,
+};
@@ -0,0 +1,100 @@
+// server/requests.js
+const { MEASURES, INPUT_MODES, normalizeParams } = require('../src/calculator');
+const { checkInputSizes } = require('../src/analyze');
+
+// Bounds for an automatic sweep's time budget, so one request can't hold the server for long.
+const MIN_BUDGET_MS = 500;
+const MAX_BUDGET_MS = 60000;
+
+// Most implementations one comparison may measure; each gets its own sandbox and runs.
+const MAX_IMPLEMENTATIONS = 6;
+
+/**
+ * Validates an analysis request body, as sent to /api/analyze or /api/jobs.
+ * @returns {{error: string}|{request: object}} The reason it's invalid (sent with a 400), or the request ready for
+ *   performAnalysis in server/index.js.
+ */
+function validateAnalysisRequest(body) {
+    const {
+        code, algoName, inputMode, inputSizes, mSizes, params, caseAnalysis = false, measure = 'time', budgetMs, includePng = false, implementations
+    } = body;
+    // Sending mSizes switches to a two-variable grid sweep, with inputSizes as the n sizes.
+    const isGrid = mSizes !== undefined;
+    // Sending budgetMs instead of inputSizes lets the analysis pick the sizes within that time.
+    const isAdaptive = budgetMs !== undefined;
+    // Sending implementations instead of code compares them on identical inputs.
+    const isComparison = implementations !== undefined;
+
+    if ((!isComparison && (!code || typeof code !== 'string')) ||
+        !algoName || typeof algoName !== 'string' ||
+        !INPUT_MODES.includes(inputMode)) {
+        return { error: 'Invalid input' };
+    }
+
+    try {
+        if (!isAdaptive) checkInputSizes(inputSizes);
+        if (isGrid) checkInputSizes(mSizes, 'mSizes', 1);
+    } catch (error) {
+        return { error: `Invalid input: ${error.message}` };
+    }
+
+    if (isAdaptive && (typeof budgetMs !== 'number' || !(budgetMs >= MIN_BUDGET_MS && budgetMs <= MAX_BUDGET_MS))) {
+        return { error: `Invalid input: budgetMs must be a number from ${MIN_BUDGET_MS} to ${MAX_BUDGET_MS}.` };
+    }
+
+    if (isComparison && (!Array.isArray(implementations) || implementations.length < 2 || implementations.length > MAX_IMPLEMENTATIONS ||
+        !implementations.every(impl => impl && typeof impl.name === 'string' && impl.name.trim() !== '' && typeof impl.code === 'string' && impl.code !== ''))) {
+        return { error: `Invalid input: implementations must list 2 to ${MAX_IMPLEMENTATIONS} entries, each with a name and code.` };
+    }
+
+    if (isComparison && new Set(implementations.map(impl => impl.name)).size !== implementations.length) {
+        return { error: 'Invalid input: every implementation needs its own name.' };
+    }
+
+    if (isComparison && (isGrid || isAdaptive || caseAnalysis)) {
+        return { error: 'A comparison is not available with a two-variable grid, an automatic time-budget sweep or best / average / worst-case analysis.' };
+    }
+
+    if (isAdaptive && (isGrid || caseAnalysis)) {
+        return { error: 'An automatic time-budget sweep is not available with a two-variable grid or best / average / worst-case analysis.' };
+    }
+
+    if (typeof includePng !== 'boolean') {
+        return { error: 'Invalid input: includePng must be true or false.' };
+    }
+
+    if (!MEASURES.includes(measure)) {
+        return { error: `Invalid measure: use one of ${MEASURES.join(', ')}.` };
+    }
+
+    if (isGrid && caseAnalysis) {
+        return { error: 'Best / average / worst-case analysis is not available in a two-variable grid sweep.' };
+    }
+
+    let paramSpecs;
+    try {
+        paramSpecs = normalizeParams(params, isGrid && inputMode !== 'custom' ? ['n', 'm'] : ['n']);
+    } catch (error) {
+        return { error: `Invalid params: ${error.message}` };
+    }
+
+    if (caseAnalysis && inputMode !== 'array') {
+        return { error: 'Best / average / worst-case analysis is only available in array input mode.' };
+    }
+
+    const sources = isComparison ? implementations.map(impl => impl.code) : [code];
+    if (inputMode === 'custom' && !sources.every(source => /\bgenerateInput\b/.test(source))) {
+        return { error: "Custom input mode requires a 'generateInput(n)' function next to 'functionToTest'." };
+    }
+
+    return {
+        request: {
+            code, implementations, algoName, inputMode, inputSizes, mSizes, paramSpecs, caseAnalysis, measure, budgetMs, includePng, isGrid, isAdaptive,
+            isComparison
+        }
+    };
+}
+
+module.exports = {
+    validateAnalysisRequest,
+};
@@ -0,0 +1,313 @@
+// src/analyze.js
+const {
+  INPUT_MODES,
+  runAnalysis,
+  runAdaptiveAnalysis,
+  runCaseAnalysis,
+  calibrateTiming,
+  summarizeCalibration,
+  determineComplexity
+} = require('./calculator');
+const { InvalidOptionsError, InsufficientDataError } = require('./errors');
+const { toSandboxSource } = require('./utils/sandboxSource');
+
+/**
+ * The version of the object analyze() resolves with. It only changes when a field is renamed,
+ * removed or changes meaning; new fields can appear without a bump.
+ */
+const ANALYSIS_RESULT_VERSION = 1;
+
+// The sizes used when neither inputSizes nor a strategy is given: 10 to 10,000 by powers of 10.
+const DEFAULT_STRATEGY = { kind: 'powers', count: 4 };
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Checks a list of input sizes, as given to analyze() or the server.
+ * @param {*} sizes
+ * @param {string} [option] The option's name, for the error (default 'inputSizes').
+ * @param {number} [minimum] How many sizes it must list at least (default 2, the fewest a fit needs).
+ * @throws {InvalidOptionsError} If it isn't an array of at least `minimum` positive whole numbers.
+ */
+function checkInputSizes(sizes, option = 'inputSizes', minimum = 2) {
+  if (!Array.isArray(sizes) || sizes.length < minimum || !sizes.every(isPositiveInteger)) {
+    const count = minimum === 1 ? 'at least one positive whole number' : `at least ${minimum} positive whole numbers`;
+    throw new InvalidOptionsError(`${option} must list ${count}.`, option);
+  }
+}
+
+/**
+ * Checks a strategy's fields and returns the sizes it describes. The CLI's --strategy options
+ * build the same objects.
+ * @param {object} strategy See analyze().
+ * @returns {Array<number>|null} Null for 'auto', whose sizes are picked while it runs.
+ * @throws {InvalidOptionsError}
+ */
+function sizesForStrategy(strategy) {
+  if (!strategy || typeof strategy !== 'object') {
+    throw new InvalidOptionsError('strategy must be an object such as { kind: \'doubling\', start: 100, count: 10 }.', 'strategy');
+  }
+  const field = (name, fallback) => {
+    const value = strategy[name] === undefined ? fallback : strategy[name];
+    if (!isPositiveInteger(value)) {
+      throw new InvalidOptionsError(`strategy.${name} must be a positive whole number.`, 'strategy');
+    }
+    return value;
+  };
+  switch (strategy.kind) {
+    case 'powers':
+      return Array.from({ length: Math.min(field('count', 4), 15) }, (_, i) => 10 ** (i + 1));
+    case 'doubling': {
+      const start = field('start', 100);
+      return Array.from({ length: Math.min(field('count', 10), 40) }, (_, i) => start * 2 ** i);
+    }
+    case 'linear': {
+      const start = field('start', 100);
+      const step = field('step', start);
+      return Array.from({ length: field('count', 10) }, (_, i) => start + i * step);
+    }
+    case 'auto':
+      if (!(typeof strategy.budgetMs === 'number' && strategy.budgetMs > 0)) {
+        throw new InvalidOptionsError('An auto strategy needs a positive budgetMs.', 'strategy');
+      }
+      return null;
+    default:
+      throw new InvalidOptionsError(`Unknown strategy kind '${strategy.kind}'. Use 'powers', 'doubling', 'linear' or 'auto'.`, 'strategy');
+  }
+}
+
+/**
+ * Measures code and fits its complexity: calibrates the timer (for a timed run), measures the
+ * sizes, or grows them within a budget, or measures every input distribution, then fits the
+ * measurements. analyze(), the CLI and the server all measure through this, and differ only in
+ * what they make of the result.
+ * @param {string} code Sandbox source defining `functionToTest` (and `generateInput` in 'custom' mode).
+ * @param {object} options
+ * @param {Array<number>|null} [options.inputSizes] The sizes to measure. Without them, sizes are
+ *   picked within `budgetMs` (see runAdaptiveAnalysis).
+ * @param {number} [options.budgetMs] The time budget when no inputSizes are given.
+ * @param {boolean} [options.cases] Measure every input distribution (array mode only) and fit the
+ *   worst case (see runCaseAnalysis).
+ * @param {boolean} [options.calibrate] Calibrate the timer when timing (default true; see calibrateTiming).
+ * @param {number} [options.iterations] Runs per size (default 10).
+ * @param {string} [options.inputMode] As for runAnalysis, and likewise `params`, `measure`,
+ *   `distribution`, `seed`, `measureMemory`, `onProgress` and `signal`.
+ * @returns {Promise<{dataPoints: Array<object>, complexity: object|null, calibration: object|null,
+ *   adaptive: {budgetMs: number, elapsedMs: number, stoppedBecause: string}|null, cases: object|null}>}
+ *   The data points fitted (the worst case's, for `cases`) and their determineComplexity result, or
+ *   null when fewer than two sizes were measured. `calibration` is calibrateTiming's (null when
+ *   counting operations or not calibrating), `adaptive` how a budgeted sweep ended and `cases`
+ *   runCaseAnalysis's result.
+ * @throws {SandboxError|CancelledError} As the calculator throws them.
+ */
+async function measureComplexity(code, options) {
+  const {
+    inputSizes = null,
+    budgetMs,
+    cases = false,
+    calibrate = true,
+    iterations = 10,
+    inputMode = 'array',
+    params,
+    measure = 'time',
+    distribution,
+    seed = 42,
+    measureMemory = true,
+    onProgress,
+    signal
+  } = options;
+  // An adaptive sweep doesn't know its sizes yet, so it calibrates at the defaults.
+  const calibration = calibrate && measure === 'time'
+    ? await calibrateTiming(code, inputSizes || undefined, inputMode, params, { distribution, seed, signal })
+    : null;
+
+  if (cases) {
+    const caseResult = await runCaseAnalysis(code, inputSizes, iterations, params, seed, measure, { calibration, onProgress, signal });
+    const { dataPoints, complexity } = caseResult.distributions[caseResult.worst.distribution];
+    return { dataPoints, complexity, calibration, adaptive: null, cases: caseResult };
+  }
+
+  const analysisOptions = { distribution, seed, measureMemory, measure, calibration, onProgress, signal };
+  let dataPoints;
+  let adaptive = null;
+  if (inputSizes) {
+    dataPoints = await runAnalysis(code, inputSizes, iterations, inputMode, params, analysisOptions);
+  } else {
+    const result = await runAdaptiveAnalysis(code, budgetMs, inputMode, params, { ...analysisOptions, iterations });
+    dataPoints = result.dataPoints;
+    adaptive = { budgetMs, elapsedMs: Math.round(result.elapsedMs), stoppedBecause: result.stoppedBecause };
+  }
+  const complexity = dataPoints.length > 1 ? determineComplexity(dataPoints, measure, { calibration }) : null;
+  return { dataPoints, complexity, calibration, adaptive, cases: null };
+}
+
+/**
+ * Builds the sandbox source for the target, checking it defines what the input mode needs.
+ * @throws {InvalidOptionsError}
+ */
+function sourceFor(target, inputMode, generateInput) {
+  if (generateInput !== undefined && typeof generateInput !== 'function') {
+    throw new InvalidOptionsError('generateInput must be a function.', 'generateInput');
+  }
+  let source;
+  if (typeof target === 'function') {
+    source = toSandboxSource(target, generateInput);
+  } else if (typeof target === 'string' && target.trim() !== '') {
+    source = generateInput ? `${target}\nconst generateInput = ${generateInput.toString()};` : target;
+  } else {
+    throw new InvalidOptionsError('analyze() needs a function, or source code defining functionToTest.', 'target');
+  }
+  if (inputMode === 'custom' && !/\bgenerateInput\b/.test(source)) {
+    throw new InvalidOptionsError('Custom input mode needs a generateInput(n) function: pass it as an option or define it in the source.', 'generateInput');
+  }
+  return source;
+}
+
+/**
+ * Measures how a function's running time (or operation count) grows with its input, and fits it
+ * to a complexity class. This is the entry point for using the calculator from other Node code:
+ *
+ *     const { analyze } = require('bigocalculator');
+ *     const result = await analyze(function twoSum(nums, target) { ... }, {
+ *       strategy: { kind: 'doubling', start: 1000, count: 8 },
+ *       params: [{ kind: 'scaling' }, { kind: 'fixed', value: -1 }]
+ *     });
+ *     console.log(result.bigO, result.confidence); // 'O(n) - Linear' 97
+ *
+ * The function runs in the sandbox, so it can't use variables from the scope it was defined in;
+ * it only sees its arguments (and functions it defines itself).
+ * @param {Function|string} target The function to analyze, or source code defining `functionToTest`
+ *   (and `generateInput` in 'custom' mode).
+ * @param {object} [options]
+ * @param {string} [options.name] What the result calls the function (default: its name).
+ * @param {Array<number>} [options.inputSizes] The sizes to measure, at least two.
+ * @param {object} [options.strategy] How to pick the sizes instead, when inputSizes isn't given:
+ *   `{ kind: 'powers', count }` (10, 100, ... 10^count), `{ kind: 'doubling', start, count }`,
+ *   `{ kind: 'linear', start, step, count }` or `{ kind: 'auto', budgetMs }`, which grows n until
+ *   the time budget runs out (see runAdaptiveAnalysis). Default: powers of 10 up to 10,000.
+ * @param {number} [options.iterations] Runs per size (default 10).
+ * @param {string} [options.inputMode] 'array' (0..n-1, the default), 'number' (n itself) or 'custom'.
+ * @param {Function} [options.generateInput] Builds the input for size n in 'custom' mode, when `target` doesn't define it.
+ * @param {Array<object>} [options.params] Parameter specs for multi-argument functions (see normalizeParams).
+ * @param {string} [options.measure] 'time' (default) or 'operations'.
+ * @param {string} [options.distribution] In 'array' mode, an input distribution instead of 0..n-1.
+ * @param {number} [options.seed] Seed for the distribution (default 42).
+ * @param {boolean} [options.measureMemory] Also measure peak extra heap and fit the space complexity (default true).
+ * @param {boolean} [options.calibrate] When timing, first calibrate the timer and subtract the harness
+ *   overhead from every run (default true; see calibrateTiming).
+ * @param {Function} [options.onProgress] Called with { dataPoint, completed, total } as each size completes.
+ * @param {AbortSignal} [options.signal] Cancels the analysis.
+ * @returns {Promise<{
+ *   version: number,
+ *   name: string,
+ *   measure: string,
+ *   inputMode: string,
+ *   inputSizes: Array<number>,
+ *   bigO: string,
+ *   rank: number,
+ *   confidence: number,
+ *   exponent: number|null,
+ *   models: Array<{type: string, rank: number, parameters: number, coefficients: Array<number>, rss: number,
+ *     rmse: number, aic: number, bic: number, deltaBic: number, bootstrapShare: number}>,
+ *   dataPoints: Array<{n: number, time?: number, operations?: number, memory?: number, repetitions?: number,
+ *     harness?: {overheadMs: number, floorMs: number}, samples: object, dispersion: object}>,
+ *   space: {bigO: string, rank: number, confidence: number, models: Array<object>}|null,
+ *   adaptive: {budgetMs: number, elapsedMs: number, stoppedBecause: string}|null,
+ *   calibration: {timerResolutionMs: number, overheads: Array<{n: number, overheadMs: number}>, floorMs: number,
+ *     unresolvedSizes: Array<number>}|null
+ * }>} `version` is ANALYSIS_RESULT_VERSION. `bigO` is the best fit among COMPLEXITY_MODELS, `rank` its
+ *   place in them (higher is more complex) and `confidence` the share of bootstrap resamples (0-100)
+ *   that pick it, scaled down by the share of sizes the timer couldn't resolve. `exponent` is the empirical k in measure ~ n^k. `models` lists every fitted class,
+ *   lowest BIC first, with its coefficients ([intercept, slope], or [mean] for O(1)) and scores. `dataPoints`
+ *   are as in runAnalysis, and `inputSizes` the sizes they cover. `space` fits the memory the same way
+ *   (null when measureMemory is off); `adaptive` says how an auto strategy ended (null otherwise).
+ *   `calibration` gives the timer's resolution, the harness overhead subtracted at each size and the
+ *   floor below which a time can't be told from noise, with the sizes that measured below it
+ *   (null when counting operations or with calibrate off).
+ * @throws {InvalidOptionsError} If the target or an option is invalid; `option` names which.
+ * @throws {SandboxError} If the code can't be loaded (a syntax error is reason 'error'), or the function times
+ *   out, runs out of memory or throws; `reason` says which.
+ * @throws {InsufficientDataError} If an auto strategy's budget only allowed one size.
+ * @throws {CancelledError} If the signal fired.
+ */
+async function analyze(target, options = {}) {
+  const {
+    inputSizes,
+    strategy = DEFAULT_STRATEGY,
+    iterations = 10,
+    inputMode = 'array',
+    generateInput,
+    params,
+    measure = 'time',
+    distribution,
+    seed,
+    measureMemory = true,
+    calibrate = true,
+    onProgress,
+    signal
+  } = options;
+  if (!INPUT_MODES.includes(inputMode)) {
+    throw new InvalidOptionsError(`Unknown input mode '${inputMode}'. Use one of: ${INPUT_MODES.join(', ')}.`, 'inputMode');
+  }
+  if (!isPositiveInteger(iterations)) {
+    throw new InvalidOptionsError('iterations must be a positive whole number.', 'iterations');
+  }
+  if (inputSizes !== undefined) checkInputSizes(inputSizes);
+  const sizes = inputSizes || sizesForStrategy(strategy);
+  const code = sourceFor(target, inputMode, generateInput);
+  const name = options.name || (typeof target === 'function' && target.name) || 'functionToTest';
+
+  const { dataPoints, complexity, calibration, adaptive } = await measureComplexity(code, {
+    inputSizes: sizes,
+    budgetMs: strategy.budgetMs,
+    calibrate,
+    iterations,
+    inputMode,
+    params,
+    measure,
+    distribution,
+    seed,
+    measureMemory,
+    onProgress,
+    signal
+  });
+  if (!complexity) {
+    throw new InsufficientDataError('The time budget only allowed one input size. Try a larger budget.', dataPoints);
+  }
+
+  let space = null;
+  if (measureMemory) {
+    const spaceComplexity = determineComplexity(dataPoints, 'memory');
+    space = {
+      bigO: spaceComplexity.bestFit,
+      rank: spaceComplexity.rank,
+      confidence: spaceComplexity.confidence,
+      models: spaceComplexity.results
+    };
+  }
+
+  return {
+    version: ANALYSIS_RESULT_VERSION,
+    name,
+    measure,
+    inputMode,
+    inputSizes: dataPoints.map(point => point.n),
+    bigO: complexity.bestFit,
+    rank: complexity.rank,
+    confidence: complexity.confidence,
+    exponent: complexity.exponent,
+    models: complexity.results,
+    dataPoints,
+    space,
+    adaptive,
+    calibration: calibration && summarizeCalibration(calibration, dataPoints)
+  };
+}
+
+module.exports = {
+  ANALYSIS_RESULT_VERSION,
+  analyze,
+  checkInputSizes,
+  measureComplexity,
+  sizesForStrategy
+};
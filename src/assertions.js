@@ -0,0 +1,256 @@
+// src/assertions.js
+const fs = require('fs');
+const path = require('path');
+const { COMPLEXITY_MODELS, MEASURES, INPUT_MODES } = require('./calculator');
+const { analyze } = require('./analyze');
+const { ComplexityAssertionError, InvalidOptionsError } = require('./errors');
+
+// Sizes a check runs at unless told otherwise: four decades, enough to tell the classes apart.
+const DEFAULT_INPUT_SIZES = [100, 1000, 10000, 100000];
+
+// The share of bootstrap resamples (in %) that must stay within the bound for a check to pass.
+const DEFAULT_CONFIDENCE = 90;
+
+// A bound written without spaces, case or the O(...) wrapper, e.g. 'nlogn' for 'O(n log n)'.
+const normalizeBound = (text) => text.toLowerCase().replace(/\s+/g, '').replace(/^o\((.*)\)$/, '$1');
+
+/**
+ * Finds the complexity class a bound names.
+ * @param {string} bound E.g. 'O(n)', 'O(n log n)', 'n^2' or a full type such as 'O(n) - Linear'.
+ * @returns {{type: string, complexity: number}} The matching entry of COMPLEXITY_MODELS.
+ * @throws {InvalidOptionsError} If no class matches.
+ */
+function parseComplexityBound(bound) {
+  if (typeof bound !== 'string') {
+    throw new InvalidOptionsError('A complexity bound must be a string such as "O(n log n)".', 'bound');
+  }
+  const wanted = normalizeBound(bound.split(' - ')[0]);
+  const model = COMPLEXITY_MODELS.find(m => normalizeBound(m.type.split(' - ')[0]) === wanted);
+  if (!model) {
+    const known = COMPLEXITY_MODELS.map(m => m.type.split(' - ')[0]).join(', ');
+    throw new InvalidOptionsError(`Unknown complexity bound '${bound}'. Use one of: ${known}.`, 'bound');
+  }
+  return model;
+}
+
+/**
+ * Measures a function and checks that its complexity is at most `bound`.
+ *
+ * The verdict rests on the bootstrap behind analyze()'s confidence: `boundConfidence` is
+ * the share of resamples whose pick is no more complex than the bound. The check passes when that
+ * share reaches the required confidence, fails when the best fit itself is worse than the bound,
+ * and is inconclusive otherwise (the best fit is within the bound, but too many resamples aren't).
+ * @param {Function|string} target The function, or source code defining `functionToTest` (as in analyze()).
+ * @param {string} bound The most complex class allowed, e.g. 'O(n)' (see parseComplexityBound).
+ * @param {object} [options]
+ * @param {string} [options.name] What the result calls the function (default: its name).
+ * @param {Array<number>} [options.inputSizes] Sizes to measure (default 100 to 100000, by powers of 10).
+ * @param {number} [options.iterations] Runs per size (default 10).
+ * @param {string} [options.inputMode] 'array' (default), 'number' or 'custom'.
+ * @param {Array<object>} [options.params] Parameter specs for multi-argument functions.
+ * @param {Function} [options.generateInput] The input generator for 'custom' mode, when `target` is a function.
+ * @param {string} [options.measure] 'time' (default) or 'operations', which is deterministic and so steadier in CI.
+ * @param {number} [options.confidence] The required share of resamples within the bound, in % (default 90).
+ * @param {Function} [options.onProgress] Passed to analyze().
+ * @param {AbortSignal} [options.signal] Cancels the measurement.
+ * @returns {Promise<{name: string, bound: string, status: string, passed: boolean, bigO: string,
+ *   confidence: number, boundConfidence: number, requiredConfidence: number, measure: string,
+ *   analysis: object}>} `status` is 'pass', 'fail' or 'inconclusive'; `analysis` is the full result of analyze().
+ * @throws {SandboxError} If the function times out, runs out of memory or throws.
+ * @throws {InvalidOptionsError} If the bound or options are invalid.
+ */
+async function checkComplexity(target, bound, options = {}) {
+  const {
+    inputSizes = DEFAULT_INPUT_SIZES,
+    iterations = 10,
+    inputMode = 'array',
+    params,
+    generateInput,
+    measure = 'time',
+    confidence = DEFAULT_CONFIDENCE,
+    onProgress,
+    signal
+  } = options;
+  const boundModel = parseComplexityBound(bound);
+  if (!(confidence >= 0 && confidence <= 100)) {
+    throw new InvalidOptionsError('The required confidence must be a percentage from 0 to 100.', 'confidence');
+  }
+
+  const analysis = await analyze(target, {
+    name: options.name, inputSizes, iterations, inputMode, params, generateInput, measure, onProgress, signal, measureMemory: false
+  });
+  const withinShare = analysis.models
+    .filter(model => model.rank <= boundModel.complexity)
+    .reduce((sum, model) => sum + model.bootstrapShare, 0);
+  const boundConfidence = Math.round(withinShare * 100);
+
+  let status = 'fail';
+  if (analysis.rank <= boundModel.complexity) {
+    status = boundConfidence >= confidence ? 'pass' : 'inconclusive';
+  }
+  return {
+    name: analysis.name,
+    bound: boundModel.type,
+    status,
+    passed: status === 'pass',
+    bigO: analysis.bigO,
+    confidence: analysis.confidence,
+    boundConfidence,
+    requiredConfidence: confidence,
+    measure,
+    analysis
+  };
+}
+
+/**
+ * Describes a check's verdict in a sentence, e.g. for a failed assertion.
+ * @param {object} result From checkComplexity.
+ * @returns {string}
+ */
+function describeCheck({ name, bound, status, bigO, boundConfidence, requiredConfidence }) {
+  const shortBound = bound.split(' - ')[0];
+  const within = `${boundConfidence}% of resamples within the bound, ${requiredConfidence}% required`;
+  if (status === 'pass') return `${name} is at most ${shortBound}: measured ${bigO} (${within}).`;
+  if (status === 'fail') return `${name} is worse than ${shortBound}: measured ${bigO} (${within}).`;
+  return `${name} is not reliably within ${shortBound}: measured ${bigO}, but only ${within}.`;
+}
+
+/**
+ * Asserts that a function's complexity is at most `bound`, for use in tests.
+ *
+ *     await assertComplexity(twoSum, 'O(n)', { params: [{ kind: 'scaling' }, { kind: 'fixed', value: -1 }] });
+ *
+ * Takes the same arguments as checkComplexity.
+ * @returns {Promise<object>} The passing result.
+ * @throws {ComplexityAssertionError} If the check fails or is inconclusive; its `result` has the details.
+ */
+async function assertComplexity(target, bound, options = {}) {
+  const result = await checkComplexity(target, bound, options);
+  if (!result.passed) {
+    throw new ComplexityAssertionError(describeCheck(result), result);
+  }
+  return result;
+}
+
+/**
+ * Reads a complexity config file: a JSON object listing the functions to check and their bounds,
+ * with optional `defaults` for every entry.
+ *
+ *     {
+ *       "defaults": { "measure": "operations", "confidence": 90 },
+ *       "functions": [
+ *         { "file": "leetcode/twosum.js", "function": "twoSum", "bound": "O(n)",
+ *           "params": [{ "kind": "scaling" }, { "kind": "fixed", "value": -1 }] }
+ *       ]
+ *     }
+ *
+ * Each entry names a `file` (relative to the config file) and, if it exports several, the
+ * `function`; a `bound`; and optionally a display `name`, `inputMode`, `params`, `inputSizes`,
+ * `iterations`, `measure` and `confidence`, as in checkComplexity. In 'custom' input mode the
+ * file's `generateInput` export builds the inputs.
+ * @param {string} configPath
+ * @returns {Array<{target: Function, bound: string, options: object}>} One check per entry.
+ * @throws {Error} If the file can't be read, or an entry is invalid or its function can't be loaded.
+ */
+function loadComplexityConfig(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read the complexity config ${configPath}: ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.functions) || config.functions.length === 0) {
+    throw new Error(`${configPath} must list the functions to check in a non-empty "functions" array.`);
+  }
+  const defaults = config.defaults || {};
+  const directory = path.dirname(path.resolve(configPath));
+
+  return config.functions.map((entry, i) => {
+    const where = `${configPath}: functions[${i}]`;
+    const settings = { ...defaults, ...entry };
+    if (typeof settings.file !== 'string') throw new Error(`${where} needs the "file" to load.`);
+    try {
+      parseComplexityBound(settings.bound);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+    if (settings.inputMode !== undefined && !INPUT_MODES.includes(settings.inputMode)) {
+      throw new Error(`${where}: "inputMode" must be one of ${INPUT_MODES.join(', ')}.`);
+    }
+    if (settings.measure !== undefined && !MEASURES.includes(settings.measure)) {
+      throw new Error(`${where}: "measure" must be one of ${MEASURES.join(', ')}.`);
+    }
+
+    const file = path.resolve(directory, settings.file);
+    let loaded;
+    try {
+      loaded = require(file);
+    } catch (error) {
+      throw new Error(`${where}: could not load ${settings.file}: ${error.message}`);
+    }
+    let target = loaded;
+    if (typeof loaded !== 'function') {
+      const exports = Object.keys(loaded || {}).filter(k => typeof loaded[k] === 'function' && k !== 'generateInput');
+      const functionName = settings.function || (exports.length === 1 ? exports[0] : null);
+      if (!functionName) {
+        throw new Error(`${where}: ${settings.file} exports ${exports.length ? `several functions (${exports.join(', ')})` : 'no functions'}; name one with "function".`);
+      }
+      if (!exports.includes(functionName)) {
+        throw new Error(`${where}: ${settings.file} has no exported function '${functionName}'.`);
+      }
+      target = loaded[functionName];
+    }
+    if (settings.inputMode === 'custom' && typeof loaded.generateInput !== 'function') {
+      throw new Error(`${where}: custom input mode needs ${settings.file} to export generateInput(n).`);
+    }
+
+    return {
+      target,
+      bound: settings.bound,
+      options: {
+        name: settings.name || settings.function || target.name,
+        inputSizes: settings.inputSizes,
+        iterations: settings.iterations,
+        inputMode: settings.inputMode,
+        params: settings.params,
+        generateInput: settings.inputMode === 'custom' ? loaded.generateInput : undefined,
+        measure: settings.measure,
+        confidence: settings.confidence
+      }
+    };
+  });
+}
+
+/**
+ * Runs checks one after another. A check that can't run (its code throws or hits a sandbox limit)
+ * gets the status 'error' instead of stopping the others.
+ * @param {Array<{target: Function|string, bound: string, options: object}>} checks E.g. from loadComplexityConfig.
+ * @param {object} [options]
+ * @param {Function} [options.onResult] Called with each result as it finishes.
+ * @returns {Promise<Array<object>>} The results of checkComplexity, or { name, bound, status: 'error', error }.
+ */
+async function runComplexityChecks(checks, options = {}) {
+  const { onResult } = options;
+  const results = [];
+  for (const { target, bound, options: checkOptions } of checks) {
+    let result;
+    try {
+      result = await checkComplexity(target, bound, checkOptions);
+    } catch (error) {
+      result = { name: checkOptions.name, bound: parseComplexityBound(bound).type, status: 'error', passed: false, error: error.message };
+    }
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONFIDENCE,
+  parseComplexityBound,
+  checkComplexity,
+  assertComplexity,
+  describeCheck,
+  loadComplexityConfig,
+  runComplexityChecks
+};
@@ -0,0 +1,127 @@
+// src/benchmark.js
+const { parseArgs } = require('util');
+const { MEASURES } = require('./calculator');
+const { BENCHMARK_STRATEGIES, runBenchmark, summarizeBenchmark } = require('./classifierBenchmark');
+const { REFERENCE_CORPUS } = require('./test_algorithms');
+const { EXIT_CODES } = require('./cli');
+
+const USAGE = `Usage: node src/benchmark.js [options]
+
+Runs the reference corpus (src/test_algorithms.js) under several growth strategies and reports how
+often the calculator detects each function's known complexity: a confusion matrix and the accuracy
+per class.
+
+  --strategy <names>      ${Object.keys(BENCHMARK_STRATEGIES).join(', ')} (comma-separated; default all).
+  --measure <name>        operations (default), which gives the same answer on every run, or time.
+  -i, --iterations <n>    Runs per size when timing (default 10).
+  --min-accuracy <pct>    Exit with code 1 when the overall accuracy is below this.
+  --format <name>         human (default) or json.
+  -h, --help              Show this help.
+`;
+
+// A class's label without its name, e.g. 'O(n log n)'.
+const shortType = (type) => type.split(' - ')[0];
+
+/**
+ * Reads and validates the command line.
+ * @throws {Error} If an option is unknown or invalid.
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      strategy: { type: 'string' },
+      measure: { type: 'string' },
+      iterations: { type: 'string', short: 'i' },
+      'min-accuracy': { type: 'string' },
+      format: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const strategies = values.strategy === undefined ? Object.keys(BENCHMARK_STRATEGIES) : values.strategy.split(',').map(name => name.trim());
+  const unknown = strategies.find(name => !Object.hasOwn(BENCHMARK_STRATEGIES, name));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown strategy '${unknown}'. Use one of: ${Object.keys(BENCHMARK_STRATEGIES).join(', ')}.`);
+  }
+  const measure = values.measure === undefined ? 'operations' : values.measure;
+  if (!MEASURES.includes(measure)) throw new Error(`--measure must be one of: ${MEASURES.join(', ')}.`);
+  const iterations = values.iterations === undefined ? 10 : Number(values.iterations);
+  if (!Number.isInteger(iterations) || iterations < 1) throw new Error('--iterations must be a whole number at least 1.');
+  const minAccuracy = values['min-accuracy'] === undefined ? null : Number(values['min-accuracy']);
+  if (minAccuracy !== null && !(minAccuracy >= 0 && minAccuracy <= 100)) {
+    throw new Error('--min-accuracy must be a percentage from 0 to 100.');
+  }
+  if (values.format !== undefined && !['human', 'json'].includes(values.format)) {
+    throw new Error('--format must be human or json.');
+  }
+  return { help: Boolean(values.help), strategies, measure, iterations, minAccuracy, format: values.format || 'human' };
+}
+
+/**
+ * The confusion matrix as text: one row per expected class, one column per detected class,
+ * numbered to keep it narrow. Zeros are dots, so the misclassifications stand out.
+ */
+function formatMatrix({ classes, matrix }) {
+  const labelWidth = Math.max(...classes.map(type => shortType(type).length)) + 4;
+  const header = ' '.repeat(labelWidth) + classes.map((_, j) => String(j + 1).padStart(4)).join('');
+  const rows = classes.map((type, i) => `${String(i + 1).padStart(2)}. ${shortType(type)}`.padEnd(labelWidth) +
+    matrix[i].map(count => (count === 0 ? '.' : String(count)).padStart(4)).join(''));
+  return ['Confusion matrix (rows: expected class, columns: detected class)', header, ...rows].join('\n');
+}
+
+/**
+ * The per-class accuracy as text, one line per class that has runs.
+ */
+function formatAccuracy({ perClass, runs, correct, accuracy }) {
+  const lines = perClass
+    .filter(entry => entry.runs > 0)
+    .map(({ type, runs: classRuns, correct: classCorrect, errors, accuracy: classAccuracy }) =>
+      `  ${shortType(type).padEnd(14)}${`${classCorrect}/${classRuns}`.padStart(6)}${`${classAccuracy}%`.padStart(8)}${errors > 0 ? `  (${errors} failed to run)` : ''}`);
+  return ['Accuracy per class', ...lines, `  ${'Overall'.padEnd(14)}${`${correct}/${runs}`.padStart(6)}${`${accuracy}%`.padStart(8)}`].join('\n');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\nRun with --help to see the options.`);
+    return EXIT_CODES.usage;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.success;
+  }
+
+  const { strategies, measure, iterations, minAccuracy, format } = options;
+  const json = format === 'json';
+  if (!json) {
+    console.log(`Benchmarking ${REFERENCE_CORPUS.length} reference functions under ${strategies.join(', ')} (measure: ${measure})...\n`);
+  }
+  const results = await runBenchmark({
+    strategies,
+    measure,
+    iterations,
+    onResult: (result) => {
+      if (json) return;
+      const mark = result.correct ? '\x1b[32mok\x1b[0m  ' : '\x1b[31mMISS\x1b[0m';
+      const verdict = result.error ? `failed: ${result.error}` : `detected ${shortType(result.predicted)} (${result.confidence}%)`;
+      console.log(`${mark} ${result.strategy.padEnd(10)} ${result.name.padEnd(22)} expected ${shortType(result.expected).padEnd(13)} ${verdict}`);
+    }
+  });
+  const summary = summarizeBenchmark(results);
+
+  if (json) {
+    console.log(JSON.stringify({ measure, strategies, ...summary, results }, null, 2));
+  } else {
+    console.log(`\n${formatMatrix(summary)}\n\n${formatAccuracy(summary)}`);
+  }
+  return minAccuracy !== null && summary.accuracy < minAccuracy ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = EXIT_CODES.failure;
+});
@@ -2,31 +2,206 @@
 const { performance } = require('perf_hooks');
 const { stringify } = require('querystring');
 const ss = require('simple-statistics');
-const { VM } = require('vm2');
-
-/**
- * Executes a user-provided function in a secure sandbox.
- * @param {string} code The string content of the user's function.
- * @param {*} input The input to pass to the user's function.
- * @returns The result of the function execution.
- * @throws An error if the code is invalid, times out, or contains errors.
- */
-function runInSandbox(code, input) {
-  const vm = new VM({
-    timeout: 5000, // 5-second timeout per execution
-    sandbox: { input },
-    eval: false,
-    wasm: false,
-    require: false // Disallow require()
+const { distributions, DISTRIBUTION_NAMES } = require('./utils/distributions');
+const { mixSeed } = require('./utils/random');
+const { instrumentCode } = require('./utils/operations');
+const { fitLeastSquares } = require('./utils/regression');
+const { trimmedMean, describeDispersion, informationCriteria, bootstrapShares } = require('./utils/statistics');
+const { SANDBOX_LIMITS, openSandboxSession } = require('./utils/sandbox');
+const { measureTimerResolution } = require('./utils/probes');
+const { SandboxError, CancelledError, InvalidOptionsError } = require('./errors');
+
+/**
+ * The parameter list used when none is declared: a single argument that scales with n.
+ */
+const DEFAULT_PARAMS = [{ kind: 'scaling' }];
+
+/**
+ * What runAnalysis can measure per call: wall-clock milliseconds, or a deterministic count of
+ * loop iterations, function calls and property accesses in instrumented code.
+ */
+const MEASURES = ['time', 'operations'];
+
+/**
+ * How runAnalysis builds the input for size n: the array 0..n-1, n itself, or the code's own
+ * `generateInput(n)`.
+ */
+const INPUT_MODES = ['array', 'number', 'custom'];
+
+// Unmeasured runs at the smallest size before measuring, so the function is already optimized.
+const WARMUP_RUNS = 10;
+
+// Baseline runs per size when calibrating the time probe.
+const CALIBRATION_RUNS = 20;
+
+// Unrecorded baseline runs before timing a batch's harness, while its loop is still compiling.
+const BATCH_WARMUP_RUNS = 2;
+
+// The sizes a calibration covers when none are given, e.g. for a sweep that picks its own sizes.
+const DEFAULT_CALIBRATION_SIZES = [10, 1000, 100000];
+
+// The shortest a timing sample should last; faster functions get several calls per sample.
+const MIN_SAMPLE_MS = 1;
+
+// The most calls one timing sample batches.
+const MAX_REPETITIONS = 100000;
+
+// The most a batch grows between two probes of its length.
+const MAX_BATCH_GROWTH = 100;
+
+// The most input elements a batch with a fresh input per call may build up front.
+const MAX_BATCH_ELEMENTS = 1e6;
+
+// One call per sample, on its own input.
+const SINGLE_CALL = Object.freeze({ repetitions: 1, freshInputs: false });
+
+/**
+ * Checks a parameter spec list and returns it in normalized form.
+ * Each entry describes one argument of `functionToTest`, in order:
+ *   - `{ kind: 'scaling', dimension }` The input that grows with n (built according to the input mode).
+ *     `dimension` is 'n' (default) or, in a two-variable grid sweep, 'm'. Exactly one is required per dimension.
+ *   - `{ kind: 'fixed', value }` The same value on every call.
+ *   - `{ kind: 'derived', expression }` A JS expression evaluated against the scaling `input`, `n` and `m`,
+ *     e.g. `input[input.length - 1] + input[input.length - 2]`.
+ * @param {Array<object>} [params] The parameter specs, defaulting to a single scaling argument.
+ * @param {Array<string>} [dimensions] The size dimensions that need a scaling parameter (default ['n']).
+ * @returns {Array<object>} The validated parameter specs.
+ * @throws {InvalidOptionsError} Describing the first invalid entry.
+ */
+function normalizeParams(params, dimensions = ['n']) {
+  if ((params === undefined || params === null) && dimensions.length === 1) return DEFAULT_PARAMS;
+  if (!Array.isArray(params) || params.length === 0) {
+    throw new InvalidOptionsError('params must be a non-empty array of parameter specs.', 'params');
+  }
+
+  const normalized = params.map((param, i) => {
+    if (!param || typeof param !== 'object') {
+      throw new InvalidOptionsError(`Parameter ${i + 1} must be an object.`, 'params');
+    }
+    switch (param.kind) {
+      case 'scaling': {
+        const dimension = param.dimension || 'n';
+        if (!dimensions.includes(dimension)) {
+          throw new InvalidOptionsError(`Parameter ${i + 1} scales with '${dimension}', but only ${dimensions.join(' and ')} vary in this run.`, 'params');
+        }
+        return { kind: 'scaling', dimension };
+      }
+      case 'fixed':
+        return { kind: 'fixed', value: param.value };
+      case 'derived':
+        if (typeof param.expression !== 'string' || param.expression.trim() === '') {
+          throw new InvalidOptionsError(`Parameter ${i + 1} is derived but has no expression.`, 'params');
+        }
+        return { kind: 'derived', expression: param.expression };
+      default:
+        throw new InvalidOptionsError(`Parameter ${i + 1} has unknown kind '${param.kind}'. Use 'scaling', 'fixed' or 'derived'.`, 'params');
+    }
   });
 
-  // We combine the user's code with the call to the function.
-  const fullCode = `
+  for (const dimension of dimensions) {
+    if (normalized.filter(p => p.kind === 'scaling' && p.dimension === dimension).length !== 1) {
+      const message = dimensions.length === 1
+        ? 'Exactly one parameter must be the scaling input.'
+        : `Exactly one parameter must be the scaling input for ${dimension}.`;
+      throw new InvalidOptionsError(message, 'params');
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Builds the source of an array literal holding the call arguments, one per parameter spec.
+ * Fixed values are read from the `__fixedArgs` sandbox global.
+ * @param {Array<object>} params Normalized parameter specs.
+ * @returns {string}
+ */
+function buildArgumentsSource(params) {
+  const args = params.map((param, i) => {
+    if (param.kind === 'scaling') return param.dimension === 'm' ? 'inputM' : 'input';
+    if (param.kind === 'fixed') return `__fixedArgs[${i}]`;
+    return `((input, n, m) => (${param.expression}))(input, n, m)`;
+  });
+  return `[${args.join(', ')}]`;
+}
+
+/**
+ * Opens a sandbox session for the user's code, compiled once, whose runs each measure one call,
+ * or a batch of `repetitions` calls. The scaling input and any derived arguments are prepared
+ * before the timer starts, so only the calls to `functionToTest` themselves are measured, inside
+ * the sandbox. Every run gets a freshly built input; a batch with `freshInputs` gets one per call,
+ * otherwise its calls share one. In 'custom' mode the input comes from the user's `generateInput(n)`
+ * (or `generateInput(n, m)` in a grid sweep), which runs inside the same sandbox.
+ * The session also declares the `__ops` counter that instrumented code increments; its value
+ * is handed to the probe at both marks, which only the operation probe uses. A baseline run
+ * builds the same arguments and marks around a call to an empty function instead.
+ * @param {string} code The user's source, defining `functionToTest` (and `generateInput` in 'custom' mode).
+ * @param {string} inputMode 'array' (0..n-1), 'number' (n itself) or 'custom' (generateInput(n)).
+ * @param {Array<object>} params Normalized parameter specs describing each argument.
+ * @returns {Promise<object>} The session (see openSandboxSession). Each
+ *   `run({ n, m, distribution, seed, probe, baseline, repetitions, freshInputs })` resolves with
+ *   milliseconds for the 'time' probe, bytes for 'memory' or a count for 'operations' (with
+ *   instrumented code), for the whole batch. Each `check({ n, m })` resolves with the call's
+ *   `{ args, output }`; the arguments go through JSON. Each `mutates({ n, m })` makes one call and
+ *   resolves with whether it modified its arguments, as far as JSON can tell.
+ * @throws {SandboxError} If the code times out, runs out of memory or throws while loading.
+ */
+function openSession(code, inputMode, params) {
+  // We combine the user's code with the argument setup and the measured call.
+  const source = `
+        let __ops = 0;
+        const __countAccess = (value) => (__ops++, value);
         ${code}
-        functionToTest(input);
+        function __buildArgs(input, inputM) {
+          ${inputMode === 'custom' ? 'input = generateInput(n, m);' : ''}
+          return ${buildArgumentsSource(params)};
+        }
+        function __argumentLists() {
+          const __lists = [__buildArgs(__inputs[0].input, __inputs[0].inputM)];
+          for (let __i = 1; __i < __repetitions; __i++) {
+            __lists.push(__inputs.length > 1 ? __buildArgs(__inputs[__i].input, __inputs[__i].inputM) : __lists[0]);
+          }
+          return __lists;
+        }
+        function __runMeasured() {
+          const __lists = __argumentLists();
+          __markStart(__ops);
+          for (let __i = 0; __i < __lists.length; __i++) functionToTest(...__lists[__i]);
+          __markEnd(__ops);
+        }
+        function __runBaseline() {
+          const __lists = __argumentLists();
+          __markStart(__ops);
+          for (let __i = 0; __i < __lists.length; __i++) __emptyFunction(...__lists[__i]);
+          __markEnd(__ops);
+        }
+        function __emptyFunction() {}
+        function __runChecked() {
+          const [__args] = __argumentLists();
+          // Snapshot the arguments first: the function may modify them.
+          const args = JSON.parse(JSON.stringify(__args));
+          return { args, output: functionToTest(...__args) };
+        }
+        function __mutatesInput() {
+          const [__args] = __argumentLists();
+          const __snapshot = () => {
+            try {
+              return JSON.stringify(__args);
+            } catch (e) {
+              return undefined;
+            }
+          };
+          const __before = __snapshot();
+          functionToTest(...__args);
+          // Arguments JSON can't show are treated as modified, which is the safe guess.
+          return __before === undefined || __snapshot() !== __before;
+        }
     `;
 
-  return vm.run(fullCode);
+  return openSandboxSession({
+    source,
+    inputMode,
+    fixedArgs: params.map(p => (p.kind === 'fixed' ? p.value : undefined))
+  });
 }
 
 /**
@@ -39,180 +214,1262 @@ function generateInputArray(n) {
 }
 
 /**
- * Runs an algorithm with varying input sizes and collects execution times.
- * @param {Function} algorithm The function to test for Big O complexity.
+ * Checks a measure name and returns the code to run for it:
+ * operation counting runs an instrumented copy of the user's code.
+ * @param {string} measure One of MEASURES, which is also the name of the sandbox probe.
+ * @param {string} code The user's source.
+ * @returns {string}
+ * @throws {InvalidOptionsError} If the measure is unknown.
+ * @throws {SandboxError} If the code can't be parsed for operation counting.
+ */
+function prepareMeasure(measure, code) {
+  if (!MEASURES.includes(measure)) {
+    throw new InvalidOptionsError(`Unknown measure '${measure}'. Use one of: ${MEASURES.join(', ')}.`, 'measure');
+  }
+  return measure === 'operations' ? instrumentCode(code) : code;
+}
+
+/**
+ * Re-throws a failed run with where it happened, keeping the failure reason.
+ * @param {Error} error The error from the sandbox session.
+ * @param {string} where Which run failed, e.g. 'during warmup' or 'for input size n=1000'.
+ * @throws {SandboxError}
+ */
+function rethrowSandboxError(error, where) {
+  const reason = error instanceof SandboxError ? error.reason : 'error';
+  const summary = {
+    timeout: 'Execution timed out',
+    'out-of-memory': 'Execution ran out of memory',
+    error: 'Execution failed'
+  }[reason];
+  throw new SandboxError(reason, `${summary} ${where}. Details: ${error.message}`);
+}
+
+/**
+ * Runs an algorithm with varying input sizes and collects execution times (or operation
+ * counts) and, unless disabled, the peak extra heap each call allocates.
+ * In 'custom' mode the code must also define `generateInput(n)`, which is called
+ * inside the sandbox to build each input outside of the timed region.
+ * @param {string} code The source defining `functionToTest` (and `generateInput` in 'custom' mode).
  * @param {Array<number>} inputSizes An array of input sizes to test.
  * @param {number} iterations Number of times to run per input size (default 10).
- * @returns {Array<{n: number, time: number}>} An array of data points.
+ * @param {string} inputMode 'array' (0..n-1), 'number' (n itself) or 'custom' (generateInput(n)).
+ * @param {Array<object>} [params] Parameter specs for multi-argument functions (see normalizeParams).
+ * @param {object} [options]
+ * @param {string} [options.distribution] In 'array' mode, one of DISTRIBUTION_NAMES to use instead of 0..n-1.
+ * @param {number} [options.seed] Seed for the distribution, so runs are reproducible (default 42).
+ * @param {boolean} [options.measureMemory] Also record peak extra heap in bytes per call (default true).
+ *   Memory runs are separate from the timed runs, since collecting the heap first would skew the timings.
+ * @param {string} [options.measure] 'time' (default) records milliseconds under `time`; 'operations'
+ *   records loop iterations, function calls and property accesses under `operations`. Counts are exact,
+ *   so the same code and inputs always give the same data points, and one run per size is enough
+ *   unless a distribution varies the input between iterations.
+ * @param {object} [options.calibration] From calibrateTiming: each timed run has the harness overhead
+ *   at its size subtracted, so the times are the function's own. A batched size has its batch's own
+ *   harness timed and subtracted instead (see measureHarness).
+ * @param {Function} [options.onProgress] Called with { dataPoint, completed, total } as each size completes.
+ * @param {AbortSignal} [options.signal] Cancels the analysis, stopping the sandbox mid-run.
+ * @returns {Promise<Array<{n: number, time?: number, operations?: number, memory?: number, repetitions?: number,
+ *   harness?: {overheadMs: number, floorMs: number}, samples: object, dispersion: object}>>}
+ *   One data point per size. Time and operations are the 20% trimmed mean of the runs, memory their median;
+ *   `samples` holds the runs (after any baseline subtraction) and `dispersion` their spread (see
+ *   describeDispersion), both keyed by metric. When timing, a size whose calls are too fast to time
+ *   one by one batches several calls per run (see chooseBatch); `repetitions` then says how many,
+ *   and the times are still per call. With a calibration, `harness` holds such a batch's overhead and floor.
+ * @throws {SandboxError} If a run times out, runs out of memory or throws; `reason` says which.
+ * @throws {CancelledError} If the signal fired.
+ * @throws {InvalidOptionsError} If the params, measure or distribution are invalid.
  */
-function runAnalysis(code, inputSizes, iterations = 10, inputMode = 'array') {
+async function runAnalysis(code, inputSizes, iterations = 10, inputMode = 'array', params, options = {}) {
   const dataPoints = [];
+  const paramSpecs = normalizeParams(params);
+  const { distribution, seed = 42, measureMemory = true, measure = 'time', calibration, onProgress, signal } = options;
+  const measuredCode = prepareMeasure(measure, code);
+  // Counts only vary with the input, so repeating a run on the same input adds nothing.
+  const measuredIterations = measure === 'operations' && !distribution ? Math.min(1, iterations) : iterations;
+  // Heap usage is far steadier than wall time, so a few runs per size are plenty.
+  const memoryIterations = measureMemory ? Math.min(3, iterations) : 0;
+  const describeRun = createRunDescriber(inputMode, distribution, seed);
 
-  // The warmup phase is less critical now as each run is isolated, 
-  // but a single, quick initial run can still help initialize things if needed.
-  if (inputSizes.length > 0) {
-    try {
-      const warmupSize = inputSizes[0];
-      const warmupInput = inputMode === 'number' ? warmupSize : generateInputArray(warmupSize);
-      runInSandbox(code, warmupInput);
-    } catch (e) {
-      // If warmup fails, it's a strong indicator the user's code is broken.
-      // We should probably throw this error to be caught by the server handler.
-      console.error('Warmup execution failed:', e.message);
-      throw new Error(`Execution failed during warmup: ${e.message}`);
+  if (inputSizes.length === 0) return dataPoints;
+
+  const sessions = await openMeasurementSessions(code, measuredCode, inputMode, paramSpecs, measureMemory, signal);
+  try {
+    await warmUp(sessions, describeRun, inputSizes[0], measure);
+
+    for (const n of inputSizes) {
+      const batch = await chooseBatch(sessions, describeRun, n, measure, previousCallMs(dataPoints, n));
+      const harness = await measureHarness(sessions, describeRun, n, measure, batch, calibration);
+      const { measurements, memories } = await measureSize(sessions, describeRun, n, measure, measuredIterations, memoryIterations, 0, batch);
+      const times = perCallMeasurements(measurements, measure, harness, batch.repetitions);
+      const dataPoint = toDataPoint(n, measure, times, memories, measureMemory, batch.repetitions, harness);
+      dataPoints.push(dataPoint);
+      if (onProgress) onProgress({ dataPoint, completed: dataPoints.length, total: inputSizes.length });
     }
+  } finally {
+    sessions.close();
   }
 
-  for (const n of inputSizes) {
-    const times = [];
-    for (let i = 0; i < iterations; i++) {
-      const inputForAlgorithm = inputMode === 'number' ? n : generateInputArray(n);
+  return dataPoints;
+}
+
+// A size whose measurements have a coefficient of variation above this gets extra iterations.
+const HIGH_VARIANCE = 0.25;
+
+/**
+ * Runs an algorithm within a total time budget, choosing the input sizes itself.
+ * It starts small and grows n geometrically. Before each step it predicts the step's cost from
+ * the growth between the last two sizes, and it stops once the next step would go over the budget
+ * or risk the sandbox timeout. Sizes whose measurements vary a lot get extra iterations while
+ * the budget allows. A step that still times out or runs out of memory ends the sweep, and the
+ * sizes measured before it are kept.
+ * @param {string} code The source defining `functionToTest` (and `generateInput` in 'custom' mode).
+ * @param {number} budgetMs Wall-clock budget for the whole analysis, including sandbox setup.
+ * @param {string} inputMode 'array' (0..n-1), 'number' (n itself) or 'custom' (generateInput(n)).
+ * @param {Array<object>} [params] Parameter specs for multi-argument functions (see normalizeParams).
+ * @param {object} [options] The runAnalysis options (distribution, seed, measureMemory, measure, calibration), plus:
+ * @param {number} [options.iterations] Iterations per size before any extras (default 10).
+ * @param {number} [options.maxIterations] Iterations per size including extras (default 3x iterations).
+ * @param {number} [options.startSize] The first n (default 10).
+ * @param {number} [options.growth] Factor between consecutive sizes (default 2).
+ * @param {number} [options.maxSize] The largest n to try (default 10,000,000).
+ * @param {Function} [options.onProgress] Called with { dataPoint, completed, total: null, elapsedMs } as each size completes.
+ * @param {AbortSignal} [options.signal] Cancels the analysis, stopping the sandbox mid-run.
+ * @returns {Promise<{
+ *   dataPoints: Array<{n: number, time?: number, operations?: number, memory?: number, samples: object, dispersion: object}>,
+ *   elapsedMs: number,
+ *   stoppedBecause: string
+ * }>} The data points (as in runAnalysis), the time spent, and why the sweep stopped: 'budget',
+ *   'timeout' (the next step risked the per-run time limit, or hit it), 'out-of-memory' or 'maxSize'.
+ * @throws {SandboxError} If the code throws, or the very first size can't be measured.
+ * @throws {CancelledError} If the signal fired.
+ * @throws {InvalidOptionsError} If the params, measure or distribution are invalid.
+ */
+async function runAdaptiveAnalysis(code, budgetMs, inputMode = 'array', params, options = {}) {
+  const startedAt = performance.now();
+  const elapsed = () => performance.now() - startedAt;
+  const paramSpecs = normalizeParams(params);
+  const {
+    distribution,
+    seed = 42,
+    measureMemory = true,
+    measure = 'time',
+    iterations = 10,
+    maxIterations = iterations * 3,
+    startSize = 10,
+    growth = 2,
+    maxSize = 1e7,
+    calibration,
+    onProgress,
+    signal
+  } = options;
+  const measuredCode = prepareMeasure(measure, code);
+  const measuredIterations = measure === 'operations' && !distribution ? 1 : iterations;
+  const memoryIterations = measureMemory ? Math.min(3, iterations) : 0;
+  const describeInput = createRunDescriber(inputMode, distribution, seed);
+  // No single run may outlast what is left of the budget, however wrong the prediction was.
+  const describeRun = (n, iteration) => ({
+    ...describeInput(n, iteration),
+    timeoutMs: Math.max(1, Math.ceil(budgetMs - elapsed()))
+  });
+  // Building an array or custom input is linear in n on its own, so steps grow at least that fast.
+  const minimumExponent = inputMode === 'number' ? 0 : 1;
+
+  const dataPoints = [];
+  let stoppedBecause = 'maxSize';
+  let lastStepMs = 0;
+  let lastRunMs = 0;
 
+  const sessions = await openMeasurementSessions(code, measuredCode, inputMode, paramSpecs, measureMemory, signal);
+  try {
+    await warmUp(sessions, describeRun, startSize, measure);
+
+    for (let n = startSize; n <= maxSize; n = Math.max(n + 1, Math.round(n * growth))) {
+      if (dataPoints.length > 0) {
+        const previous = dataPoints[dataPoints.length - 1];
+        const ratio = n / previous.n;
+        const exponent = dataPoints.length > 1
+          ? Math.max(minimumExponent, localExponent(dataPoints[dataPoints.length - 2], previous, measure))
+          : minimumExponent;
+        const costGrowth = ratio ** exponent;
+        if (lastRunMs * costGrowth > SANDBOX_LIMITS.timeoutMs / 2) {
+          stoppedBecause = 'timeout';
+          break;
+        }
+        if (elapsed() + lastStepMs * costGrowth > budgetMs) {
+          stoppedBecause = 'budget';
+          break;
+        }
+      }
+
+      const stepStartedAt = performance.now();
+      let batch;
+      let harness;
+      let measured;
       try {
-        const start = performance.now();
-        runInSandbox(code, inputForAlgorithm);
-        const end = performance.now();
-        times.push(end - start);
+        batch = await chooseBatch(sessions, describeRun, n, measure, previousCallMs(dataPoints, n));
+        harness = await measureHarness(sessions, describeRun, n, measure, batch, calibration);
+        measured = await measureSize(sessions, describeRun, n, measure, measuredIterations, memoryIterations, 0, batch);
+
+        // Noisy sizes get more runs, one at a time, while the budget allows.
+        const { measurements } = measured;
+        while (measurements.length < maxIterations && describeDispersion(measurements).cv > HIGH_VARIANCE) {
+          const runMs = (performance.now() - stepStartedAt) / (measurements.length + measured.memories.length);
+          if (elapsed() + runMs > budgetMs) break;
+          const extra = await measureSize(sessions, describeRun, n, measure, 1, 0, measurements.length, batch);
+          measurements.push(...extra.measurements);
+        }
       } catch (e) {
-        // If any iteration fails (e.g., timeout), we invalidate the results for this input size.
-        console.error(`Execution failed for input size ${stringify(n)}:`, e.message);
-        // We will return the data points gathered so far and let the server decide how to proceed.
-        // Or we could throw, aborting the whole analysis. Let's throw to be safe.
-        throw new Error(`Execution timed out or failed for input size n=${n}. Details: ${e.message}`);
+        const limitHit = e instanceof SandboxError && (e.reason === 'timeout' || e.reason === 'out-of-memory');
+        if (!limitHit || dataPoints.length === 0) throw e;
+        stoppedBecause = e.reason === 'timeout' && elapsed() >= budgetMs ? 'budget' : e.reason;
+        break;
       }
+
+      lastStepMs = performance.now() - stepStartedAt;
+      lastRunMs = lastStepMs / (measured.measurements.length + measured.memories.length);
+      const times = perCallMeasurements(measured.measurements, measure, harness, batch.repetitions);
+      const dataPoint = toDataPoint(n, measure, times, measured.memories, measureMemory, batch.repetitions, harness);
+      dataPoints.push(dataPoint);
+      if (onProgress) onProgress({ dataPoint, completed: dataPoints.length, total: null, elapsedMs: elapsed() });
     }
+  } finally {
+    sessions.close();
+  }
+
+  return { dataPoints, elapsedMs: elapsed(), stoppedBecause };
+}
 
-    const avgTime = ss.mean(times);
-    dataPoints.push({ n, time: avgTime });
+/**
+ * The log-log slope between two data points: how fast the measurement grew with n.
+ * @returns {number} The exponent k in value ~ n^k, or 1 if either value isn't positive.
+ */
+function localExponent(a, b, metric) {
+  if (!(a[metric] > 0 && b[metric] > 0)) return 1;
+  return Math.log(b[metric] / a[metric]) / Math.log(b.n / a.n);
+}
+
+/**
+ * Returns a function describing the input for one run of (n, iteration). In 'array' mode with a
+ * distribution, every (n, iteration) pair gets its own seeded stream. The sandbox builds the
+ * input itself, so large inputs never touch this process's heap.
+ * @returns {(n: number, iteration: number) => {n: number, distribution?: string, seed?: number}}
+ */
+function createRunDescriber(inputMode, distribution, seed) {
+  if (distribution !== undefined && !distributions[distribution]) {
+    throw new InvalidOptionsError(`Unknown distribution '${distribution}'. Use one of: ${DISTRIBUTION_NAMES.join(', ')}.`, 'distribution');
   }
+  return (n, iteration) => {
+    if (inputMode !== 'array' || !distribution) return { n };
+    return { n, distribution, seed: mixSeed(seed, n, iteration) };
+  };
+}
 
-  return dataPoints;
+/**
+ * Throws a CancelledError if the signal fired.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw new CancelledError();
+}
+
+/**
+ * Opens the sandbox sessions an analysis measures with. Memory runs need the uninstrumented code,
+ * so operation counting gets a second session for them. The signal closes the sessions when it
+ * fires, which fails the pending run at once.
+ * @returns {Promise<{session: object, memorySession: object|null, close: Function, signal?: AbortSignal}>}
+ * @throws {SandboxError} If the code fails to load.
+ * @throws {CancelledError} If the signal fired.
+ */
+async function openMeasurementSessions(code, measuredCode, inputMode, paramSpecs, measureMemory, signal) {
+  throwIfCancelled(signal);
+  const opened = [];
+  const closeAll = () => opened.forEach(session => session.close());
+  const close = () => {
+    if (signal) signal.removeEventListener('abort', closeAll);
+    closeAll();
+  };
+  if (signal) signal.addEventListener('abort', closeAll, { once: true });
+
+  const open = async (source) => {
+    try {
+      const session = await openSession(source, inputMode, paramSpecs);
+      opened.push(session);
+      throwIfCancelled(signal);
+      return session;
+    } catch (e) {
+      close();
+      throwIfCancelled(signal);
+      console.error('Loading the code failed:', e.message);
+      rethrowSandboxError(e, 'while loading the code');
+    }
+  };
+
+  const session = await open(measuredCode);
+  const memorySession = !measureMemory ? null
+    : measuredCode === code ? session : await open(code);
+  return { session, memorySession, close, signal };
+}
+
+/**
+ * Runs the function a few times at the first size without recording anything. The sandbox keeps
+ * its JIT state between runs, so the first measured size then starts from optimized code like the others.
+ * @throws {SandboxError} If a warmup run fails, which usually means the code is broken.
+ * @throws {CancelledError} If the sessions' signal fired.
+ */
+async function warmUp({ session, signal }, describeRun, n, measure) {
+  try {
+    for (let i = 0; i < WARMUP_RUNS; i++) {
+      throwIfCancelled(signal);
+      await session.run({ ...describeRun(n, i), probe: measure });
+    }
+  } catch (e) {
+    throwIfCancelled(signal);
+    // If warmup fails, it's a strong indicator the user's code is broken.
+    // We should probably throw this error to be caught by the server handler.
+    console.error('Warmup execution failed:', e.message);
+    rethrowSandboxError(e, 'during warmup');
+  }
+}
+
+/**
+ * Picks how many calls each timing sample at size n batches, so a sample lasts at least
+ * MIN_SAMPLE_MS and the clock's resolution is a small part of it. It times ever larger batches,
+ * without recording them, until one lasts long enough or reaches MAX_REPETITIONS. A function that
+ * modifies its input (sorting it in place, say) can't be called again on the same one, so its
+ * batches get a fresh input per call, all built before the timer starts; to bound the memory
+ * that takes, their size is capped at MAX_BATCH_ELEMENTS elements in all.
+ * @param {number|null} previousCallMs The per-call time at the last smaller size, if known. Larger inputs
+ *   take at least as long, so if that already fills a sample there is nothing to probe.
+ * @returns {Promise<{repetitions: number, freshInputs: boolean}>} Always one call for other measures.
+ * @throws {SandboxError} If a probe run fails, with the size in the message.
+ * @throws {CancelledError} If the sessions' signal fired.
+ */
+async function chooseBatch({ session, signal }, describeRun, n, measure, previousCallMs) {
+  if (measure !== 'time' || (previousCallMs !== null && previousCallMs >= MIN_SAMPLE_MS)) return SINGLE_CALL;
+  let batch = SINGLE_CALL;
+  let maxRepetitions = MAX_REPETITIONS;
+  let mutationChecked = false;
+  try {
+    for (let i = 0; ; i++) {
+      // The first run of a larger batch can still be compiling its loop, so a batch is timed twice.
+      const probeBatch = async (iteration) => {
+        throwIfCancelled(signal);
+        return session.run({ ...describeRun(n, iteration), probe: 'time', ...batch });
+      };
+      const sampleMs = Math.min(await probeBatch(2 * i), await probeBatch(2 * i + 1));
+      if (sampleMs >= MIN_SAMPLE_MS || batch.repetitions >= maxRepetitions) return batch;
+      if (!mutationChecked) {
+        mutationChecked = true;
+        if (await session.mutates(describeRun(n, 0))) {
+          maxRepetitions = Math.floor(MAX_BATCH_ELEMENTS / Math.max(n, 1));
+          if (maxRepetitions <= 1) return SINGLE_CALL;
+          batch = { ...batch, freshInputs: true };
+        }
+      }
+      // Aim for twice the minimum, so the batch isn't left just short of it by noise.
+      const growth = Math.min(MAX_BATCH_GROWTH, Math.ceil(2 * MIN_SAMPLE_MS / Math.max(sampleMs, Number.EPSILON)));
+      batch = { ...batch, repetitions: Math.min(maxRepetitions, batch.repetitions * Math.max(2, growth)) };
+    }
+  } catch (e) {
+    throwIfCancelled(signal);
+    console.error(`Execution failed for input size ${stringify(n)}:`, e.message);
+    rethrowSandboxError(e, `for input size n=${n}`);
+  }
+}
+
+/**
+ * The per-call time measured at the last data point, if its size is below n; null otherwise.
+ */
+function previousCallMs(dataPoints, n) {
+  const previous = dataPoints[dataPoints.length - 1];
+  return previous && previous.n < n && previous.time !== undefined ? previous.time : null;
+}
+
+/**
+ * The harness cost to take off each timed run at size n, and the floor for what is left. A single
+ * call gets the calibration's overhead and floor. A batch's harness costs more than one call's:
+ * building its argument lists, looping over them and spreading them grows with its calls, and so
+ * does the jitter. So a batch's harness is timed itself, in the measuring session, around an empty
+ * function called with the same repetitions and inputs; its floor is the calibration's, or that
+ * baseline's own jitter if that is larger.
+ * @param {{repetitions: number, freshInputs: boolean}} batch From chooseBatch.
+ * @param {object} [calibration] From calibrateTiming; without it, nothing is subtracted.
+ * @returns {Promise<{overheadMs: number, floorMs: number}|null>} Both for a whole run; null without a
+ *   calibration or when not timing.
+ * @throws {SandboxError} If a baseline run fails, with the size in the message.
+ * @throws {CancelledError} If the sessions' signal fired.
+ */
+async function measureHarness({ session, signal }, describeRun, n, measure, batch, calibration) {
+  if (!calibration || measure !== 'time') return null;
+  if (batch.repetitions === 1) return { overheadMs: overheadAt(calibration, n), floorMs: calibration.floorMs };
+  const samples = [];
+  try {
+    for (let i = 0; i < BATCH_WARMUP_RUNS + CALIBRATION_RUNS; i++) {
+      throwIfCancelled(signal);
+      const ms = await session.run({ ...describeRun(n, i), probe: 'time', baseline: true, ...batch });
+      if (i >= BATCH_WARMUP_RUNS) samples.push(ms);
+    }
+  } catch (e) {
+    throwIfCancelled(signal);
+    console.error(`Execution failed for input size ${stringify(n)}:`, e.message);
+    rethrowSandboxError(e, `for input size n=${n}`);
+  }
+  const overheadMs = ss.median(samples);
+  return { overheadMs, floorMs: Math.max(calibration.floorMs, ss.quantile(samples, 0.9) - overheadMs) };
+}
+
+/**
+ * Measures one input size: `runs` measured runs and `memoryRuns` heap-measuring calls,
+ * each with a fresh input. A measured run makes one call, or the batch of calls `batch` describes.
+ * @param {number} [firstIteration] The iteration number of the first run, so extra runs get new seeds.
+ * @param {{repetitions: number, freshInputs: boolean}} [batch] From chooseBatch (default one call).
+ * @returns {Promise<{measurements: Array<number>, memories: Array<number>}>} Each measurement covers its whole batch.
+ * @throws {SandboxError} If any run fails, with the size in the message.
+ * @throws {CancelledError} If the sessions' signal fired.
+ */
+async function measureSize({ session, memorySession, signal }, describeRun, n, measure, runs, memoryRuns, firstIteration = 0, batch = SINGLE_CALL) {
+  const measurements = [];
+  const memories = [];
+  for (let i = firstIteration; i < firstIteration + Math.max(runs, memoryRuns); i++) {
+    throwIfCancelled(signal);
+    try {
+      if (i - firstIteration < runs) {
+        measurements.push(await session.run({ ...describeRun(n, i), probe: measure, ...batch }));
+      }
+      if (i - firstIteration < memoryRuns) {
+        memories.push(await memorySession.run({ ...describeRun(n, i), probe: 'memory' }));
+      }
+    } catch (e) {
+      throwIfCancelled(signal);
+      // If any iteration fails (e.g., timeout), we invalidate the results for this input size.
+      console.error(`Execution failed for input size ${stringify(n)}:`, e.message);
+      // We will return the data points gathered so far and let the server decide how to proceed.
+      // Or we could throw, aborting the whole analysis. Let's throw to be safe.
+      rethrowSandboxError(e, `for input size n=${n}`);
+    }
+  }
+  return { measurements, memories };
+}
+
+/**
+ * Calibrates the time probe before an analysis. It measures the clock's resolution, then times the
+ * harness alone: the same sandbox, argument setup and marks as a measured run, around an empty
+ * function, at each input size. runAnalysis subtracts that overhead from every timed run of one
+ * call (see its `calibration` option), so a tiny function's times aren't mostly the harness; a
+ * batched run has its own batch's harness timed instead (see measureHarness).
+ *
+ * The floor is the smallest time worth telling apart from nothing: twice the clock's resolution,
+ * or the baseline's own jitter (the spread between its median and 90th percentile) if that is larger.
+ * @param {string} code The source defining `functionToTest` (and `generateInput` in 'custom' mode).
+ * @param {Array<number>} [inputSizes] The sizes to time the harness at (default 10, 1000 and 100,000).
+ * @param {string} [inputMode] 'array' (default), 'number' or 'custom', as in runAnalysis.
+ * @param {Array<object>} [params] Parameter specs, as in runAnalysis.
+ * @param {object} [options]
+ * @param {string} [options.distribution] The input distribution, as in runAnalysis.
+ * @param {number} [options.seed] Seed for the distribution (default 42).
+ * @param {number} [options.runs] Baseline runs per size (default 20).
+ * @param {AbortSignal} [options.signal] Cancels the calibration.
+ * @returns {Promise<{timerResolutionMs: number, overheads: Array<{n: number, overheadMs: number}>, floorMs: number}>}
+ *   `overheads` holds the median baseline time at each size.
+ * @throws {SandboxError} If the code fails to load, or building an input fails.
+ * @throws {CancelledError} If the signal fired.
+ * @throws {InvalidOptionsError} If the params or distribution are invalid.
+ */
+async function calibrateTiming(code, inputSizes = DEFAULT_CALIBRATION_SIZES, inputMode = 'array', params, options = {}) {
+  const { distribution, seed = 42, runs = CALIBRATION_RUNS, signal } = options;
+  const paramSpecs = normalizeParams(params);
+  const describeRun = createRunDescriber(inputMode, distribution, seed);
+  const timerResolutionMs = measureTimerResolution();
+  let floorMs = 2 * timerResolutionMs;
+  const overheads = [];
+
+  const sessions = await openMeasurementSessions(code, code, inputMode, paramSpecs, false, signal);
+  try {
+    const baselineRun = (n, i) => sessions.session.run({ ...describeRun(n, i), probe: 'time', baseline: true });
+    for (let i = 0; i < WARMUP_RUNS; i++) {
+      throwIfCancelled(signal);
+      await baselineRun(inputSizes[0], i);
+    }
+    for (const n of inputSizes) {
+      const samples = [];
+      for (let i = 0; i < runs; i++) {
+        throwIfCancelled(signal);
+        samples.push(await baselineRun(n, i));
+      }
+      const overheadMs = ss.median(samples);
+      overheads.push({ n, overheadMs });
+      floorMs = Math.max(floorMs, ss.quantile(samples, 0.9) - overheadMs);
+    }
+  } catch (e) {
+    throwIfCancelled(signal);
+    rethrowSandboxError(e, 'while calibrating the timer');
+  } finally {
+    sessions.close();
+  }
+
+  return { timerResolutionMs, overheads, floorMs };
+}
+
+/**
+ * The harness overhead a calibration measured at the size closest to n (on a log scale).
+ * @param {object} calibration From calibrateTiming.
+ * @param {number} n
+ * @returns {number} Milliseconds.
+ */
+function overheadAt({ overheads }, n) {
+  const distance = (entry) => Math.abs(Math.log(Math.max(entry.n, 1) / Math.max(n, 1)));
+  return overheads.reduce((closest, entry) => (distance(entry) < distance(closest) ? entry : closest)).overheadMs;
+}
+
+/**
+ * Turns timed runs into per-call times: the harness overhead comes off each run, which is then
+ * shared among the calls it batched. A run can't take less than no time, so results below the
+ * overhead become 0. Other measures pass through.
+ * @param {{overheadMs: number}|null} harness From measureHarness; without it, no overhead is subtracted.
+ * @param {number} [repetitions] Calls per run (default 1).
+ * @returns {Array<number>}
+ */
+function perCallMeasurements(measurements, measure, harness, repetitions = 1) {
+  if (measure !== 'time') return measurements;
+  const overheadMs = harness ? harness.overheadMs : 0;
+  return measurements.map(ms => Math.max(0, ms - overheadMs) / repetitions);
 }
 
 /**
- * Calculates the Root Mean Square Error (RMSE) between actual and predicted values.
- * @param {Array<number>} actual
- * @param {Array<number>} predicted
+ * The calibration as reported next to an analysis: the calibration itself, plus the sizes
+ * where the timings can't resolve the function (see findUnresolved).
+ * @param {object} calibration From calibrateTiming.
+ * @param {Array<{n: number, time: number, repetitions?: number, harness?: object}>} dataPoints The timed data
+ *   points, from runAnalysis.
+ * @returns {{timerResolutionMs: number, overheads: Array<object>, floorMs: number, unresolvedSizes: Array<number>}}
+ */
+function summarizeCalibration(calibration, dataPoints) {
+  return {
+    ...calibration,
+    unresolvedSizes: findUnresolved(dataPoints, calibration).unresolved.map(point => point.n)
+  };
+}
+
+/**
+ * Finds the data points whose times can't be told apart from noise. A point is unresolved below its
+ * own floor (see floorFor), and the unresolved points all share one floor, the largest of theirs:
+ * a batch's floor is its own baseline's jitter, so fitting each point at its own would trace that
+ * jitter. A point below the shared floor is unresolved too, which may raise the floor again.
+ * @param {Array<{time: number, repetitions?: number, harness?: object}>} dataPoints
+ * @param {object} calibration From calibrateTiming.
+ * @returns {{floorMs: number, unresolved: Array<object>}} The shared per-call floor (0 if every point
+ *   is resolved) and the unresolved points, in order.
+ */
+function findUnresolved(dataPoints, calibration) {
+  let floorMs = 0;
+  let unresolved = [];
+  for (;;) {
+    const below = dataPoints.filter(point => point.time < Math.max(floorFor(calibration, point), floorMs));
+    if (below.length === unresolved.length) return { floorMs, unresolved };
+    unresolved = below;
+    floorMs = Math.max(...unresolved.map(point => floorFor(calibration, point)));
+  }
+}
+
+/**
+ * The per-call time below which a data point's runs can't be resolved: the floor of its runs (its
+ * batch's own, if it was batched), shared among the calls each run made.
+ */
+function floorFor(calibration, point) {
+  const floorMs = point.harness ? point.harness.floorMs : calibration.floorMs;
+  return floorMs / (point.repetitions || 1);
+}
+
+/**
+ * Summarizes one size's runs as a data point: the center of the measurements, plus the heap if
+ * measured, and the calls per run when they were batched, with the batch's harness if it was measured.
+ */
+function toDataPoint(n, measure, measurements, memories, measureMemory, repetitions = 1, harness = null) {
+  const runs = { [measure]: measurements };
+  if (measureMemory) runs.memory = memories;
+  if (repetitions === 1) return { n, ...summarizeRuns(runs) };
+  return harness ? { n, repetitions, harness, ...summarizeRuns(runs) } : { n, repetitions, ...summarizeRuns(runs) };
+}
+
+// Share of the runs dropped from each end before averaging a size's time or operation count.
+const TRIM_PROPORTION = 0.2;
+
+/**
+ * The value a data point reports for a metric's runs: the trimmed mean, which drops the runs a
+ * garbage collection or the scheduler slowed down. Heap usage takes the median, which ignores
+ * the odd run where the heap grew for unrelated reasons.
+ * @param {string} metric
+ * @param {Array<number>} runs
+ * @returns {number}
+ */
+function centerOf(metric, runs) {
+  return metric === 'memory' ? ss.median(runs) : trimmedMean(runs, TRIM_PROPORTION);
+}
+
+/**
+ * Summarizes runs by metric into data point fields.
+ * @param {Object<string, Array<number>>} runs The measurements by metric, e.g. { time: [...], memory: [...] }.
+ * @returns {object} Each metric's center (see centerOf), plus the raw runs under `samples` and
+ *   their spread (see describeDispersion) under `dispersion`, both keyed by metric.
+ */
+function summarizeRuns(runs) {
+  const summary = {};
+  const samples = {};
+  const dispersion = {};
+  for (const [metric, values] of Object.entries(runs)) {
+    summary[metric] = centerOf(metric, values);
+    samples[metric] = values;
+    dispersion[metric] = describeDispersion(values);
+  }
+  return { ...summary, samples, dispersion };
+}
+
+/**
+ * n! for non-negative integers; Infinity beyond 170!, where doubles overflow.
+ * @param {number} n
  * @returns {number}
  */
-function calculateRMSE(actual, predicted) {
-  const sumSquaredErrors = actual.reduce((sum, val, i) => sum + (val - predicted[i]) ** 2, 0);
-  return Math.sqrt(sumSquaredErrors / actual.length);
+function factorial(n) {
+  if (n > 170) return Infinity;
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * The complexity classes determineComplexity can detect, from simplest to most complex.
+ * `complexity` is the simplicity rank used to prefer simpler models when fits are close;
+ * `transform` maps n onto the x-axis of the linear regression (O(1) is fitted as the mean instead).
+ */
+const COMPLEXITY_MODELS = [
+  { type: 'O(1) - Constant', complexity: 1, transform: () => 1 },
+  { type: 'O(log n) - Logarithmic', complexity: 2, transform: n => Math.log(n) },
+  { type: 'O(log^2 n) - Log-squared', complexity: 3, transform: n => Math.log(n) ** 2 },
+  { type: 'O(sqrt n) - Square Root', complexity: 4, transform: n => Math.sqrt(n) },
+  { type: 'O(n) - Linear', complexity: 5, transform: n => n },
+  { type: 'O(n log n) - Linear-ithmic', complexity: 6, transform: n => n * Math.log(n) },
+  { type: 'O(n^2) - Quadratic', complexity: 7, transform: n => n ** 2 },
+  { type: 'O(n^2 log n) - Quadratic-logarithmic', complexity: 8, transform: n => n ** 2 * Math.log(n) },
+  { type: 'O(n^3) - Cubic', complexity: 9, transform: n => n ** 3 },
+  { type: 'O(2^n) - Exponential', complexity: 10, transform: n => 2 ** n },
+  { type: 'O(n!) - Factorial', complexity: 11, transform: n => factorial(n) }
+];
+
+/**
+ * Estimates the empirical exponent k in O(n^k) from the slope of a log-log regression.
+ * Points with a non-positive measurement carry no information on a log scale and are skipped.
+ * @param {Array<{n: number, time: number, memory?: number}>} dataPoints
+ * @param {string} metric Which measurement to use: 'time' (default) or 'memory'.
+ * @returns {number|null} k rounded to two decimals, or null with fewer than two usable points.
+ */
+function estimateExponent(dataPoints, metric = 'time') {
+  const logData = dataPoints
+    .filter(d => d.n > 0 && d[metric] > 0)
+    .map(d => [Math.log(d.n), Math.log(d[metric])]);
+  if (logData.length < 2 || new Set(logData.map(([x]) => x)).size < 2) return null;
+
+  const { m } = ss.linearRegression(logData);
+  return Math.round(m * 100) / 100;
 }
 
+// A more complex model has to beat a simpler one by more than this much BIC to be preferred.
+// Differences below 2 are conventionally "not worth more than a bare mention" (Kass & Raftery, 1995).
+const BIC_TOLERANCE = 2;
+
 /**
- * Determines the Big O complexity based on the RMSE of various regression models.
- * @param {Array<{n: number, time: number}>} dataPoints
- * @returns {Object} Analysis result with RMSE scores and best fit.
+ * Fits every candidate model to the values and scores the fit.
+ * @param {Array<{type: string, complexity: number, parameters: number, fit: Function}>} candidates
+ *   `parameters` counts the fitted coefficients, intercept included. fit(values) fits the model and
+ *   returns { coefficients, predictions }, with the intercept first among the coefficients, or null
+ *   if the model can't be fitted.
+ * @param {Array<number>} values The measurements, one per data point.
+ * @returns {Array<{type: string, complexity: number, parameters: number, coefficients: Array<number>,
+ *   rss: number, rmse: number, aic: number, bic: number}>} One entry per model that could be fitted.
  */
-function determineComplexity(dataPoints) {
+function scoreModels(candidates, values) {
+  // Exact measurements (operation counts) fit some models perfectly. Flooring the residuals at
+  // round-off level keeps the logarithm in the criteria finite and lets equally exact models tie.
+  const rssFloor = 1e-20 * ss.sum(values.map(v => v * v)) || Number.MIN_VALUE;
+
+  const models = [];
+  for (const { type, complexity, parameters, fit } of candidates) {
+    const fitted = fit(values);
+    if (!fitted) continue;
+    const { coefficients, predictions } = fitted;
+    const rss = values.reduce((sum, value, i) => sum + (value - predictions[i]) ** 2, 0);
+    const { aic, bic } = informationCriteria(Math.max(rss, rssFloor), values.length, parameters);
+    models.push({ type, complexity, parameters, coefficients, rss, rmse: Math.sqrt(rss / values.length), aic, bic });
+  }
+  return models;
+}
+
+/**
+ * Picks the winner among scored models: the simplest one whose BIC is within BIC_TOLERANCE of
+ * the lowest, and among equally simple ones the lower BIC.
+ * @param {Array<{complexity: number, bic: number}>} models
+ * @returns {object} The winning model.
+ */
+function selectModel(models) {
+  const lowest = Math.min(...models.map(m => m.bic));
+  return models
+    .filter(m => m.bic - lowest <= BIC_TOLERANCE)
+    .reduce((best, m) => (m.complexity < best.complexity || (m.complexity === best.complexity && m.bic < best.bic) ? m : best));
+}
+
+/**
+ * Scores the candidate models on the data points, picks the winner, and bootstraps the choice:
+ * every resample redraws each point's raw runs and picks again. Confidence is the share of
+ * resamples that pick the same winner. Points without raw runs count as exact.
+ * @param {Array<object>} candidates As in scoreModels.
+ * @param {Array<object>} dataPoints Points with `metric` and, from the analyses, `samples[metric]`.
+ * @param {string} metric
+ * @returns {{bestModel: object, confidence: number, results: Array<object>}} Confidence is a 0-100
+ *   percentage. `results` holds every fitted model's scores and coefficients, lowest BIC first.
+ */
+function compareModels(candidates, dataPoints, metric) {
+  const models = scoreModels(candidates, dataPoints.map(d => d[metric]));
+  const bestModel = selectModel(models);
+
+  const groups = dataPoints.map(d => (d.samples && d.samples[metric]) || [d[metric]]);
+  const shares = bootstrapShares(
+    groups,
+    runs => centerOf(metric, runs),
+    values => selectModel(scoreModels(candidates, values)).type
+  );
+
+  const lowest = Math.min(...models.map(m => m.bic));
+  const results = models
+    .map(({ type, complexity, parameters, coefficients, rss, rmse, aic, bic }) => ({
+      type,
+      rank: complexity,
+      parameters,
+      coefficients,
+      rss,
+      rmse,
+      aic,
+      bic,
+      deltaBic: bic - lowest,
+      bootstrapShare: shares[type] || 0
+    }))
+    .sort((a, b) => a.bic - b.bic);
+
+  return { bestModel, confidence: (shares[bestModel.type] || 0) * 100, results };
+}
+
+/**
+ * Fits the unresolved data points as their shared floor (see findUnresolved), each as a single
+ * exact run, so bootstrap resamples don't redraw the noise below it.
+ * @param {Array<{time: number, repetitions?: number, samples?: object}>} dataPoints
+ * @param {object} calibration From calibrateTiming.
+ * @returns {{dataPoints: Array<object>, resolved: number}} New data points, and how many of them were
+ *   resolved; the originals are left as measured.
+ */
+function raiseToFloor(dataPoints, calibration) {
+  const { floorMs, unresolved } = findUnresolved(dataPoints, calibration);
+  return {
+    dataPoints: dataPoints.map(point => (unresolved.includes(point)
+      ? { ...point, time: floorMs, samples: { ...point.samples, time: [floorMs] } }
+      : point)),
+    resolved: dataPoints.length - unresolved.length
+  };
+}
+
+/**
+ * Determines the Big O complexity by fitting every model in COMPLEXITY_MODELS and comparing
+ * them by BIC, which charges the constant model one parameter less than the others. A growing
+ * class whose fitted slope isn't positive is left out, here and in every bootstrap resample,
+ * so a flat or falling series comes out O(1).
+ * @param {Array<{n: number, time?: number, operations?: number, memory?: number, samples?: object}>} dataPoints
+ * @param {string} metric Which measurement to fit: 'time' (default), 'operations', or 'memory' for space complexity.
+ * @param {object} [options]
+ * @param {object} [options.calibration] From calibrateTiming. Times below its floor can't be told apart
+ *   from one another, so they are all fitted as one floor: a function too fast to resolve at every size is
+ *   O(1). They are no evidence for the fit either, so the confidence only counts the resolved points: it is
+ *   the bootstrap share scaled by their share of the points, 0 when none is resolved.
+ * @returns {{bestFit: string, rank: number, confidence: number, exponent: number|null, results: Array<object>}}
+ *   The best fit, its simplicity rank, the bootstrap confidence (0-100), the empirical exponent,
+ *   and the scores of every model that could be fitted (see compareModels).
+ */
+function determineComplexity(dataPoints, metric = 'time', options = {}) {
+  const { calibration } = options;
   const nValues = dataPoints.map(d => d.n);
-  const timeValues = dataPoints.map(d => d.time);
-
-  // 1. O(1) Constant: Time = mean(Time)
-  const meanTime = ss.mean(timeValues);
-  const constantPredictions = nValues.map(() => meanTime);
-  const constantRMSE = calculateRMSE(timeValues, constantPredictions);
-
-  // Helper to run linear regression on transformed data and get RMSE
-  const getRegressionRMSE = (transformFn) => {
-    const data = dataPoints.map(d => [transformFn(d.n), d.time]);
-    const model = ss.linearRegression(data);
-    const line = ss.linearRegressionLine(model);
-    const predictions = dataPoints.map(d => line(transformFn(d.n)));
-    return calculateRMSE(timeValues, predictions);
+
+  // O(1) Constant: Time = mean(Time). Every other class: Time = a + b * transform(n)
+  const candidates = [{
+    type: COMPLEXITY_MODELS[0].type,
+    complexity: COMPLEXITY_MODELS[0].complexity,
+    parameters: 1,
+    fit: (values) => {
+      const mean = ss.mean(values);
+      return { coefficients: [mean], predictions: values.map(() => mean) };
+    }
+  }];
+  for (const { type, complexity, transform } of COMPLEXITY_MODELS.slice(1)) {
+    // Fast-growing classes overflow at large n (2^1024, 171!); the regression squares
+    // the transformed values, so those must stay finite too. Such models are left out.
+    const x = nValues.map(transform);
+    if (!x.every(value => Number.isFinite(value ** 2))) continue;
+    candidates.push({
+      type,
+      complexity,
+      parameters: 2,
+      fit: (values) => {
+        const { b, m } = ss.linearRegression(x.map((xi, i) => [xi, values[i]]));
+        // A class that shrinks (or stays flat) as n grows isn't growth at all; flat data is O(1)'s.
+        if (!(m > 0)) return null;
+        return { coefficients: [b, m], predictions: x.map(xi => b + m * xi) };
+      }
+    });
+  }
+
+  const floored = calibration && metric === 'time'
+    ? raiseToFloor(dataPoints, calibration)
+    : { dataPoints, resolved: dataPoints.length };
+  const { bestModel, confidence, results } = compareModels(candidates, floored.dataPoints, metric);
+
+  return {
+    bestFit: bestModel.type,
+    rank: bestModel.complexity,
+    confidence: Math.round(confidence * floored.resolved / dataPoints.length),
+    exponent: estimateExponent(dataPoints, metric),
+    results
   };
+}
 
-  // 2. O(n) Linear
-  const linearRMSE = getRegressionRMSE(n => n);
+/**
+ * Evaluates a fitted model from determineComplexity at an input size, e.g. to draw its curve.
+ * @param {string} type The model's type, one of COMPLEXITY_MODELS.
+ * @param {Array<number>} coefficients The model's fitted coefficients from `results`: [intercept, slope],
+ *   or just [mean] for O(1).
+ * @param {number} n
+ * @returns {number} The model's predicted measurement at n.
+ */
+function evaluateModel(type, coefficients, n) {
+  const model = COMPLEXITY_MODELS.find(m => m.type === type);
+  if (!model) throw new Error(`Unknown complexity model '${type}'.`);
+  const [intercept, slope = 0] = coefficients;
+  return intercept + slope * model.transform(n);
+}
 
-  // 3. O(n^2) Quadratic
-  const quadraticRMSE = getRegressionRMSE(n => n ** 2);
+/**
+ * Calls the function once per input size, unmeasured, and collects what it returns, e.g. to
+ * compare it with a reference solution. The inputs are built as in runAnalysis.
+ * @param {string} code The source defining `functionToTest` (and `generateInput` in 'custom' mode).
+ * @param {Array<number>} inputSizes The size of each call's input; repeat a size for several calls.
+ * @param {string} inputMode 'array' (0..n-1), 'number' (n itself) or 'custom' (generateInput(n)).
+ * @param {Array<object>} [params] Parameter specs for multi-argument functions (see normalizeParams).
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] Cancels the calls, stopping the sandbox mid-run.
+ * @returns {Promise<Array<{n: number, args: Array<*>, output: *}>>} One entry per size: the arguments
+ *   as they were before the call (copied through JSON) and the function's return value.
+ * @throws {SandboxError} If a call times out, runs out of memory, throws, or returns something
+ *   that can't be copied out of the sandbox.
+ * @throws {CancelledError} If the signal fired.
+ * @throws {InvalidOptionsError} If the params are invalid.
+ */
+async function collectOutputs(code, inputSizes, inputMode = 'array', params, options = {}) {
+  const paramSpecs = normalizeParams(params);
+  const { signal } = options;
+  const { session, close } = await openMeasurementSessions(code, code, inputMode, paramSpecs, false, signal);
+  try {
+    const outputs = [];
+    for (const n of inputSizes) {
+      throwIfCancelled(signal);
+      try {
+        const { args, output } = await session.check({ n });
+        outputs.push({ n, args, output });
+      } catch (e) {
+        throwIfCancelled(signal);
+        rethrowSandboxError(e, `for input size n=${n}`);
+      }
+    }
+    return outputs;
+  } finally {
+    close();
+  }
+}
 
-  // 4. O(log n) Logarithmic
-  const logRMSE = getRegressionRMSE(n => Math.log(n));
+/**
+ * Measures the same algorithm against every seeded input distribution and reports
+ * the best, average and worst case side by side.
+ * Best and worst are the distributions with the simplest and most complex verdicts
+ * (ties go to the lowest and highest total time or count); the average case is the random distribution.
+ * @param {string} code The source defining `functionToTest`.
+ * @param {Array<number>} inputSizes An array of input sizes to test.
+ * @param {number} iterations Number of times to run per input size.
+ * @param {Array<object>} [params] Parameter specs for multi-argument functions.
+ * @param {number} [seed] Seed shared by all distributions (default 42).
+ * @param {string} [measure] 'time' (default) or 'operations', as in runAnalysis.
+ * @param {object} [options]
+ * @param {object} [options.calibration] From calibrateTiming, as in runAnalysis.
+ * @param {Function} [options.onProgress] Called with { distribution, dataPoint, completed, total } as each
+ *   size of each distribution completes.
+ * @param {AbortSignal} [options.signal] Cancels the analysis, stopping the sandbox mid-run.
+ * @returns {Promise<{
+ *   distributions: Object<string, {dataPoints: Array<{n: number, time?: number, operations?: number}>, complexity: object}>,
+ *   best: {distribution: string, bestFit: string, confidence: number},
+ *   average: {distribution: string, bestFit: string, confidence: number},
+ *   worst: {distribution: string, bestFit: string, confidence: number},
+ *   casesDisagree: boolean
+ * }>}
+ */
+async function runCaseAnalysis(code, inputSizes, iterations = 10, params, seed = 42, measure = 'time', options = {}) {
+  const { calibration, onProgress, signal } = options;
+  const total = inputSizes.length * DISTRIBUTION_NAMES.length;
+  const byDistribution = {};
+  for (const [index, distribution] of DISTRIBUTION_NAMES.entries()) {
+    const reportProgress = onProgress && (({ dataPoint, completed }) => {
+      onProgress({ distribution, dataPoint, completed: index * inputSizes.length + completed, total });
+    });
+    const dataPoints = await runAnalysis(code, inputSizes, iterations, 'array', params, {
+      distribution, seed, measure, calibration, onProgress: reportProgress, signal
+    });
+    byDistribution[distribution] = { dataPoints, complexity: determineComplexity(dataPoints, measure, { calibration }) };
+  }
 
-  // 5. O(n log n) Linear-ithmic
-  const nLogNRMSE = getRegressionRMSE(n => n * Math.log(n));
+  const totalTime = name => ss.sum(byDistribution[name].dataPoints.map(d => d[measure]));
+  const ordered = [...DISTRIBUTION_NAMES].sort((a, b) => {
+    const rankDiff = byDistribution[a].complexity.rank - byDistribution[b].complexity.rank;
+    return rankDiff !== 0 ? rankDiff : totalTime(a) - totalTime(b);
+  });
 
-  const models = [
-    { type: 'O(1) - Constant', rmse: constantRMSE, complexity: 1 },
-    { type: 'O(log n) - Logarithmic', rmse: logRMSE, complexity: 2 },
-    { type: 'O(n) - Linear', rmse: linearRMSE, complexity: 3 },
-    { type: 'O(n log n) - Linear-ithmic', rmse: nLogNRMSE, complexity: 4 },
-    { type: 'O(n^2) - Quadratic', rmse: quadraticRMSE, complexity: 5 }
-  ];
+  const summarize = name => ({
+    distribution: name,
+    bestFit: byDistribution[name].complexity.bestFit,
+    confidence: byDistribution[name].complexity.confidence
+  });
+  const best = summarize(ordered[0]);
+  const worst = summarize(ordered[ordered.length - 1]);
 
-  models.sort((a, b) => a.rmse - b.rmse);
+  return {
+    distributions: byDistribution,
+    best,
+    average: summarize('random'),
+    worst,
+    casesDisagree: best.bestFit !== worst.bestFit
+  };
+}
 
-  let bestModel = models[0];
-  let confidence;
+// How far past the largest measured size a crossover is extrapolated from the fitted models.
+const CROSSOVER_SEARCH_FACTOR = 1000;
+// Sizes sampled per search when extrapolating a crossover.
+const CROSSOVER_SEARCH_STEPS = 200;
 
-  // Hybrid approach: use a special heuristic for ultra-fast functions, and standard logic for others.
-  const isUltraFast = meanTime < 1e-4;
+/**
+ * Measures two or more implementations on the same input sizes and the same generated inputs,
+ * and compares them. Runs are interleaved: every iteration of every size runs each implementation
+ * once, with the first one rotating between iterations, so drift over the analysis (thermal
+ * throttling, background load) spreads evenly instead of penalizing whoever runs last.
+ * Each implementation gets its own sandbox. In 'array' and 'number' mode the sandbox builds
+ * each run's input from (n, distribution, seed), so all implementations see identical inputs;
+ * in 'custom' mode that holds only if their `generateInput` is deterministic.
+ * @param {Array<{name: string, code: string}>} implementations The sources to compare, each
+ *   defining `functionToTest` (and `generateInput` in 'custom' mode). The first one is the baseline.
+ * @param {Array<number>} inputSizes An array of input sizes to test.
+ * @param {number} iterations Number of times to run each implementation per input size (default 10).
+ * @param {string} inputMode 'array' (0..n-1), 'number' (n itself) or 'custom' (generateInput(n)).
+ * @param {Array<object>} [params] Parameter specs shared by every implementation (see normalizeParams).
+ * @param {object} [options]
+ * @param {string} [options.distribution] In 'array' mode, one of DISTRIBUTION_NAMES to use instead of 0..n-1.
+ * @param {number} [options.seed] Seed for the distribution (default 42).
+ * @param {string} [options.measure] 'time' (default) or 'operations', as in runAnalysis.
+ * @param {Function} [options.onProgress] Called with { implementation, dataPoint, completed, total } as each
+ *   size of each implementation completes.
+ * @param {AbortSignal} [options.signal] Cancels the analysis, stopping the sandboxes mid-run.
+ * @returns {Promise<{
+ *   baseline: string,
+ *   implementations: Array<{name: string, dataPoints: Array<object>, complexity: object}>,
+ *   speedups: Array<{n: number, ratios: Object<string, number>}>,
+ *   crossovers: Array<{implementations: Array<string>, n: number|null, fasterBelow: string, fasterAbove: string, extrapolated: boolean}>
+ * }>} Each implementation's data points (as in runAnalysis, without memory) and complexity (as in
+ *   determineComplexity); at each size, how many times faster each implementation is than the
+ *   baseline; and, for every pair, the estimated n where the faster one changes (see findCrossover).
+ * @throws {SandboxError} If a run times out, runs out of memory or throws; the message names the implementation.
+ * @throws {CancelledError} If the signal fired.
+ * @throws {InvalidOptionsError} If the implementations' names clash, or the params, measure or distribution are invalid.
+ */
+async function runComparison(implementations, inputSizes, iterations = 10, inputMode = 'array', params, options = {}) {
+  if (!Array.isArray(implementations) || implementations.length < 2) {
+    throw new InvalidOptionsError('A comparison needs at least two implementations.', 'implementations');
+  }
+  if (new Set(implementations.map(impl => impl.name)).size !== implementations.length) {
+    throw new InvalidOptionsError('Every implementation in a comparison needs its own name.', 'implementations');
+  }
+  const paramSpecs = normalizeParams(params);
+  const { distribution, seed = 42, measure = 'time', onProgress, signal } = options;
+  const measuredIterations = measure === 'operations' && !distribution ? Math.min(1, iterations) : iterations;
+  const describeRun = createRunDescriber(inputMode, distribution, seed);
+  const total = inputSizes.length * implementations.length;
+  const dataPoints = implementations.map(() => []);
 
-  if (isUltraFast) {
-    const o1Model = models.find(m => m.type.includes('O(1)'));
-    const logModel = models.find(m => m.type.includes('O(log n)'));
+  const sessions = [];
+  // Names the implementation in a failure, keeping the reason.
+  const blame = async (index, task) => {
+    try {
+      return await task();
+    } catch (e) {
+      if (!(e instanceof SandboxError)) throw e;
+      throw new SandboxError(e.reason, `${implementations[index].name}: ${e.message}`);
+    }
+  };
 
-    // For ultra-fast functions, trust the model with the mathematically superior (lower) RMSE.
-    if (logModel && o1Model && logModel.rmse < o1Model.rmse) {
-      bestModel = logModel;
-    } else {
-      bestModel = o1Model; // Default to O(1) otherwise
+  try {
+    for (const [index, { code }] of implementations.entries()) {
+      const measuredCode = prepareMeasure(measure, code);
+      sessions.push(await blame(index, () => openMeasurementSessions(code, measuredCode, inputMode, paramSpecs, false, signal)));
+    }
+    for (const [index, session] of sessions.entries()) {
+      await blame(index, () => warmUp(session, describeRun, inputSizes[0], measure));
     }
 
-    confidence = 95; // Assign a high, fixed confidence score based on this heuristic.
-  } else {
-    // Standard logic for macroscopic measurements: prefer simpler models if they are "close enough".
-    for (let i = 1; i < models.length; i++) {
-      const candidate = models[i];
-      if (candidate.complexity < bestModel.complexity) {
-        const diff = (candidate.rmse - bestModel.rmse) / (bestModel.rmse || 1e-9);
-        if (diff < 0.15) { // 15% tolerance
-          bestModel = candidate;
+    for (const n of inputSizes) {
+      const measurements = implementations.map(() => []);
+      for (let i = 0; i < measuredIterations; i++) {
+        for (let turn = 0; turn < sessions.length; turn++) {
+          const index = (i + turn) % sessions.length;
+          const measured = await blame(index, () => measureSize(sessions[index], describeRun, n, measure, 1, 0, i));
+          measurements[index].push(...measured.measurements);
         }
       }
+
+      for (const [index, { name }] of implementations.entries()) {
+        const dataPoint = toDataPoint(n, measure, measurements[index], [], false);
+        dataPoints[index].push(dataPoint);
+        if (onProgress) {
+          onProgress({ implementation: name, dataPoint, completed: ss.sum(dataPoints.map(points => points.length)), total });
+        }
+      }
+    }
+  } finally {
+    sessions.forEach(session => session.close());
+  }
+
+  const compared = implementations.map(({ name }, index) => ({
+    name,
+    dataPoints: dataPoints[index],
+    complexity: determineComplexity(dataPoints[index], measure)
+  }));
+
+  const [baseline] = compared;
+  const speedups = inputSizes.map((n, i) => {
+    const ratios = {};
+    for (const { name, dataPoints: points } of compared.slice(1)) {
+      ratios[name] = baseline.dataPoints[i][measure] / points[i][measure];
+    }
+    return { n, ratios };
+  });
+
+  const crossovers = [];
+  for (let a = 0; a < compared.length; a++) {
+    for (let b = a + 1; b < compared.length; b++) {
+      crossovers.push(findCrossover(compared[a], compared[b], measure));
     }
+  }
 
-    // Standard confidence calculation for slower functions
-    const signalMagnitude = meanTime > 0 ? meanTime : 1;
-    const normalizedError = bestModel.rmse / signalMagnitude;
-    const fitQuality = Math.max(0, 1 - (normalizedError * 2));
+  return { baseline: baseline.name, implementations: compared, speedups, crossovers };
+}
 
-    const sortedByFit = [...models].sort((a, b) => a.rmse - b.rmse);
-    let secondBest = sortedByFit[0];
-    if (secondBest === bestModel) {
-      secondBest = sortedByFit[1];
+/**
+ * Estimates the input size where two measured implementations swap places as the faster one.
+ * Within the measured range it interpolates between the two sizes around the last change of
+ * winner (on a log scale of n). If the same one wins at every measured size, it extrapolates
+ * both fitted best-fit models up to CROSSOVER_SEARCH_FACTOR times the largest size, since a
+ * slower implementation with a smaller Big O eventually wins.
+ * @param {{name: string, dataPoints: Array<object>, complexity: object}} a
+ * @param {{name: string, dataPoints: Array<object>, complexity: object}} b Measured at the same sizes as `a`.
+ * @param {string} metric
+ * @returns {{implementations: Array<string>, n: number|null, fasterBelow: string, fasterAbove: string, extrapolated: boolean}}
+ *   `n` is null when no crossover was found; then `fasterBelow` and `fasterAbove` both name the winner.
+ */
+function findCrossover(a, b, metric) {
+  const implementations = [a.name, b.name];
+  // Positive where `a` is slower.
+  const gaps = a.dataPoints.map((point, i) => ({ n: point.n, gap: point[metric] - b.dataPoints[i][metric] }))
+    .filter(({ gap }) => gap !== 0);
+  if (gaps.length === 0) {
+    return { implementations, n: null, fasterBelow: a.name, fasterAbove: a.name, extrapolated: false };
+  }
+  const fasterWhen = gap => (gap > 0 ? b.name : a.name);
+  const interpolate = (lower, upper) => {
+    if (!(lower.n > 0)) return upper.n;
+    const t = lower.gap / (lower.gap - upper.gap);
+    return Math.exp(Math.log(lower.n) + t * (Math.log(upper.n) - Math.log(lower.n)));
+  };
+
+  for (let i = gaps.length - 1; i > 0; i--) {
+    if (Math.sign(gaps[i].gap) !== Math.sign(gaps[i - 1].gap)) {
+      return {
+        implementations,
+        n: Math.round(interpolate(gaps[i - 1], gaps[i])),
+        fasterBelow: fasterWhen(gaps[i - 1].gap),
+        fasterAbove: fasterWhen(gaps[i].gap),
+        extrapolated: false
+      };
     }
+  }
+
+  const last = gaps[gaps.length - 1];
+  const winner = fasterWhen(last.gap);
+  const noCrossover = { implementations, n: null, fasterBelow: winner, fasterAbove: winner, extrapolated: false };
+  const fitted = ({ complexity }) => complexity.results.find(r => r.type === complexity.bestFit);
+  const [fitA, fitB] = [fitted(a), fitted(b)];
+  if (!(last.n > 0) || !fitA || !fitB) return noCrossover;
 
-    let separation = 0;
-    if (secondBest) {
-      separation = (secondBest.rmse - bestModel.rmse) / (secondBest.rmse || 1);
-      separation = Math.min(1, separation);
+  const step = Math.log(CROSSOVER_SEARCH_FACTOR) / CROSSOVER_SEARCH_STEPS;
+  let previous = last;
+  for (let i = 1; i <= CROSSOVER_SEARCH_STEPS; i++) {
+    const n = last.n * Math.exp(step * i);
+    const gap = evaluateModel(fitA.type, fitA.coefficients, n) - evaluateModel(fitB.type, fitB.coefficients, n);
+    // Fast-growing models overflow long before the search ends; nothing more can be told then.
+    if (!Number.isFinite(gap)) break;
+    if (Math.sign(gap) === -Math.sign(last.gap)) {
+      return {
+        implementations,
+        n: Math.round(interpolate(previous, { n, gap })),
+        fasterBelow: winner,
+        fasterAbove: fasterWhen(gap),
+        extrapolated: true
+      };
     }
+    previous = { n, gap };
+  }
+  return noCrossover;
+}
 
-    confidence = (fitQuality * 0.7 + separation * 0.3) * 100;
+/**
+ * The two-variable complexity classes determineGridComplexity can detect.
+ * Each model is fitted as Time = a + b1 * f1(n, m) + b2 * f2(n, m) + ..., so O(n + m) gets
+ * separate weights for n and m. `complexity` is the simplicity rank, as in COMPLEXITY_MODELS.
+ */
+const GRID_MODELS = [
+  { type: 'O(1) - Constant', complexity: 1, features: () => [] },
+  { type: 'O(n)', complexity: 2, features: (n) => [n] },
+  { type: 'O(m)', complexity: 2, features: (n, m) => [m] },
+  { type: 'O(n + m)', complexity: 3, features: (n, m) => [n, m] },
+  { type: 'O(n log m)', complexity: 4, features: (n, m) => [n * Math.log(m)] },
+  { type: 'O(m log n)', complexity: 4, features: (n, m) => [m * Math.log(n)] },
+  { type: 'O(n·m)', complexity: 5, features: (n, m) => [n * m] },
+  { type: 'O(n^2 + m)', complexity: 6, features: (n, m) => [n ** 2, m] },
+  { type: 'O(n + m^2)', complexity: 6, features: (n, m) => [n, m ** 2] },
+  { type: 'O(n^2·m)', complexity: 7, features: (n, m) => [n ** 2 * m] },
+  { type: 'O(n·m^2)', complexity: 7, features: (n, m) => [n * m ** 2] }
+];
+
+/**
+ * Runs an algorithm over every (n, m) pair of two independently varied sizes.
+ * Needs a scaling parameter for each dimension (`{ kind: 'scaling', dimension: 'm' }` for the second),
+ * except in 'custom' mode, where `generateInput(n, m)` builds a single scaling input from both sizes.
+ * @param {string} code The source defining `functionToTest` (and `generateInput` in 'custom' mode).
+ * @param {Array<number>} nSizes Sizes for the first dimension.
+ * @param {Array<number>} mSizes Sizes for the second dimension.
+ * @param {number} iterations Number of times to run per (n, m) pair (default 10).
+ * @param {string} inputMode 'array', 'number' or 'custom'.
+ * @param {Array<object>} params Parameter specs (see normalizeParams).
+ * @param {object} [options]
+ * @param {string} [options.measure] 'time' (default) or 'operations', as in runAnalysis.
+ * @param {Function} [options.onProgress] Called with { dataPoint, completed, total } as each pair completes.
+ * @param {AbortSignal} [options.signal] Cancels the analysis, stopping the sandbox mid-run.
+ * @returns {Promise<Array<{n: number, m: number, time?: number, operations?: number, samples: object, dispersion: object}>>}
+ *   One data point per pair, n-major, summarized as in runAnalysis.
+ * @throws {SandboxError} If a run times out, runs out of memory or throws; `reason` says which.
+ * @throws {CancelledError} If the signal fired.
+ * @throws {InvalidOptionsError} If the params or measure are invalid.
+ */
+async function runGridAnalysis(code, nSizes, mSizes, iterations = 10, inputMode = 'array', params, options = {}) {
+  const dimensions = inputMode === 'custom' ? ['n'] : ['n', 'm'];
+  const paramSpecs = normalizeParams(params, dimensions);
+  const { measure = 'time', onProgress, signal } = options;
+  const measuredCode = prepareMeasure(measure, code);
+  const measuredIterations = measure === 'operations' ? Math.min(1, iterations) : iterations;
+  const dataPoints = [];
+
+  const sessions = await openMeasurementSessions(code, measuredCode, inputMode, paramSpecs, false, signal);
+  const { session } = sessions;
+  try {
+    await warmUp(sessions, n => ({ n, m: mSizes[0] }), nSizes[0], measure);
+
+    for (const n of nSizes) {
+      for (const m of mSizes) {
+        const measurements = [];
+        for (let i = 0; i < measuredIterations; i++) {
+          throwIfCancelled(signal);
+          try {
+            measurements.push(await session.run({ n, m, probe: measure }));
+          } catch (e) {
+            throwIfCancelled(signal);
+            console.error(`Execution failed for input size n=${n}, m=${m}:`, e.message);
+            rethrowSandboxError(e, `for input size n=${n}, m=${m}`);
+          }
+        }
+        const dataPoint = { n, m, ...summarizeRuns({ [measure]: measurements }) };
+        dataPoints.push(dataPoint);
+        if (onProgress) onProgress({ dataPoint, completed: dataPoints.length, total: nSizes.length * mSizes.length });
+      }
+    }
+  } finally {
+    sessions.close();
   }
 
-  // Formatting for output (converting RMSE to 4 decimals string if needed, or keeping number)
-  const results = models.map(m => ({
-    type: m.type,
-    rmse: m.rmse
-  }));
+  return dataPoints;
+}
+
+/**
+ * Determines the two-variable Big O complexity by fitting every model in GRID_MODELS
+ * with least squares and comparing them as determineComplexity does.
+ * @param {Array<{n: number, m: number, time?: number, operations?: number, samples?: object}>} dataPoints
+ * @param {string} metric Which measurement to fit: 'time' (default) or 'operations'.
+ * @returns {{bestFit: string, rank: number, confidence: number, results: Array<object>}}
+ *   As in determineComplexity, without the exponent.
+ */
+function determineGridComplexity(dataPoints, metric = 'time') {
+  const candidates = GRID_MODELS.map(({ type, complexity, features }) => {
+    const rows = dataPoints.map(d => features(d.n, d.m));
+    const featureCount = rows[0].length;
+    return {
+      type,
+      complexity,
+      parameters: featureCount + 1,
+      fit: (values) => {
+        if (featureCount === 0) {
+          const mean = ss.mean(values);
+          return { coefficients: [mean], predictions: values.map(() => mean) };
+        }
+        // Needs more observations than coefficients; a model whose features are linearly
+        // dependent on this grid (e.g. O(m) when m never changes) can't be told apart and is skipped.
+        const fit = dataPoints.length > featureCount + 1 ? fitLeastSquares(rows, values) : null;
+        return fit && { coefficients: [fit.intercept, ...fit.coefficients], predictions: rows.map(fit.predict) };
+      }
+    };
+  });
 
-  // Re-sort results by RMSE for display purposes
-  results.sort((a, b) => a.rmse - b.rmse);
+  const { bestModel, confidence, results } = compareModels(candidates, dataPoints, metric);
 
   return {
     bestFit: bestModel.type,
+    rank: bestModel.complexity,
     confidence: Math.round(confidence),
-    results: results
+    results
   };
 }
 
 module.exports = {
+  COMPLEXITY_MODELS,
+  MEASURES,
+  INPUT_MODES,
+  GRID_MODELS,
   generateInputArray,
+  normalizeParams,
   runAnalysis,
-  determineComplexity
+  runAdaptiveAnalysis,
+  calibrateTiming,
+  summarizeCalibration,
+  runCaseAnalysis,
+  runComparison,
+  runGridAnalysis,
+  collectOutputs,
+  determineComplexity,
+  determineGridComplexity,
+  estimateExponent,
+  evaluateModel
 };
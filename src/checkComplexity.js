@@ -0,0 +1,96 @@
+// src/checkComplexity.js
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadComplexityConfig, runComplexityChecks, describeCheck } = require('./assertions');
+const { EXIT_CODES } = require('./cli');
+
+const USAGE = `Usage: node src/checkComplexity.js [config] [--format human|json]
+
+Checks every function listed in the config file (default bigo.config.json) against its declared
+complexity bound and prints a pass/fail report.
+
+Exit codes: 0 every check passed, 1 a function is worse than its bound or couldn't run,
+2 the config or options are invalid, 3 a check is inconclusive (within the bound, but not at the
+required confidence).
+`;
+
+// How each status is shown in the human report.
+const statusLabels = {
+  pass: '\x1b[32mPASS\x1b[0m',
+  fail: '\x1b[31mFAIL\x1b[0m',
+  inconclusive: '\x1b[33mINCONCLUSIVE\x1b[0m',
+  error: '\x1b[31mERROR\x1b[0m'
+};
+
+/**
+ * The run's exit code: failures and errors outrank inconclusive checks.
+ */
+function exitCodeFor(results) {
+  if (results.some(result => result.status === 'fail' || result.status === 'error')) return EXIT_CODES.failure;
+  if (results.some(result => result.status === 'inconclusive')) return EXIT_CODES.lowConfidence;
+  return EXIT_CODES.success;
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        format: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+    if (values.format !== undefined && !['human', 'json'].includes(values.format)) {
+      throw new Error('--format must be human or json.');
+    }
+    if (positionals.length > 1) throw new Error('Pass at most one config file.');
+  } catch (error) {
+    console.error(`${error.message}\nRun with --help to see the options.`);
+    return EXIT_CODES.usage;
+  }
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_CODES.success;
+  }
+
+  const configPath = path.resolve(process.cwd(), positionals[0] || 'bigo.config.json');
+  let checks;
+  try {
+    checks = loadComplexityConfig(configPath);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.usage;
+  }
+
+  const json = values.format === 'json';
+  if (!json) console.log(`Checking ${checks.length} function(s) from ${configPath}...\n`);
+  const results = await runComplexityChecks(checks, {
+    onResult: (result) => {
+      if (json) return;
+      const detail = result.status === 'error' ? `${result.name}: ${result.error}` : describeCheck(result);
+      console.log(`${statusLabels[result.status]} ${detail}`);
+    }
+  });
+
+  if (json) {
+    // The raw measurements stay out of the report; it's about the verdicts.
+    console.log(JSON.stringify(results.map(({ analysis, ...result }) => result), null, 2));
+  } else {
+    const counts = ['pass', 'fail', 'inconclusive', 'error']
+      .map(status => [status, results.filter(result => result.status === status).length])
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => `${count} ${status === 'pass' ? 'passed' : status === 'fail' ? 'failed' : status}`);
+    console.log(`\n${counts.join(', ')}.`);
+  }
+  return exitCodeFor(results);
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = EXIT_CODES.failure;
+});
@@ -0,0 +1,122 @@
+// src/classifierBenchmark.js
+const { COMPLEXITY_MODELS } = require('./calculator');
+const { analyze } = require('./analyze');
+const { parseComplexityBound } = require('./assertions');
+const { REFERENCE_CORPUS } = require('./test_algorithms');
+
+// How many sizes the linear and geometric strategies spread over a range.
+const SIZE_COUNT = 8;
+
+/**
+ * The growth strategies the benchmark measures each corpus entry under. Each turns the entry's
+ * [smallest, largest] range into input sizes, so the same strategy suits O(1) and O(n!) alike.
+ */
+const BENCHMARK_STRATEGIES = {
+  // Evenly spaced sizes, which crowd the large end and so favour the fast-growing classes.
+  linear: ([min, max]) => Array.from({ length: SIZE_COUNT }, (_, i) => Math.round(min + (max - min) * i / (SIZE_COUNT - 1))),
+  // Sizes evenly spaced on a log scale, as powers of 10 are.
+  geometric: ([min, max]) => Array.from({ length: SIZE_COUNT }, (_, i) => Math.round(min * (max / min) ** (i / (SIZE_COUNT - 1)))),
+  // The smallest size, then doubling while it stays within the range.
+  doubling: ([min, max]) => Array.from({ length: Math.floor(Math.log2(max / min)) + 1 }, (_, i) => min * 2 ** i)
+};
+
+/**
+ * The sizes a strategy gives for a range, without the repeats rounding makes in narrow ranges.
+ */
+function sizesFor(strategy, range) {
+  return [...new Set(BENCHMARK_STRATEGIES[strategy](range))];
+}
+
+/**
+ * Runs every corpus entry under every strategy and records the class the calculator picks.
+ * An entry that can't run (it throws or hits a sandbox limit) is recorded with its error and no
+ * prediction, so one broken entry doesn't stop the benchmark.
+ * @param {object} [options]
+ * @param {Array<string>} [options.strategies] Names from BENCHMARK_STRATEGIES (default: all of them).
+ * @param {string} [options.measure] 'operations' (default), which makes the benchmark repeatable, or 'time'.
+ * @param {number} [options.iterations] Runs per size when timing (default 10).
+ * @param {Array<object>} [options.corpus] The labeled functions (default REFERENCE_CORPUS).
+ * @param {Function} [options.onResult] Called with each result as it finishes.
+ * @returns {Promise<Array<{name: string, strategy: string, inputSizes: Array<number>, expected: string,
+ *   predicted: string|null, confidence: number|null, correct: boolean, error: string|null}>>}
+ *   `expected` and `predicted` are full types from COMPLEXITY_MODELS.
+ */
+async function runBenchmark(options = {}) {
+  const {
+    strategies = Object.keys(BENCHMARK_STRATEGIES),
+    measure = 'operations',
+    iterations,
+    corpus = REFERENCE_CORPUS,
+    onResult
+  } = options;
+  const results = [];
+  for (const strategy of strategies) {
+    for (const { fn, expected, inputMode, params, range } of corpus) {
+      const inputSizes = sizesFor(strategy, range);
+      const result = {
+        name: fn.name,
+        strategy,
+        inputSizes,
+        expected: parseComplexityBound(expected).type,
+        predicted: null,
+        confidence: null,
+        correct: false,
+        error: null
+      };
+      try {
+        const analysis = await analyze(fn, { inputSizes, inputMode, params, measure, iterations, measureMemory: false });
+        result.predicted = analysis.bigO;
+        result.confidence = analysis.confidence;
+        result.correct = analysis.bigO === result.expected;
+      } catch (error) {
+        result.error = error.message;
+      }
+      results.push(result);
+      if (onResult) onResult(result);
+    }
+  }
+  return results;
+}
+
+/**
+ * Tallies benchmark results into a confusion matrix and per-class accuracy.
+ * @param {Array<object>} results From runBenchmark.
+ * @returns {{
+ *   classes: Array<string>,
+ *   matrix: Array<Array<number>>,
+ *   perClass: Array<{type: string, runs: number, correct: number, errors: number, accuracy: number|null}>,
+ *   runs: number,
+ *   correct: number,
+ *   accuracy: number|null
+ * }} `classes` are the types of COMPLEXITY_MODELS, in order; `matrix[i][j]` counts the runs of
+ *   class i that were classified as class j (runs that failed aren't in it). Accuracies are the share
+ *   of runs classified correctly, in % (a failed run counts as wrong), or null for a class with no runs.
+ */
+function summarizeBenchmark(results) {
+  const classes = COMPLEXITY_MODELS.map(model => model.type);
+  const matrix = classes.map(() => classes.map(() => 0));
+  for (const { expected, predicted } of results) {
+    if (predicted) matrix[classes.indexOf(expected)][classes.indexOf(predicted)]++;
+  }
+  const percent = (part, whole) => (whole === 0 ? null : Math.round(part / whole * 1000) / 10);
+  const perClass = classes.map(type => {
+    const runs = results.filter(result => result.expected === type);
+    const correct = runs.filter(result => result.correct).length;
+    return {
+      type,
+      runs: runs.length,
+      correct,
+      errors: runs.filter(result => result.error).length,
+      accuracy: percent(correct, runs.length)
+    };
+  });
+  const correct = results.filter(result => result.correct).length;
+  return { classes, matrix, perClass, runs: results.length, correct, accuracy: percent(correct, results.length) };
+}
+
+module.exports = {
+  BENCHMARK_STRATEGIES,
+  sizesFor,
+  runBenchmark,
+  summarizeBenchmark
+};
@@ -0,0 +1,306 @@
+// src/cli.js
+const path = require('path');
+const { parseArgs } = require('util');
+const { MEASURES, INPUT_MODES } = require('./calculator');
+const { sizesForStrategy } = require('./analyze');
+const { EXPORT_FORMATS } = require('./report');
+const { PROBLEMS } = require('./problems');
+
+/**
+ * What the CLI exits with, so scripts can tell a failed analysis from a doubtful one.
+ */
+const EXIT_CODES = {
+  success: 0,
+  failure: 1, // The analysis couldn't run: the code threw, hit a sandbox limit or couldn't be loaded. Also a failed grade.
+  usage: 2, // The command line is invalid.
+  lowConfidence: 3 // The analysis ran, but its confidence is below --min-confidence (or a grade's is below the required one).
+};
+
+const STRATEGIES = ['list', 'powers', 'doubling', 'linear', 'grid', 'auto'];
+const OUTPUT_FORMATS = ['human', 'json'];
+
+const USAGE = `Usage: node src/test.js [options]
+
+Without options (or with only --export), asks for everything through interactive menus.
+
+Source:
+  -f, --file <path>           A file exporting the function to analyze. Without it, --function names a
+                              built-in algorithm from src/test_algorithms.js (e.g. linearTime, mergeSort); those
+                              taking n itself, like fibonacci, need --input-mode number.
+  -n, --function <name>       The exported function to analyze. Optional if the file exports only one.
+      --input-mode <mode>     array (default), number, or custom (the file's generateInput(n)).
+      --params <json>         Parameter specs for a multi-argument function, e.g.
+                              '[{"kind":"scaling"},{"kind":"fixed","value":-1}]'.
+
+Input sizes:
+      --strategy <name>       powers (default), doubling, linear, list, grid or auto.
+      --max-power <k>         powers: sizes 10, 100, ... 10^k (default 4).
+      --start <n>             doubling and linear: the first size (default 100).
+      --steps <count>         doubling: how many sizes (default 10).
+      --step <n>              linear: the distance between sizes (default --start).
+      --count <count>         linear: how many sizes (default 10).
+      --sizes <n,n,...>       list and grid: the sizes (n sizes for a grid). Implies --strategy list.
+      --m-sizes <m,m,...>     grid: the m sizes.
+      --budget <seconds>      auto: the time budget the sizes are picked within.
+
+Measurement:
+      --measure <name>        time (default) or operations.
+  -i, --iterations <count>    Runs per size (default 10).
+      --cases                 Best / average / worst case over five input distributions (array mode).
+
+Grading:
+      --problem <id>          Grade the --file solution to a catalog problem: check its answers against a
+                              reference solution and its complexity against the target. Combines only with
+                              --function, --measure (default operations), --iterations and --format.
+      --list-problems         List the catalog's problems.
+
+Output:
+      --format <name>         human (default) or json, printed to stdout.
+      --graph <path>          Where to draw the chart (default graph.png in human format, none in json).
+      --export <formats>      Also write reports: ${Object.keys(EXPORT_FORMATS).join(', ')} (comma-separated) or all.
+      --min-confidence <pct>  Exit with code 3 when the confidence is below this (default 75).
+  -h, --help                  Show this help.
+
+Exit codes: 0 success, 1 the analysis failed, 2 invalid options, 3 confidence below --min-confidence.
+A grade exits with 0 when it passes, 1 when the answers are wrong or the complexity is worse than the
+target, and 3 when it's correct but not reliably within the target.
+`;
+
+// The options a --problem run accepts besides the solution's --file.
+const GRADING_OPTIONS = ['problem', 'file', 'function', 'measure', 'iterations', 'format'];
+
+/**
+ * An invalid command line. Reported with a pointer to --help and exit code 2.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Reads an `--export` value: a comma-separated list of EXPORT_FORMATS, or 'all'.
+ * @param {string} value
+ * @returns {Array<string>}
+ * @throws {UsageError} If it names an unknown format.
+ */
+function parseExportFormats(value) {
+  if (value === 'all') return Object.keys(EXPORT_FORMATS);
+  const formats = value.split(',').map(format => format.trim().toLowerCase());
+  const unknown = formats.filter(format => !Object.hasOwn(EXPORT_FORMATS, format));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown export format '${unknown[0]}'. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}, or all.`);
+  }
+  return formats;
+}
+
+/**
+ * Reads a numeric option, or returns the default when it isn't given.
+ * @throws {UsageError} If it isn't a number at least `min` (and whole, if `integer`).
+ */
+function numberOption(values, name, { fallback, min = 1, max = Infinity, integer = true } = {}) {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (values[name].trim() === '' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = max === Infinity ? `at least ${min}` : `from ${min} to ${max}`;
+    throw new UsageError(`--${name} must be ${integer ? 'a whole number' : 'a number'} ${range}.`);
+  }
+  return value;
+}
+
+/**
+ * Reads a comma-separated list of sizes.
+ * @throws {UsageError} If any entry isn't a positive whole number.
+ */
+function sizeListOption(values, name) {
+  if (values[name] === undefined) return null;
+  const sizes = values[name].split(',').map(entry => Number(entry.trim()));
+  if (sizes.length === 0 || !sizes.every(size => Number.isInteger(size) && size > 0)) {
+    throw new UsageError(`--${name} must be a comma-separated list of positive whole numbers, e.g. 100,200,400.`);
+  }
+  return sizes;
+}
+
+/**
+ * Reads an option that must be one of a few names.
+ */
+function choiceOption(values, name, choices, fallback) {
+  const value = values[name] === undefined ? fallback : values[name];
+  if (!choices.includes(value)) {
+    throw new UsageError(`--${name} must be one of: ${choices.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * The input sizes a growth strategy's options describe, built as analyze() builds a `strategy`'s.
+ * @returns {Array<number>|null} Null for 'auto', whose sizes are picked while it runs.
+ */
+function inputSizesFor(strategy, values) {
+  switch (strategy) {
+    case 'powers':
+      return sizesForStrategy({ kind: 'powers', count: numberOption(values, 'max-power', { fallback: 4, max: 15 }) });
+    case 'doubling':
+      return sizesForStrategy({
+        kind: 'doubling',
+        start: numberOption(values, 'start', { fallback: 100 }),
+        count: numberOption(values, 'steps', { fallback: 10, max: 40 })
+      });
+    case 'linear': {
+      const start = numberOption(values, 'start', { fallback: 100 });
+      return sizesForStrategy({
+        kind: 'linear',
+        start,
+        step: numberOption(values, 'step', { fallback: start }),
+        count: numberOption(values, 'count', { fallback: 10 })
+      });
+    }
+    case 'list':
+    case 'grid': {
+      const sizes = sizeListOption(values, 'sizes');
+      if (!sizes) throw new UsageError(`--strategy ${strategy} needs --sizes.`);
+      return sizes;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates the options of a --problem run.
+ * @returns {{problem: string, file: string, functionName: string|null, measure: string, iterations: number, format: string}}
+ * @throws {UsageError}
+ */
+function parseGradingOptions(values) {
+  const extra = Object.keys(values).filter(name => !GRADING_OPTIONS.includes(name));
+  if (extra.length > 0) {
+    throw new UsageError(`--${extra[0]} can't be used with --problem, which only combines with ${GRADING_OPTIONS.slice(1).map(name => `--${name}`).join(', ')}.`);
+  }
+  if (!PROBLEMS.some(problem => problem.id === values.problem)) {
+    throw new UsageError(`Unknown problem '${values.problem}'. Use one of: ${PROBLEMS.map(problem => problem.id).join(', ')}.`);
+  }
+  if (!values.file) {
+    throw new UsageError('--problem needs the solution to grade: pass --file.');
+  }
+  return {
+    problem: values.problem,
+    file: path.resolve(process.cwd(), values.file),
+    functionName: values.function || null,
+    measure: choiceOption(values, 'measure', MEASURES, 'operations'),
+    iterations: numberOption(values, 'iterations', { fallback: 10 }),
+    format: choiceOption(values, 'format', OUTPUT_FORMATS, 'human')
+  };
+}
+
+/**
+ * Parses the command line.
+ * @param {Array<string>} args The arguments after the script, e.g. process.argv.slice(2).
+ * @returns {{mode: 'help'} | {mode: 'problems'} | {mode: 'interactive', exportFormats: Array<string>} |
+ *   {mode: 'grade', settings: object} | {mode: 'batch', settings: object}}
+ *   'interactive' when no options other than --export are given; 'grade' with the solution and
+ *   problem for --problem; otherwise the validated settings for a non-interactive run.
+ * @throws {UsageError} If an option is unknown, missing its value or invalid.
+ */
+function parseCommandLine(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      strict: true,
+      allowPositionals: false,
+      options: {
+        file: { type: 'string', short: 'f' },
+        function: { type: 'string', short: 'n' },
+        'input-mode': { type: 'string' },
+        params: { type: 'string' },
+        strategy: { type: 'string' },
+        'max-power': { type: 'string' },
+        start: { type: 'string' },
+        steps: { type: 'string' },
+        step: { type: 'string' },
+        count: { type: 'string' },
+        sizes: { type: 'string' },
+        'm-sizes': { type: 'string' },
+        budget: { type: 'string' },
+        measure: { type: 'string' },
+        iterations: { type: 'string', short: 'i' },
+        cases: { type: 'boolean' },
+        format: { type: 'string' },
+        graph: { type: 'string' },
+        export: { type: 'string' },
+        'min-confidence': { type: 'string' },
+        problem: { type: 'string' },
+        'list-problems': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (values.help) return { mode: 'help' };
+  if (values['list-problems']) return { mode: 'problems' };
+  if (values.problem !== undefined) return { mode: 'grade', settings: parseGradingOptions(values) };
+  const exportFormats = values.export === undefined ? [] : parseExportFormats(values.export);
+  if (Object.keys(values).every(name => name === 'export')) {
+    return { mode: 'interactive', exportFormats };
+  }
+
+  if (!values.file && !values.function) {
+    throw new UsageError('Pass --file with the code to analyze, or --function with a built-in algorithm.');
+  }
+  const strategy = choiceOption(values, 'strategy', STRATEGIES, values.sizes === undefined ? 'powers' : 'list');
+  const inputMode = choiceOption(values, 'input-mode', INPUT_MODES, 'array');
+  const cases = Boolean(values.cases);
+  if (cases && (inputMode !== 'array' || strategy === 'grid' || strategy === 'auto')) {
+    throw new UsageError('--cases needs array input and a list of sizes (not --strategy grid or auto).');
+  }
+
+  let params;
+  if (values.params !== undefined) {
+    try {
+      params = JSON.parse(values.params);
+    } catch (error) {
+      throw new UsageError(`--params must be a JSON array of parameter specs: ${error.message}`);
+    }
+  }
+
+  const inputSizes = inputSizesFor(strategy, values);
+  const mSizes = sizeListOption(values, 'm-sizes');
+  if (strategy === 'grid' && !mSizes) {
+    throw new UsageError('--strategy grid needs --m-sizes as well as --sizes.');
+  }
+  if (strategy === 'auto' && values.budget === undefined) {
+    throw new UsageError('--strategy auto needs --budget, in seconds.');
+  }
+
+  const format = choiceOption(values, 'format', OUTPUT_FORMATS, 'human');
+  return {
+    mode: 'batch',
+    settings: {
+      file: values.file ? path.resolve(process.cwd(), values.file) : null,
+      functionName: values.function || null,
+      inputMode,
+      params,
+      strategy,
+      inputSizes,
+      mSizes: strategy === 'grid' ? mSizes : null,
+      budgetSeconds: strategy === 'auto' ? numberOption(values, 'budget', { min: 0.1, integer: false }) : null,
+      measure: choiceOption(values, 'measure', MEASURES, 'time'),
+      iterations: numberOption(values, 'iterations', { fallback: 10 }),
+      cases,
+      format,
+      graphPath: values.graph || (format === 'human' ? 'graph.png' : null),
+      exportFormats,
+      minConfidence: numberOption(values, 'min-confidence', { fallback: 75, min: 0, max: 100, integer: false })
+    }
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  UsageError,
+  parseCommandLine
+};
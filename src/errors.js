@@ -0,0 +1,89 @@
+// src/errors.js
+
+/**
+ * Thrown when the user's code can't run to completion in the sandbox.
+ * `reason` tells the failures apart:
+ *   - 'timeout' The run went over the CPU time limit.
+ *   - 'out-of-memory' The run went over the memory cap and the sandbox process was killed.
+ *   - 'error' The code threw (or the sandbox process died for another reason).
+ */
+class SandboxError extends Error {
+  /**
+   * @param {string} reason 'timeout', 'out-of-memory' or 'error'.
+   * @param {string} message
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SandboxError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown by an analysis whose AbortSignal fired. The sandbox is stopped mid-run, so
+ * cancelling never waits for the current measurement to finish.
+ */
+class CancelledError extends Error {
+  constructor(message = 'The analysis was cancelled.') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Thrown when an analysis is asked for something it can't do: an unknown input mode or measure,
+ * invalid parameter specs, too few input sizes and the like. `option` names the offending option
+ * (e.g. 'params' or 'inputSizes'), so callers can point at it.
+ */
+class InvalidOptionsError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [option] The option at fault.
+   */
+  constructor(message, option) {
+    super(message);
+    this.name = 'InvalidOptionsError';
+    this.option = option;
+  }
+}
+
+/**
+ * Thrown when an analysis ran but measured too few input sizes to fit a model, e.g. because
+ * a time budget only allowed one. `dataPoints` holds what was measured.
+ */
+class InsufficientDataError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<object>} [dataPoints]
+   */
+  constructor(message, dataPoints = []) {
+    super(message);
+    this.name = 'InsufficientDataError';
+    this.dataPoints = dataPoints;
+  }
+}
+
+/**
+ * Thrown by assertComplexity when a function isn't shown to be within its declared bound.
+ * `result` is the full verdict from checkComplexity: the measured class, how confident the
+ * analysis is that it stays within the bound, and the analysis behind it.
+ */
+class ComplexityAssertionError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} result From checkComplexity.
+   */
+  constructor(message, result) {
+    super(message);
+    this.name = 'ComplexityAssertionError';
+    this.result = result;
+  }
+}
+
+module.exports = {
+  SandboxError,
+  CancelledError,
+  InvalidOptionsError,
+  InsufficientDataError,
+  ComplexityAssertionError,
+};
@@ -0,0 +1,129 @@
+// src/grading.js
+const { isDeepStrictEqual } = require('util');
+const { collectOutputs } = require('./calculator');
+const { checkComplexity, describeCheck } = require('./assertions');
+const { getProblem } = require('./problems');
+const { InvalidOptionsError, SandboxError } = require('./errors');
+const { toSandboxSource } = require('./utils/sandboxSource');
+
+/**
+ * The sandbox source for a solution: the solution plus the problem's input generator.
+ * @throws {InvalidOptionsError} If the solution is neither a function nor source code, or a function
+ *   whose source can't be rebuilt.
+ */
+function solutionSource(problem, solution) {
+  const { generateInput } = problem;
+  if (typeof solution === 'function') return toSandboxSource(solution, generateInput, 'solution');
+  if (typeof solution !== 'string' || solution.trim() === '') {
+    throw new InvalidOptionsError('A solution must be a function, or source code defining functionToTest.', 'solution');
+  }
+  return generateInput ? `${solution}\nconst generateInput = ${generateInput.toString()};` : solution;
+}
+
+/**
+ * Runs a solution on the problem's check instances and compares each output with the reference's.
+ * @returns {Promise<{checked: number, failure: object|null, error: string|null}>} How many instances
+ *   were checked, the first wrong answer ({ n, args, output, expected }), and why the solution
+ *   couldn't run, if it couldn't (it threw, timed out or returned something that can't be copied).
+ */
+async function checkCorrectness(problem, code, signal) {
+  let outputs;
+  try {
+    outputs = await collectOutputs(code, problem.checkSizes, problem.inputMode, problem.params, { signal });
+  } catch (error) {
+    if (!(error instanceof SandboxError)) throw error;
+    return { checked: 0, failure: null, error: error.message };
+  }
+  const isCorrect = problem.isCorrect || isDeepStrictEqual;
+  for (const [i, { n, args, output }] of outputs.entries()) {
+    const expected = problem.reference(...args);
+    if (!isCorrect(output, expected, args)) {
+      return { checked: i + 1, failure: { n, args, output, expected }, error: null };
+    }
+  }
+  return { checked: outputs.length, failure: null, error: null };
+}
+
+/**
+ * Grades a solution to a catalog problem: is it correct, and is its complexity within the
+ * problem's target? Correctness is checked against the reference solution on small generated
+ * instances; the complexity is measured with checkComplexity at the problem's input sizes. A
+ * solution that can't run on the check instances isn't measured.
+ * @param {string} problemId The id of a problem in the catalog (see listProblems).
+ * @param {Function|string} solution The solution function, or source code defining `functionToTest`.
+ * @param {object} [options]
+ * @param {string} [options.name] What the grade calls the solution (default: its name).
+ * @param {string} [options.measure] 'operations' (default), so a grade doesn't depend on the machine or
+ *   its load, or 'time'. Operation counts see a call to a built-in such as Array#indexOf as a single
+ *   operation, so a solution that leans on one can look faster than it is; timing catches that.
+ * @param {number} [options.iterations] Runs per size when timing, each on a new instance (default 10).
+ * @param {number} [options.confidence] The required confidence that it's within the target, in % (default 90).
+ * @param {Function} [options.onProgress] Called as each measured size completes (see runAnalysis).
+ * @param {AbortSignal} [options.signal] Cancels the grading.
+ * @returns {Promise<{
+ *   problem: {id: string, title: string, target: string},
+ *   name: string,
+ *   correct: boolean,
+ *   checked: number,
+ *   failure: {n: number, args: Array<*>, output: *, expected: *}|null,
+ *   error: string|null,
+ *   complexity: object|null,
+ *   passed: boolean
+ * }>} `complexity` is checkComplexity's result against the target (null if the solution couldn't run);
+ *   `passed` when the solution is correct and its complexity check passed.
+ * @throws {InvalidOptionsError} If the problem is unknown or an option is invalid.
+ * @throws {SandboxError} If the solution fails while its complexity is measured, e.g. at a larger size.
+ * @throws {CancelledError} If the signal fired.
+ */
+async function gradeSolution(problemId, solution, options = {}) {
+  const { measure = 'operations', iterations, confidence, onProgress, signal } = options;
+  const problem = getProblem(problemId);
+  const code = solutionSource(problem, solution);
+  const name = options.name || (typeof solution === 'function' && solution.name) || problem.title;
+
+  const { checked, failure, error } = await checkCorrectness(problem, code, signal);
+  const correct = !failure && !error;
+  const complexity = error ? null : await checkComplexity(code, problem.target, {
+    name, inputSizes: problem.inputSizes, inputMode: problem.inputMode, params: problem.params, measure, iterations, confidence, onProgress, signal
+  });
+
+  return {
+    problem: { id: problem.id, title: problem.title, target: problem.target },
+    name,
+    correct,
+    checked,
+    failure,
+    error,
+    complexity,
+    passed: correct && complexity !== null && complexity.passed
+  };
+}
+
+/**
+ * Describes a grade in a few lines: correctness first, then the complexity against the target.
+ * @param {object} grade From gradeSolution.
+ * @returns {Array<string>}
+ */
+function describeGrade({ problem, correct, checked, failure, error, complexity }) {
+  const lines = [];
+  if (error) {
+    lines.push(`Wrong: the solution couldn't run on the test instances. ${error}`);
+  } else if (failure) {
+    const show = value => JSON.stringify(value) ?? String(value);
+    lines.push(`Wrong answer on test ${checked} (n=${failure.n}): input ${failure.args.map(show).join(', ')}`);
+    lines.push(`  returned ${show(failure.output)}, expected ${show(failure.expected)}.`);
+  } else {
+    lines.push(`Correct on all ${checked} test instances.`);
+  }
+  if (complexity) {
+    lines.push(`Complexity: ${describeCheck(complexity)}`);
+  } else {
+    lines.push(`Complexity: not measured (target ${problem.target}).`);
+  }
+  return lines;
+}
+
+module.exports = {
+  gradeSolution,
+  describeGrade
+};
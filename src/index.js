@@ -0,0 +1,26 @@
+// src/index.js
+// The package entry point: what other Node code can rely on. See analyze() in src/analyze.js.
+const { COMPLEXITY_MODELS, MEASURES } = require('./calculator');
+const { ANALYSIS_RESULT_VERSION, analyze } = require('./analyze');
+const { checkComplexity, assertComplexity } = require('./assertions');
+const {
+  SandboxError,
+  CancelledError,
+  InvalidOptionsError,
+  InsufficientDataError,
+  ComplexityAssertionError,
+} = require('./errors');
+
+module.exports = {
+  analyze,
+  ANALYSIS_RESULT_VERSION,
+  COMPLEXITY_MODELS,
+  MEASURES,
+  checkComplexity,
+  assertComplexity,
+  SandboxError,
+  CancelledError,
+  InvalidOptionsError,
+  InsufficientDataError,
+  ComplexityAssertionError,
+};
@@ -0,0 +1,208 @@
+// src/problems.js
+const { isDeepStrictEqual } = require('util');
+const { InvalidOptionsError } = require('./errors');
+
+/**
+ * The built-in problem catalog: LeetCode-style problems a solution can be graded against
+ * (see gradeSolution in src/grading.js). Each entry has:
+ *   - `id`, `title` and `description`.
+ *   - `signature` The declaration a solution must use; the sandbox always calls `functionToTest`.
+ *   - `target` The complexity a good solution reaches, e.g. 'O(n)'.
+ *   - `inputMode` and `params` How each call's arguments are built, as in runAnalysis. In 'custom'
+ *     mode, `generateInput(n)` builds a valid instance of size n. It runs inside the sandbox, so it
+ *     must be self-contained: no helpers or variables from this file.
+ *   - `inputSizes` The sizes the complexity is measured at.
+ *   - `checkSizes` The sizes of the instances the solution is checked on, small enough to read in a
+ *     failure report. Sizes repeat to check several random instances of the same size.
+ *   - `reference(...args)` A known-correct solution. It must not modify its arguments.
+ *   - `isCorrect(output, expected, args)` Optional: whether an output is right, when more than one
+ *     answer is (default: deep equality with the reference's output).
+ */
+const PROBLEMS = [
+  {
+    id: 'two-sum',
+    title: 'Two Sum',
+    description: 'Return the indices of the two numbers in nums that add up to target, in any order. Exactly one pair does.',
+    signature: 'function functionToTest(nums, target)',
+    target: 'O(n)',
+    inputMode: 'custom',
+    // The answer is the only pair of numbers that are 1 mod 4, so its sum identifies it.
+    params: [
+      { kind: 'scaling' },
+      { kind: 'derived', expression: 'input.filter(x => x % 4 === 1).reduce((a, b) => a + b, 0)' }
+    ],
+    generateInput: function (n) {
+      const size = Math.max(2, n);
+      const nums = Array.from({ length: size - 2 }, (_, i) => 4 * i);
+      nums.push(4 * Math.floor(Math.random() * size) + 1, 4 * (size + Math.floor(Math.random() * size)) + 1);
+      for (let i = nums.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [nums[i], nums[j]] = [nums[j], nums[i]];
+      }
+      return nums;
+    },
+    inputSizes: [1000, 2000, 4000, 8000, 16000, 32000],
+    checkSizes: [2, 3, 5, 8, 13, 21, 50, 100],
+    reference: function (nums, target) {
+      const seen = new Map();
+      for (let i = 0; i < nums.length; i++) {
+        if (seen.has(target - nums[i])) return [seen.get(target - nums[i]), i];
+        seen.set(nums[i], i);
+      }
+      return null;
+    },
+    isCorrect: (output, expected) => Array.isArray(output) &&
+      isDeepStrictEqual([...output].sort((a, b) => a - b), [...expected].sort((a, b) => a - b))
+  },
+  {
+    id: 'contains-duplicate',
+    title: 'Contains Duplicate',
+    description: 'Return true if some value appears at least twice in nums, and false if every value is distinct.',
+    signature: 'function functionToTest(nums)',
+    target: 'O(n)',
+    inputMode: 'custom',
+    params: [{ kind: 'scaling' }],
+    // Distinct values, and half of the time one of them repeated somewhere.
+    generateInput: function (n) {
+      const nums = Array.from({ length: n }, (_, i) => i * 7 - n);
+      if (n > 1 && Math.random() < 0.5) {
+        nums[Math.floor(Math.random() * n)] = nums[Math.floor(Math.random() * n)];
+      }
+      for (let i = nums.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [nums[i], nums[j]] = [nums[j], nums[i]];
+      }
+      return nums;
+    },
+    inputSizes: [1000, 2000, 4000, 8000, 16000, 32000],
+    checkSizes: [0, 1, 2, 2, 3, 5, 8, 8, 13, 50, 50, 100],
+    reference: function (nums) {
+      return new Set(nums).size !== nums.length;
+    }
+  },
+  {
+    id: 'maximum-subarray',
+    title: 'Maximum Subarray',
+    description: 'Return the largest sum of a non-empty contiguous subarray of nums.',
+    signature: 'function functionToTest(nums)',
+    target: 'O(n)',
+    inputMode: 'custom',
+    params: [{ kind: 'scaling' }],
+    generateInput: function (n) {
+      return Array.from({ length: Math.max(1, n) }, () => Math.floor(Math.random() * 201) - 100);
+    },
+    inputSizes: [1000, 2000, 4000, 8000, 16000, 32000],
+    checkSizes: [1, 2, 3, 5, 8, 13, 21, 50, 100],
+    reference: function (nums) {
+      let best = nums[0];
+      let current = 0;
+      for (const x of nums) {
+        current = Math.max(x, current + x);
+        best = Math.max(best, current);
+      }
+      return best;
+    }
+  },
+  {
+    id: 'four-sum',
+    title: '4Sum',
+    description: 'Return every distinct quadruplet of values from nums that adds up to target, in any order.',
+    signature: 'function functionToTest(nums, target)',
+    target: 'O(n^3)',
+    inputMode: 'custom',
+    params: [{ kind: 'scaling' }, { kind: 'fixed', value: 0 }],
+    generateInput: function (n) {
+      return Array.from({ length: n }, () => Math.floor(Math.random() * (2 * n + 1)) - n);
+    },
+    inputSizes: [25, 50, 100, 200],
+    checkSizes: [0, 3, 4, 5, 8, 13, 21, 30],
+    reference: function (nums, target) {
+      const sorted = [...nums].sort((a, b) => a - b);
+      const found = new Map();
+      for (let i = 0; i < sorted.length; i++) {
+        for (let j = i + 1; j < sorted.length; j++) {
+          let low = j + 1;
+          let high = sorted.length - 1;
+          while (low < high) {
+            const sum = sorted[i] + sorted[j] + sorted[low] + sorted[high];
+            if (sum === target) {
+              const quadruplet = [sorted[i], sorted[j], sorted[low], sorted[high]];
+              found.set(quadruplet.join(','), quadruplet);
+              low++;
+              high--;
+            } else if (sum < target) {
+              low++;
+            } else {
+              high--;
+            }
+          }
+        }
+      }
+      return [...found.values()];
+    },
+    // Each quadruplet's values, and the quadruplets themselves, may come in any order.
+    isCorrect: (output, expected) => {
+      const normalize = (quadruplets) => quadruplets
+        .map(quadruplet => [...quadruplet].sort((a, b) => a - b).join(','))
+        .sort();
+      return Array.isArray(output) && output.every(Array.isArray) &&
+        isDeepStrictEqual(normalize(output), normalize(expected));
+    }
+  },
+  {
+    id: 'palindrome-number',
+    title: 'Palindrome Number',
+    description: 'Return true if the integer x reads the same backward as forward.',
+    signature: 'function functionToTest(x)',
+    target: 'O(log n)',
+    inputMode: 'number',
+    params: [{ kind: 'scaling' }],
+    // 10^k + 1 is a palindrome with k + 1 digits, so no size is rejected early.
+    inputSizes: Array.from({ length: 14 }, (_, k) => 10 ** (k + 1) + 1),
+    checkSizes: [0, 7, 10, 11, 100, 121, 123, 1221, 1231, 10001, 12321, 12345, 1000021, 2147447412],
+    reference: function (x) {
+      const digits = String(x);
+      return digits === [...digits].reverse().join('');
+    }
+  }
+];
+
+/**
+ * The catalog as shown to users: everything but the functions.
+ * @returns {Array<{id: string, title: string, description: string, signature: string, target: string, inputMode: string}>}
+ */
+function listProblems() {
+  return PROBLEMS.map(({ id, title, description, signature, target, inputMode }) => ({
+    id, title, description, signature, target, inputMode
+  }));
+}
+
+/**
+ * Looks up a problem by id.
+ * @param {string} id
+ * @returns {object} The catalog entry.
+ * @throws {InvalidOptionsError} If there is no such problem.
+ */
+function getProblem(id) {
+  const problem = PROBLEMS.find(p => p.id === id);
+  if (!problem) {
+    throw new InvalidOptionsError(`Unknown problem '${id}'. Use one of: ${PROBLEMS.map(p => p.id).join(', ')}.`, 'problem');
+  }
+  return problem;
+}
+
+/**
+ * The code a solution starts from: the problem's signature with an empty body.
+ * @param {object} problem A catalog entry, or an entry from listProblems.
+ * @returns {string}
+ */
+function starterCode(problem) {
+  return `/**\n* ${problem.title}: ${problem.description}\n* Target: ${problem.target}.\n*/\n${problem.signature} {\n  // Your code here\n}`;
+}
+
+module.exports = {
+  PROBLEMS,
+  listProblems,
+  getProblem,
+  starterCode
+};
@@ -0,0 +1,544 @@
+// src/report.js
+const { determineComplexity, evaluateModel, summarizeCalibration } = require('./calculator');
+const { metricLabels, seriesColor } = require('./utils/chartStyle');
+
+/**
+ * The formats a report can be exported in, with the file extension and content type of each.
+ */
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  markdown: { extension: 'md', contentType: 'text/markdown' },
+  svg: { extension: 'svg', contentType: 'image/svg+xml' },
+  html: { extension: 'html', contentType: 'text/html' }
+};
+
+// Bumped when the JSON export's layout changes incompatibly.
+const REPORT_VERSION = 1;
+
+/**
+ * Summarizes a fitted complexity the way the API reports it.
+ */
+function summarizeComplexity(complexity) {
+  const bestModelResult = complexity.results.find(r => r.type === complexity.bestFit);
+  return {
+    bigO: complexity.bestFit,
+    confidence: complexity.confidence,
+    exponent: complexity.exponent === undefined ? null : complexity.exponent,
+    rmse: bestModelResult ? bestModelResult.rmse : 0,
+    models: complexity.results
+  };
+}
+
+/**
+ * Builds a report from the calculator's output, in the same shape as the server's analysis
+ * response (so a stored result plus its name is a report too).
+ * @param {object} analysis
+ * @param {string} analysis.algoName
+ * @param {string} analysis.measure 'time' or 'operations'.
+ * @param {Array<object>} [analysis.dataPoints] The measured points (the worst case's in a case analysis).
+ * @param {object} [analysis.complexity] From determineComplexity or determineGridComplexity.
+ * @param {object} [analysis.cases] From runCaseAnalysis.
+ * @param {{nSizes: Array<number>, mSizes: Array<number>}} [analysis.grid] Set for a two-variable grid.
+ * @param {object} [analysis.comparison] From runComparison, instead of dataPoints and complexity.
+ * @param {object} [analysis.calibration] From calibrateTiming, if the times had the harness overhead taken off.
+ * @returns {object}
+ */
+function createReport({ algoName, measure, dataPoints, complexity, cases, grid, comparison, calibration }) {
+  const empty = { bigO: null, confidence: null, exponent: null, rmse: null, models: null };
+
+  if (comparison) {
+    return {
+      algoName,
+      measure,
+      ...empty,
+      dataPoints: null,
+      series: comparison.implementations.map(({ name, dataPoints: points }) => ({ label: name, dataPoints: points })),
+      cases: null,
+      grid: null,
+      comparison: {
+        baseline: comparison.baseline,
+        implementations: comparison.implementations.map(impl => ({
+          name: impl.name,
+          ...summarizeComplexity(impl.complexity),
+          dataPoints: impl.dataPoints
+        })),
+        speedups: comparison.speedups,
+        crossovers: comparison.crossovers
+      },
+      space: null,
+      calibration: null
+    };
+  }
+
+  const hasMemory = !grid && dataPoints.every(d => d.memory !== undefined);
+  return {
+    algoName,
+    measure,
+    ...summarizeComplexity(complexity),
+    dataPoints,
+    series: cases
+      ? Object.entries(cases.distributions).map(([label, { dataPoints: points }]) => ({ label, dataPoints: points }))
+      : null,
+    cases: cases
+      ? { best: cases.best, average: cases.average, worst: cases.worst, casesDisagree: cases.casesDisagree }
+      : null,
+    grid: grid ? { ...grid, dataPoints } : null,
+    comparison: null,
+    space: hasMemory ? summarizeComplexity(determineComplexity(dataPoints, 'memory')) : null,
+    calibration: calibration ? summarizeCalibration(calibration, dataPoints) : null
+  };
+}
+
+/**
+ * The measured series a report charts and tabulates: one per distribution or implementation,
+ * one per m in a grid, or just the data points.
+ */
+function seriesOf(report) {
+  if (report.grid) {
+    return report.grid.mSizes.map(m => ({ label: `m=${m}`, dataPoints: report.grid.dataPoints.filter(d => d.m === m) }));
+  }
+  if (report.series && report.series.length > 0) return report.series;
+  return [{ label: metricLabels[report.measure].series, dataPoints: report.dataPoints }];
+}
+
+/**
+ * Formats a measurement for reading: time with four decimals, counts as whole numbers.
+ */
+function formatValue(value, metric) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  return metric === 'time' ? value.toFixed(4) : Math.round(value).toLocaleString('en-US');
+}
+
+/**
+ * Formats an axis tick, switching to powers of ten for large values.
+ */
+function formatTick(value) {
+  if (value !== 0 && (Math.abs(value) >= 1e6 || Math.abs(value) < 1e-3)) {
+    return value.toExponential(0).replace('e+', 'e');
+  }
+  return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Evenly spaced round tick values covering [min, max].
+ */
+function niceTicks(min, max, count = 5) {
+  if (max <= min) return [min];
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough) || 10 * magnitude;
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * The best-fit curves drawn over the chart: each implementation's in a comparison, otherwise the
+ * report's own. A grid's two-variable models aren't drawn.
+ * @returns {Array<{label: string, color: string, type: string, coefficients: Array<number>, dataPoints: Array<object>}>}
+ */
+function bestFitCurves(report, series) {
+  if (report.grid) return [];
+  const bestOf = (models, bigO) => models && models.find(model => model.type === bigO);
+  if (report.comparison) {
+    return report.comparison.implementations
+      .map((impl, i) => ({ impl, model: bestOf(impl.models, impl.bigO), color: seriesColor(i) }))
+      .filter(({ model }) => model)
+      .map(({ impl, model, color }) => ({ label: `${impl.name} fit: ${impl.bigO}`, color, ...model, dataPoints: impl.dataPoints }));
+  }
+  const model = bestOf(report.models, report.bigO);
+  if (!model) return [];
+  const fittedTo = report.cases ? series.find(s => s.label === report.cases.worst.distribution) : null;
+  return [{ label: `Best fit: ${report.bigO}`, color: '#458588', ...model, dataPoints: fittedTo ? fittedTo.dataPoints : report.dataPoints }];
+}
+
+// Chart size and the room left around the plot for the title, axes and legend, in px.
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 500;
+const CHART_MARGIN = { top: 50, right: 200, bottom: 60, left: 90 };
+
+// How many points each best-fit curve is drawn with.
+const CURVE_POINTS = 60;
+
+/**
+ * Draws the report's chart as a standalone SVG: the measured series, the best fit overlaid as a
+ * dashed line, and a legend. The x axis is logarithmic when the sizes span two orders of magnitude.
+ * @param {object} report See createReport.
+ * @returns {string}
+ */
+function renderSvg(report) {
+  const metric = report.measure;
+  const labels = metricLabels[metric];
+  const series = seriesOf(report);
+  const curves = bestFitCurves(report, series);
+
+  const points = series.flatMap(s => s.dataPoints);
+  const nValues = points.map(d => d.n);
+  const minN = Math.min(...nValues);
+  const maxN = Math.max(...nValues);
+  const logX = minN > 0 && maxN / minN >= 100;
+  const maxY = Math.max(...points.map(d => d[metric]), 0) * 1.05 || 1;
+
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const [fromX, toX] = logX ? [Math.log10(minN), Math.log10(maxN)] : [Math.min(minN, 0), maxN];
+  const scaleX = (n) => CHART_MARGIN.left + plotWidth * ((logX ? Math.log10(n) : n) - fromX) / ((toX - fromX) || 1);
+  const scaleY = (value) => CHART_MARGIN.top + plotHeight * (1 - value / maxY);
+  const round = (value) => Math.round(value * 10) / 10;
+
+  const xTicks = logX
+    ? Array.from({ length: Math.floor(toX) - Math.ceil(fromX) + 1 }, (_, i) => 10 ** (Math.ceil(fromX) + i))
+    : niceTicks(fromX, toX);
+  const yTicks = niceTicks(0, maxY);
+  const bottom = CHART_MARGIN.top + plotHeight;
+  const right = CHART_MARGIN.left + plotWidth;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" font-family="sans-serif" font-size="12">`,
+    `<rect width="${CHART_WIDTH}" height="${CHART_HEIGHT}" fill="#ffffff"/>`,
+    `<text x="${CHART_WIDTH / 2}" y="28" text-anchor="middle" font-size="16" font-weight="bold">${escapeXml(`${labels.title} - ${report.algoName}`)}</text>`,
+    '<defs><clipPath id="plot">',
+    `<rect x="${CHART_MARGIN.left}" y="${CHART_MARGIN.top}" width="${plotWidth}" height="${plotHeight}"/>`,
+    '</clipPath></defs>'
+  ];
+
+  for (const tick of xTicks) {
+    const x = round(scaleX(tick));
+    parts.push(`<line x1="${x}" y1="${CHART_MARGIN.top}" x2="${x}" y2="${bottom}" stroke="#e0e0e0"/>`);
+    parts.push(`<text x="${x}" y="${bottom + 18}" text-anchor="middle">${formatTick(tick)}</text>`);
+  }
+  for (const tick of yTicks) {
+    const y = round(scaleY(tick));
+    parts.push(`<line x1="${CHART_MARGIN.left}" y1="${y}" x2="${right}" y2="${y}" stroke="#e0e0e0"/>`);
+    parts.push(`<text x="${CHART_MARGIN.left - 8}" y="${y + 4}" text-anchor="end">${formatTick(tick)}</text>`);
+  }
+  parts.push(`<rect x="${CHART_MARGIN.left}" y="${CHART_MARGIN.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#888888"/>`);
+  parts.push(`<text x="${CHART_MARGIN.left + plotWidth / 2}" y="${CHART_HEIGHT - 15}" text-anchor="middle">${logX ? 'Input Size (n, log scale)' : 'Input Size (n)'}</text>`);
+  parts.push(`<text transform="translate(20 ${CHART_MARGIN.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">${escapeXml(labels.axis)}</text>`);
+
+  const legend = [];
+  series.forEach(({ label, dataPoints }, i) => {
+    const color = seriesColor(i);
+    const sorted = [...dataPoints].sort((a, b) => a.n - b.n);
+    const path = sorted.map(d => `${round(scaleX(d.n))},${round(scaleY(d[metric]))}`).join(' ');
+    parts.push(`<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2" clip-path="url(#plot)"/>`);
+    for (const d of sorted) {
+      parts.push(`<circle cx="${round(scaleX(d.n))}" cy="${round(scaleY(d[metric]))}" r="3" fill="${color}"><title>${escapeXml(`${label}: ${formatValue(d[metric], metric)} at n=${d.n}`)}</title></circle>`);
+    }
+    legend.push({ label, color, dashed: false });
+  });
+  for (const curve of curves) {
+    const curveN = curve.dataPoints.map(d => d.n);
+    const [from, to] = [Math.min(...curveN), Math.max(...curveN)];
+    const path = Array.from({ length: CURVE_POINTS }, (_, i) => {
+      const n = logX
+        ? 10 ** (Math.log10(from) + (Math.log10(to) - Math.log10(from)) * i / (CURVE_POINTS - 1))
+        : from + (to - from) * i / (CURVE_POINTS - 1);
+      return `${round(scaleX(n))},${round(scaleY(evaluateModel(curve.type, curve.coefficients, n)))}`;
+    }).join(' ');
+    parts.push(`<polyline points="${path}" fill="none" stroke="${curve.color}" stroke-width="2" stroke-dasharray="6 4" clip-path="url(#plot)"/>`);
+    legend.push({ label: curve.label, color: curve.color, dashed: true });
+  }
+
+  legend.forEach(({ label, color, dashed }, i) => {
+    const y = CHART_MARGIN.top + 10 + i * 20;
+    const x = right + 15;
+    parts.push(`<line x1="${x}" y1="${y}" x2="${x + 24}" y2="${y}" stroke="${color}" stroke-width="2"${dashed ? ' stroke-dasharray="6 4"' : ''}/>`);
+    parts.push(`<text x="${x + 30}" y="${y + 4}">${escapeXml(label)}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Describes a timer calibration in a line or two: the clock's resolution, the harness overhead
+ * taken off every run, the floor, and the sizes whose times fell below it.
+ * @param {object} calibration As reported with an analysis (see summarizeCalibration).
+ * @returns {Array<string>}
+ */
+function describeCalibration({ timerResolutionMs, overheads, floorMs, unresolvedSizes }) {
+  const ms = (value) => `${Number(value.toPrecision(2))} ms`;
+  const overheadValues = overheads.map(entry => entry.overheadMs);
+  const low = Math.min(...overheadValues);
+  const high = Math.max(...overheadValues);
+  const overhead = low === high ? ms(low) : `${ms(low)} to ${ms(high)}`;
+  const lines = [`Timer calibration: resolution ${ms(timerResolutionMs)}, harness overhead ${overhead} per run (subtracted), floor ${ms(floorMs)}.`];
+  if (unresolvedSizes.length > 0) {
+    lines.push(`Below the floor at n = ${unresolvedSizes.join(', ')}: those times can't be told apart from timer noise. Counting operations measures such fast calls exactly.`);
+  }
+  return lines;
+}
+
+/**
+ * The report's verdict in a few lines of text, e.g. "Best fit: O(n) (confidence 92%)".
+ * @returns {Array<string>}
+ */
+function summaryLines(report) {
+  const lines = [`Measure: ${metricLabels[report.measure].series}`];
+  if (report.comparison) {
+    lines.push(`Baseline: ${report.comparison.baseline}`);
+    return lines;
+  }
+  lines.push(`Best fit: ${report.bigO} (confidence ${report.confidence}%)`);
+  if (report.exponent !== null && report.exponent !== undefined) {
+    lines.push(`Empirical exponent (log-log fit): n^${report.exponent}`);
+  }
+  lines.push(`RMSE of the best fit: ${report.rmse}`);
+  if (report.confidence <= 75) {
+    lines.push('Low confidence: the data may be noisy or the algorithm might differ from standard complexity classes.');
+  }
+  if (report.space) {
+    lines.push(`Space: ${report.space.bigO} (confidence ${report.space.confidence}%)`);
+  }
+  if (report.calibration) {
+    lines.push(...describeCalibration(report.calibration));
+  }
+  if (report.cases) {
+    lines.push(`Cases: ${['best', 'average', 'worst'].map(name => `${name} ${report.cases[name].bestFit} (${report.cases[name].distribution})`).join(', ')}`);
+    if (report.cases.casesDisagree) {
+      lines.push('The cases disagree: the complexity depends on the order of the input. Big O is the worst case.');
+    }
+  }
+  return lines;
+}
+
+/**
+ * Describes a crossover from runComparison in a sentence.
+ */
+function describeCrossover({ implementations: [a, b], n, fasterBelow, fasterAbove, extrapolated }) {
+  if (n === null) {
+    return `${a} vs ${b}: no crossover, ${fasterBelow} is faster at every measured size.`;
+  }
+  const where = extrapolated ? 'beyond the measured sizes (extrapolated from the fitted models)' : 'within the measured sizes';
+  return `${a} vs ${b}: crossover near n=${n}, ${where}. ${fasterBelow} is faster below it, ${fasterAbove} above it.`;
+}
+
+/**
+ * The report's tables, shared by the Markdown and HTML exports.
+ * @returns {Array<{title: string, columns: Array<string>, rows: Array<Array<string>>}>}
+ */
+function reportTables(report) {
+  const metric = report.measure;
+  const tables = [];
+  const modelTable = (title, models) => ({
+    title,
+    columns: ['Model', 'BIC', 'ΔBIC', 'RMSE', 'Picked'],
+    rows: models.map(model => [
+      model.type,
+      model.bic.toFixed(1),
+      model.deltaBic.toFixed(1),
+      model.rmse.toFixed(6),
+      `${Math.round(model.bootstrapShare * 100)}%`
+    ])
+  });
+
+  if (report.comparison) {
+    const { comparison } = report;
+    tables.push({
+      title: 'Implementations',
+      columns: ['Implementation', 'Big O', 'Confidence', 'Exponent', 'RMSE'],
+      rows: comparison.implementations.map(impl => [
+        impl.name, impl.bigO, `${impl.confidence}%`, impl.exponent === null ? '' : `n^${impl.exponent}`, String(impl.rmse)
+      ])
+    });
+    const others = comparison.implementations.filter(impl => impl.name !== comparison.baseline).map(impl => impl.name);
+    tables.push({
+      title: `Speed-up over ${comparison.baseline} (above 1 is faster)`,
+      columns: ['n', ...others],
+      rows: comparison.speedups.map(({ n, ratios }) => [String(n), ...others.map(name => `${ratios[name].toFixed(2)}x`)])
+    });
+  } else {
+    tables.push(modelTable('Models', report.models));
+    if (report.space) tables.push(modelTable('Space models', report.space.models));
+  }
+
+  const series = seriesOf(report);
+  const multiple = series.length > 1;
+  const batched = series.some(s => s.dataPoints.some(d => d.repetitions !== undefined));
+  tables.push({
+    title: 'Data points',
+    columns: [
+      ...(multiple ? ['Series'] : []),
+      'n',
+      metricLabels[metric].series,
+      'Std dev',
+      'Runs',
+      ...(batched ? ['Calls per run'] : []),
+      ...(report.space ? [metricLabels.memory.series] : [])
+    ],
+    rows: series.flatMap(({ label, dataPoints }) => dataPoints.map(d => {
+      const dispersion = d.dispersion && d.dispersion[metric];
+      return [
+        ...(multiple ? [label] : []),
+        String(d.n),
+        formatValue(d[metric], metric),
+        dispersion ? formatValue(dispersion.stdDev, metric) : '',
+        dispersion ? String(dispersion.count) : '',
+        ...(batched ? [String(d.repetitions || 1)] : []),
+        ...(report.space ? [formatValue(d.memory, 'memory')] : [])
+      ];
+    }))
+  });
+  return tables;
+}
+
+/**
+ * The data points as CSV, one row per point (and per series when there are several), with the
+ * spread of the runs behind each one and, if any size batched calls, the calls per run.
+ */
+function renderCsv(report) {
+  const metric = report.measure;
+  const series = seriesOf(report);
+  // A grid's series are its m values, which get their own column.
+  const multiple = series.length > 1 && !report.grid;
+  const hasMemory = series.some(s => s.dataPoints.some(d => d.memory !== undefined));
+  const batched = series.some(s => s.dataPoints.some(d => d.repetitions !== undefined));
+  const quote = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  const blank = (value) => (value === undefined || value === null ? '' : value);
+
+  const header = [
+    ...(multiple ? ['series'] : []),
+    'n',
+    ...(report.grid ? ['m'] : []),
+    metricLabels[metric].column,
+    'std_dev', 'min', 'max', 'iqr', 'runs',
+    ...(batched ? ['calls_per_run'] : []),
+    ...(hasMemory ? [metricLabels.memory.column] : [])
+  ];
+  const rows = series.flatMap(({ label, dataPoints }) => dataPoints.map(d => {
+    const dispersion = (d.dispersion && d.dispersion[metric]) || {};
+    return [
+      ...(multiple ? [label] : []),
+      d.n,
+      ...(report.grid ? [d.m] : []),
+      d[metric],
+      blank(dispersion.stdDev), blank(dispersion.min), blank(dispersion.max), blank(dispersion.iqr), blank(dispersion.count),
+      ...(batched ? [d.repetitions || 1] : []),
+      ...(hasMemory ? [blank(d.memory)] : [])
+    ];
+  }));
+  return [header, ...rows].map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+/**
+ * The whole report as JSON, tagged with its format version. PNG charts are left out.
+ */
+function renderJson(report) {
+  const { graphBase64, spaceGraphBase64, ...rest } = report;
+  return JSON.stringify({ version: REPORT_VERSION, generatedAt: new Date().toISOString(), ...rest }, null, 2) + '\n';
+}
+
+/**
+ * A Markdown report with the chart embedded as an SVG data URI, ready to paste into a document.
+ */
+function renderMarkdown(report) {
+  const cell = (text) => String(text).replace(/\|/g, '\\|');
+  const chart = Buffer.from(renderSvg(report)).toString('base64');
+  const lines = [
+    `# Big O report: ${report.algoName}`,
+    '',
+    ...summaryLines(report).map(line => `- ${line}`),
+    '',
+    `![${metricLabels[report.measure].title}](data:image/svg+xml;base64,${chart})`
+  ];
+  if (report.comparison) {
+    lines.push('', '## Crossovers', '', ...report.comparison.crossovers.map(crossover => `- ${describeCrossover(crossover)}`));
+  }
+  for (const { title, columns, rows } of reportTables(report)) {
+    lines.push('', `## ${title}`, '', `| ${columns.map(cell).join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+    rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * A self-contained HTML page with the summary, the chart inline and every table.
+ */
+function renderHtml(report) {
+  const title = `Big O report: ${report.algoName}`;
+  const sections = reportTables(report).map(({ title: heading, columns, rows }) => [
+    `<h2>${escapeXml(heading)}</h2>`,
+    '<table>',
+    `<thead><tr>${columns.map(column => `<th>${escapeXml(column)}</th>`).join('')}</tr></thead>`,
+    `<tbody>${rows.map(row => `<tr>${row.map(value => `<td>${escapeXml(value)}</td>`).join('')}</tr>`).join('\n')}</tbody>`,
+    '</table>'
+  ].join('\n'));
+  const crossovers = report.comparison
+    ? ['<h2>Crossovers</h2>', `<ul>${report.comparison.crossovers.map(c => `<li>${escapeXml(describeCrossover(c))}</li>`).join('')}</ul>`]
+    : [];
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeXml(title)}</title>`,
+    '<style>',
+    'body { font-family: sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }',
+    'table { border-collapse: collapse; margin-bottom: 1.5rem; }',
+    'th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: right; }',
+    'th:first-child, td:first-child { text-align: left; }',
+    'svg { max-width: 100%; height: auto; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeXml(title)}</h1>`,
+    `<ul>${summaryLines(report).map(line => `<li>${escapeXml(line)}</li>`).join('')}</ul>`,
+    renderSvg(report),
+    ...crossovers,
+    ...sections,
+    '</body>',
+    '</html>'
+  ].join('\n') + '\n';
+}
+
+const renderers = {
+  json: renderJson,
+  csv: renderCsv,
+  markdown: renderMarkdown,
+  svg: renderSvg,
+  html: renderHtml
+};
+
+/**
+ * Renders a report in one of EXPORT_FORMATS.
+ * @param {object} report From createReport, or a stored analysis result with its `algoName`.
+ * @param {string} format 'json', 'csv', 'markdown', 'svg' or 'html'.
+ * @returns {string} The file's contents.
+ * @throws {Error} If the format is unknown.
+ */
+function renderReport(report, format) {
+  if (!renderers[format]) {
+    throw new Error(`Unknown export format '${format}'. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+  return renderers[format](report);
+}
+
+/**
+ * A file name for an exported report, e.g. "bubbleSort-report.md".
+ * @param {string} algoName
+ * @param {string} format One of EXPORT_FORMATS.
+ * @returns {string}
+ */
+function reportFileName(algoName, format) {
+  const base = String(algoName || 'analysis').replace(/[^\w.-]+/g, '_');
+  return `${base}-report.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createReport,
+  describeCalibration,
+  renderReport,
+  reportFileName
+};
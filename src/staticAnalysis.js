@@ -0,0 +1,440 @@
+// src/staticAnalysis.js
+const acorn = require('acorn');
+const { COMPLEXITY_MODELS } = require('./calculator');
+
+/**
+ * A cost is a product n^poly * log(n)^log, optionally blown up to 2^n or n!.
+ * Costs multiply when nested (loops inside loops) and take the max when sequential.
+ */
+const CONSTANT = Object.freeze({ poly: 0, log: 0, exp: false, fact: false });
+const LINEAR = Object.freeze({ poly: 1, log: 0, exp: false, fact: false });
+const LOGARITHMIC = Object.freeze({ poly: 0, log: 1, exp: false, fact: false });
+const SQUARE_ROOT = Object.freeze({ poly: 0.5, log: 0, exp: false, fact: false });
+const LINEARITHMIC = Object.freeze({ poly: 1, log: 1, exp: false, fact: false });
+
+function multiply(a, b) {
+  return { poly: a.poly + b.poly, log: a.log + b.log, exp: a.exp || b.exp, fact: a.fact || b.fact };
+}
+
+function compareCost(a, b) {
+  if (a.fact !== b.fact) return a.fact ? 1 : -1;
+  if (a.exp !== b.exp) return a.exp ? 1 : -1;
+  if (a.poly !== b.poly) return a.poly - b.poly;
+  return a.log - b.log;
+}
+
+function maxCost(a, b) {
+  return compareCost(a, b) >= 0 ? a : b;
+}
+
+/**
+ * Maps a cost onto the closest class in COMPLEXITY_MODELS, so the prediction can be
+ * compared directly with determineComplexity's verdict.
+ */
+function costToModel(cost) {
+  const byPrefix = prefix => COMPLEXITY_MODELS.find(m => m.type.startsWith(prefix));
+  if (cost.fact) return byPrefix('O(n!)');
+  if (cost.exp) return byPrefix('O(2^n)');
+  if (cost.poly >= 3) return byPrefix('O(n^3)');
+  if (cost.poly >= 2) return byPrefix(cost.log > 0 ? 'O(n^2 log n)' : 'O(n^2)');
+  if (cost.poly >= 1) return byPrefix(cost.log > 0 ? 'O(n log n)' : 'O(n)');
+  if (cost.poly > 0) return byPrefix('O(sqrt n)');
+  if (cost.log >= 2) return byPrefix('O(log^2 n)');
+  if (cost.log >= 1) return byPrefix('O(log n)');
+  return byPrefix('O(1)');
+}
+
+// Built-in methods whose own cost depends on the size of the receiver.
+const BUILTIN_COSTS = {
+  sort: { cost: LINEARITHMIC, label: 'O(n log n)' },
+  indexOf: { cost: LINEAR, label: 'O(n)' },
+  lastIndexOf: { cost: LINEAR, label: 'O(n)' },
+  includes: { cost: LINEAR, label: 'O(n)' },
+  slice: { cost: LINEAR, label: 'O(n)' },
+  splice: { cost: LINEAR, label: 'O(n)' },
+  concat: { cost: LINEAR, label: 'O(n)' },
+  join: { cost: LINEAR, label: 'O(n)' },
+  reverse: { cost: LINEAR, label: 'O(n)' },
+  split: { cost: LINEAR, label: 'O(n)' },
+  fill: { cost: LINEAR, label: 'O(n)' },
+  shift: { cost: LINEAR, label: 'O(n)' },
+  unshift: { cost: LINEAR, label: 'O(n)' },
+  toString: { cost: LINEAR, label: 'O(n)' }
+};
+
+// Array methods that call their callback once per element.
+const ITERATING_METHODS = new Set(['forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every', 'find', 'findIndex', 'flatMap']);
+
+const LOOP_TYPES = new Set(['ForStatement', 'WhileStatement', 'DoWhileStatement', 'ForOfStatement', 'ForInStatement']);
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Yields the direct child nodes of an AST node.
+ */
+function* children(node) {
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'start' || key === 'end') continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item.type === 'string') yield item;
+      }
+    } else if (value && typeof value.type === 'string') {
+      yield value;
+    }
+  }
+}
+
+/**
+ * Visits every node below `node`, without descending into nested functions unless asked to.
+ */
+function walk(node, visit, { intoFunctions = false } = {}) {
+  for (const child of children(node)) {
+    visit(child);
+    if (intoFunctions || !FUNCTION_TYPES.has(child.type)) {
+      walk(child, visit, { intoFunctions });
+    }
+  }
+}
+
+function identifiersIn(node) {
+  const names = new Set();
+  if (node.type === 'Identifier') names.add(node.name);
+  walk(node, child => {
+    if (child.type === 'Identifier') names.add(child.name);
+  });
+  return names;
+}
+
+// `x / 2`, `x >> 1`, `x * 2`, `x / 10` and friends: a value that shrinks or grows geometrically.
+function isGeometricExpression(node) {
+  let geometric = false;
+  const check = n => {
+    if (n.type === 'BinaryExpression' && ['/', '*', '>>', '>>>', '<<'].includes(n.operator)) {
+      geometric = true;
+    }
+  };
+  check(node);
+  walk(node, check);
+  return geometric;
+}
+
+/**
+ * Finds the variables a function's body sets from a geometric expression (`const mid = (lo + hi) >> 1`),
+ * or from a slice of the input bounded by one (`const left = a.slice(0, mid)`).
+ */
+function collectHalvedVariables(body) {
+  const halved = new Set();
+  const isBoundedSlice = (node) => node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+    !node.callee.computed && ['slice', 'subarray'].includes(node.callee.property.name) &&
+    node.arguments.some(arg => [...identifiersIn(arg)].some(name => halved.has(name)));
+  walk(body, node => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+      (isGeometricExpression(node.init) || isBoundedSlice(node.init))) {
+      halved.add(node.id.name);
+    }
+  });
+  return halved;
+}
+
+/**
+ * Finds the names whose value depends on the input: every function parameter, `n` and `input`,
+ * plus any variable declared or assigned from an expression that uses one of them.
+ */
+function collectInputDependentNames(program, functions) {
+  const dependent = new Set(['n', 'input']);
+  for (const fn of functions.values()) {
+    for (const param of fn.params) identifiersIn(param).forEach(name => dependent.add(name));
+  }
+  const usesInput = node => [...identifiersIn(node)].some(name => dependent.has(name));
+  let grew = true;
+  while (grew) {
+    grew = false;
+    walk(program, node => {
+      let name = null;
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init && usesInput(node.init)) {
+        name = node.id.name;
+      } else if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && usesInput(node.right)) {
+        name = node.left.name;
+      }
+      if (name !== null && !dependent.has(name)) {
+        dependent.add(name);
+        grew = true;
+      }
+    }, { intoFunctions: true });
+  }
+  return dependent;
+}
+
+/**
+ * Finds the named functions defined in the program: declarations and
+ * `const name = function / arrow` bindings.
+ */
+function collectFunctions(program) {
+  const functions = new Map();
+  walk(program, node => {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      functions.set(node.id.name, node);
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+      node.init && FUNCTION_TYPES.has(node.init.type)) {
+      functions.set(node.id.name, node.init);
+    }
+  }, { intoFunctions: true });
+  return functions;
+}
+
+/**
+ * Walks a function body and estimates its cost.
+ */
+class CostEstimator {
+  constructor(source, functions, inputNames) {
+    this.source = source;
+    this.functions = functions;
+    this.inputNames = inputNames;
+    this.reasons = [];
+    this.maxLoopDepth = 0;
+    this.inProgress = new Set();
+  }
+
+  line(node) {
+    return node.loc ? node.loc.start.line : '?';
+  }
+
+  text(node) {
+    const snippet = this.source.slice(node.start, node.end).replace(/\s+/g, ' ');
+    return snippet.length > 40 ? `${snippet.slice(0, 37)}...` : snippet;
+  }
+
+  note(node, message) {
+    this.reasons.push(`Line ${this.line(node)}: ${message}`);
+  }
+
+  /**
+   * How many times a loop runs, judged from its header and the variables its body updates.
+   */
+  loopFactor(loop) {
+    if (loop.type === 'ForOfStatement' || loop.type === 'ForInStatement') {
+      return { cost: LINEAR, label: `iterates over ${this.text(loop.right)}` };
+    }
+
+    const test = loop.test;
+    if (!test) return { cost: LINEAR, label: 'unbounded loop, assumed to run n times' };
+
+    // `i * i <= n` or `i <= Math.sqrt(n)` stops at the square root.
+    const testText = this.text(test);
+    if (/(\w+)\s*\*\s*\1\b/.test(testText) || /Math\.sqrt/.test(testText)) {
+      return { cost: SQUARE_ROOT, label: `stops at the square root (${testText})` };
+    }
+
+    const tracked = identifiersIn(test);
+    let geometric = false;
+    const halvedVariables = new Set();
+    const inspect = node => {
+      if (node.type === 'VariableDeclarator' && node.init && isGeometricExpression(node.init)) {
+        halvedVariables.add(node.id.name); // e.g. `const mid = Math.floor((low + high) / 2)`
+      }
+      if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && tracked.has(node.left.name)) {
+        if (['*=', '/=', '>>=', '>>>=', '<<='].includes(node.operator)) geometric = true;
+        if (node.operator === '=' && (isGeometricExpression(node.right) ||
+          [...identifiersIn(node.right)].some(name => halvedVariables.has(name)))) {
+          geometric = true;
+        }
+      }
+    };
+    if (loop.update) {
+      inspect(loop.update);
+      walk(loop.update, inspect);
+    }
+    walk(loop.body, inspect);
+
+    if (geometric) {
+      return { cost: LOGARITHMIC, label: `halves or multiplies its bound each step (${testText})` };
+    }
+
+    // A comparison where nothing depends on the input (`i < 10`, counting down from 10) doesn't grow with it.
+    // The variables' own starts and updates count, so `i = a.length - 1; i >= 0` is not constant.
+    if (test.type === 'BinaryExpression' && ![...tracked].some(name => this.inputNames.has(name))) {
+      const bound = test.right.type === 'Literal' ? `the constant ${test.right.value}` : testText;
+      return { cost: CONSTANT, label: `bounded by ${bound}, which doesn't depend on the input` };
+    }
+    const overLength = /\.length\b/.test(testText);
+    return { cost: LINEAR, label: overLength ? `runs over the input's length (${testText})` : `runs up to n (${testText})` };
+  }
+
+  /**
+   * Cost of evaluating a node once; `depth` is the current loop nesting depth.
+   */
+  cost(node, depth = 0, selfName = null) {
+    if (!node) return CONSTANT;
+
+    if (LOOP_TYPES.has(node.type)) {
+      const factor = this.loopFactor(node);
+      const nestedDepth = factor.cost === CONSTANT ? depth : depth + 1;
+      this.maxLoopDepth = Math.max(this.maxLoopDepth, nestedDepth);
+      this.note(node, `${node.type.replace('Statement', '')} loop ${factor.label}${nestedDepth > 1 ? `, nested at depth ${nestedDepth}` : ''}`);
+      return multiply(factor.cost, this.cost(node.body, nestedDepth, selfName));
+    }
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      return CONSTANT; // Defining a function costs nothing until it's called.
+    }
+
+    let total = CONSTANT;
+    if (node.type === 'CallExpression') {
+      total = maxCost(total, this.callCost(node, depth, selfName));
+    } else if (node.type === 'SpreadElement') {
+      total = maxCost(total, LINEAR);
+    }
+
+    for (const child of children(node)) {
+      total = maxCost(total, this.cost(child, depth, selfName));
+    }
+    return total;
+  }
+
+  callCost(call, depth, selfName) {
+    const { callee } = call;
+
+    if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+      const method = callee.property.name;
+      const callback = call.arguments[0];
+      if (ITERATING_METHODS.has(method) && callback && FUNCTION_TYPES.has(callback.type)) {
+        this.maxLoopDepth = Math.max(this.maxLoopDepth, depth + 1);
+        this.note(call, `.${method}() calls its callback once per element`);
+        return multiply(LINEAR, this.cost(callback.body, depth + 1, selfName));
+      }
+      if (Object.hasOwn(BUILTIN_COSTS, method)) {
+        this.note(call, `.${method}() is ${BUILTIN_COSTS[method].label}`);
+        return BUILTIN_COSTS[method].cost;
+      }
+    }
+
+    if (callee.type === 'Identifier' && callee.name !== selfName && this.functions.has(callee.name) &&
+      !this.inProgress.has(callee.name)) {
+      // Inline the cost of helpers defined in the same source.
+      this.inProgress.add(callee.name);
+      const helperCost = this.functionCost(callee.name, depth);
+      this.inProgress.delete(callee.name);
+      return helperCost;
+    }
+
+    return CONSTANT;
+  }
+
+  /**
+   * Cost of one call to a named function, including the effect of recursion.
+   */
+  functionCost(name, depth = 0) {
+    const fn = this.functions.get(name);
+    const frame = this.cost(fn.body, depth, name);
+
+    // Count the self-calls made by one frame, and how they shrink the problem. A named function
+    // expression (`const functionToTest = function mergeSort(a) {...}`) calls itself by its own name.
+    const selfNames = new Set([name, fn.id && fn.id.name]);
+    const selfCalls = [];
+    const findCalls = (node, loopDepth) => {
+      for (const child of children(node)) {
+        if (FUNCTION_TYPES.has(child.type)) continue;
+        if (child.type === 'CallExpression' && child.callee.type === 'Identifier' && selfNames.has(child.callee.name)) {
+          selfCalls.push({ node: child, inLoop: loopDepth > 0 });
+        }
+        findCalls(child, loopDepth + (LOOP_TYPES.has(child.type) ? 1 : 0));
+      }
+    };
+    findCalls(fn.body, 0);
+    if (selfCalls.length === 0) return frame;
+
+    const argsText = selfCalls.map(c => c.node.arguments.map(arg => this.text(arg)).join(', ')).join(' | ');
+    // An argument halves the input if it's computed geometrically, or built from a variable that is
+    // (`sort(a.slice(0, mid))`, `search(a, lo, mid - 1)`).
+    const halved = collectHalvedVariables(fn.body);
+    const halving = selfCalls.some(c => c.node.arguments.some(arg => isGeometricExpression(arg) ||
+      [...identifiersIn(arg)].some(name => halved.has(name))));
+    const shrink = halving ? 'halves the input' : 'shrinks the input by a constant';
+    const calls = selfCalls.length;
+    const head = `recursion: ${calls} call${calls > 1 ? 's' : ''} per frame that ${shrink} (${argsText})`;
+
+    if (!halving && selfCalls.some(c => c.inLoop)) {
+      this.note(fn, `${head}, made inside a loop: O(n!)`);
+      return { ...CONSTANT, fact: true };
+    }
+    if (!halving && calls >= 2) {
+      this.note(fn, `${head}: O(2^n)`);
+      return { ...CONSTANT, exp: true };
+    }
+    if (!halving) {
+      this.note(fn, `${head}: n levels`);
+      return multiply(LINEAR, frame);
+    }
+
+    // Halving: apply the master theorem to T(n) = calls * T(n / 2) + frame.
+    const critical = Math.log2(calls);
+    let total;
+    if (frame.poly < critical) {
+      total = { ...frame, poly: critical, log: 0 };
+    } else if (frame.poly === critical) {
+      total = { ...frame, log: frame.log + 1 };
+    } else {
+      total = frame;
+    }
+    this.note(fn, `${head}: log n levels`);
+    return total;
+  }
+}
+
+/**
+ * Statically estimates the time complexity of `functionToTest` from its source, without running it.
+ * Looks at loop nesting depth, loops over the input's length, halving or doubling loop variables,
+ * recursion (calls per frame and how the argument shrinks), and calls to built-ins with a known
+ * cost such as `sort`, `indexOf` and `includes`. Helper functions in the same source are inlined.
+ * @param {string} code The user's source.
+ * @returns {{bigO: string|null, rank: number|null, loopDepth: number, reasons: Array<string>}}
+ *   The predicted class (one of COMPLEXITY_MODELS) with a short justification, or a null prediction
+ *   with the reason when the code can't be analyzed.
+ */
+function analyzeStatically(code) {
+  let program;
+  try {
+    program = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+  } catch (e) {
+    return { bigO: null, rank: null, loopDepth: 0, reasons: [`Could not parse the code: ${e.message}`] };
+  }
+
+  const functions = collectFunctions(program);
+  if (!functions.has('functionToTest')) {
+    return { bigO: null, rank: null, loopDepth: 0, reasons: ["No 'functionToTest' function found."] };
+  }
+
+  const estimator = new CostEstimator(code, functions, collectInputDependentNames(program, functions));
+  estimator.inProgress.add('functionToTest');
+  const cost = estimator.functionCost('functionToTest');
+  const model = costToModel(cost);
+
+  const reasons = estimator.reasons.length > 0 ? estimator.reasons : ['No loops, recursion or size-dependent built-ins.'];
+  if (cost.poly > 3) {
+    reasons.push(`Nesting suggests O(n^${cost.poly}), reported as the closest detectable class.`);
+  }
+
+  return {
+    bigO: model.type,
+    rank: model.complexity,
+    loopDepth: estimator.maxLoopDepth,
+    reasons
+  };
+}
+
+/**
+ * Checks a static estimate against the empirical result.
+ * @param {{rank: number|null}} estimate The result of analyzeStatically.
+ * @param {number} empiricalRank The `rank` from determineComplexity.
+ * @returns {boolean|null} Whether both land on the same class, or null if there was no static prediction.
+ */
+function agreesWithEmpirical(estimate, empiricalRank) {
+  if (estimate.rank === null) return null;
+  return estimate.rank === empiricalRank;
+}
+
+module.exports = {
+  analyzeStatically,
+  agreesWithEmpirical,
+};
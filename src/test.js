@@ -1,16 +1,253 @@
+const fs = require('fs');
 const path = require('path');
-const { runAnalysis, determineComplexity } = require('./calculator');
+const {
+  COMPLEXITY_MODELS,
+  summarizeCalibration,
+  runComparison,
+  runGridAnalysis,
+  determineComplexity,
+  determineGridComplexity
+} = require('./calculator');
 const algorithms = require('./test_algorithms');
-const { getNumberFromConsole, getOptionFromConsole, getYesNoFromConsole } = require('./utils/input');
-const { createGraph } = require('./utils/plot');
+const { getNumberFromConsole, getOptionFromConsole, getOptionsFromConsole, getStringFromConsole, getYesNoFromConsole } = require('./utils/input');
+const { createGraph, createComparisonGraph } = require('./utils/plot');
+const { analyzeStatically, agreesWithEmpirical } = require('./staticAnalysis');
+const { SandboxError, InsufficientDataError } = require('./errors');
+const { createReport, describeCalibration, renderReport, reportFileName } = require('./report');
+const { EXIT_CODES, USAGE, UsageError, parseCommandLine } = require('./cli');
 const { getFileWithAutocomplete } = require('./utils/inputAsync');
+const { toSandboxSource } = require('./utils/sandboxSource');
+const { measureComplexity } = require('./analyze');
+const { listProblems, starterCode } = require('./problems');
+const { gradeSolution, describeGrade } = require('./grading');
+
+// Report formats to write after each analysis, set from `--export` in main().
+let exportFormats = [];
+
+/**
+ * Writes a report (see createReport) in every format asked for with `--export`, to the working
+ * directory. A failed write is reported without losing the analysis.
+ * @param {object} report
+ * @param {Function} [log] Where to say what was written (default console.log).
+ */
+function exportReport(report, log = console.log) {
+  for (const format of exportFormats) {
+    const fileName = reportFileName(report.algoName, format);
+    try {
+      fs.writeFileSync(fileName, renderReport(report, format));
+      log(`Report exported: ${fileName}`);
+    } catch (error) {
+      console.error(`Failed to export the ${format} report: ${error.message}`);
+    }
+  }
+}
+
+// Parameter specs for built-ins that take more than the scaling input.
+const builtInParams = {
+  logarithmicTime: [{ kind: 'scaling' }, { kind: 'fixed', value: -1 }], // Search for a missing target: worst case.
+};
+
+// The built-in algorithms are the functions of the reference corpus; some of them take n itself.
+const builtInNames = Object.keys(algorithms).filter(name => typeof algorithms[name] === 'function');
+const builtInModes = Object.fromEntries(algorithms.REFERENCE_CORPUS.map(entry => [entry.fn.name, entry.inputMode]));
+
+/**
+ * Asks how each parameter of a multi-argument function should be filled.
+ * @param {Function} algorithm The function being analyzed; its declared arity sets the parameter count.
+ * @returns {Array<object>|null} Parameter specs for runAnalysis, or null if the user cancelled.
+ */
+function promptForParams(algorithm) {
+  const count = algorithm.length;
+  if (count <= 1) return [{ kind: 'scaling' }];
+
+  const positions = Array.from({ length: count }, (_, i) => `Parameter ${i + 1}`);
+  const scalingChoice = getOptionFromConsole(`\nThe function takes ${count} parameters. Which one grows with n?`, positions);
+  if (!scalingChoice) return null;
+  const scalingIndex = positions.indexOf(scalingChoice);
+
+  const params = [];
+  for (let i = 0; i < count; i++) {
+    if (i === scalingIndex) {
+      params.push({ kind: 'scaling' });
+      continue;
+    }
+
+    const kindOptions = ['Fixed value', "Derived from the scaling input (expression using 'input' and 'n')"];
+    const kind = getOptionFromConsole(`How should parameter ${i + 1} be filled?`, kindOptions);
+    if (!kind) return null;
+
+    if (kind === 'Fixed value') {
+      const raw = getStringFromConsole(`Value for parameter ${i + 1} (JSON, e.g. -1 or "abc"): `);
+      if (raw === null) return null;
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (e) {
+        value = raw; // Not JSON, pass it through as a plain string.
+      }
+      params.push({ kind: 'fixed', value });
+    } else {
+      const expression = getStringFromConsole(`Expression for parameter ${i + 1} (e.g. input[input.length - 1] + input[input.length - 2]): `);
+      if (expression === null) return null;
+      params.push({ kind: 'derived', expression });
+    }
+  }
+  return params;
+}
+
+/**
+ * Reads a comma-separated list of positive sizes, e.g. "100, 200, 400".
+ * @param {string} message The prompt to show.
+ * @returns {Array<number>|null} The sizes, or null if the user cancelled or entered none.
+ */
+function getSizeListFromConsole(message) {
+  const raw = getStringFromConsole(message);
+  if (raw === null) return null;
+  const sizes = raw.split(',').map(part => parseInt(part.trim(), 10)).filter(n => n > 0);
+  return sizes.length > 0 ? sizes : null;
+}
+
+/**
+ * Asks which parameter grows with m for a two-variable grid sweep and marks it as the m scaling input.
+ * @param {Array<object>} params The parameter specs chosen so far (one scaling input for n).
+ * @returns {Array<object>|null} Updated specs, or null if the function has no parameter left for m.
+ */
+function promptForGridDimension(params) {
+  const candidates = params
+    .map((param, i) => ({ param, label: `Parameter ${i + 1}` }))
+    .filter(({ param }) => param.kind !== 'scaling');
+  if (candidates.length === 0) {
+    console.log("A grid sweep needs a second parameter that grows with m (or a custom generateInput(n, m)).");
+    return null;
+  }
+
+  const choice = getOptionFromConsole("Which parameter grows with m?", candidates.map(c => c.label));
+  if (!choice) return null;
+  const chosen = candidates.find(c => c.label === choice).param;
+  return params.map(param => (param === chosen ? { kind: 'scaling', dimension: 'm' } : param));
+}
+
+/**
+ * Runs a two-variable grid sweep and prints the (n x m) timings and the fitted models as tables.
+ */
+async function runAndDisplayGridAnalysis(code, selectedAlgoName, nSizes, mSizes, inputMode, params, measure = 'time', options = {}) {
+  const { iterations = 10 } = options;
+  console.log(`\nTesting ${selectedAlgoName} on a ${nSizes.length} x ${mSizes.length} grid of (n, m) sizes.`);
+  console.log(measure === 'operations'
+    ? "Counting operations (one run per pair)... please wait.\n"
+    : `Running analysis (${iterations} iterations per pair)... please wait.\n`);
+
+  const dataPoints = await runGridAnalysis(code, nSizes, mSizes, iterations, inputMode, params, { measure });
+  console.log(`Results (${measure === 'operations' ? 'operation counts' : 'time in ms'}, rows are n, columns are m):`);
+  const table = {};
+  for (const n of nSizes) {
+    table[n] = {};
+    for (const m of mSizes) {
+      table[n][m] = dataPoints.find(d => d.n === n && d.m === m)[measure];
+    }
+  }
+  console.table(table);
+
+  const complexity = determineGridComplexity(dataPoints, measure);
+  console.log("\n--- Complexity Analysis ---");
+  console.log(`Most likely Big O: \x1b[32m${complexity.bestFit}\x1b[0m`);
+  const confidenceColor = complexity.confidence > 75 ? '\x1b[32m' : '\x1b[31m';
+  console.log(`Confidence: ${confidenceColor}${complexity.confidence}%\x1b[0m`);
+
+  displayModelScores(complexity.results);
+
+  exportReport(createReport({ algoName: selectedAlgoName, measure, dataPoints, complexity, grid: { nSizes, mSizes } }));
+  return complexity;
+}
+
+/**
+ * Prints every fitted model's scores, lowest BIC first.
+ * @param {Array<object>} results The `results` of determineComplexity or determineGridComplexity.
+ */
+function displayModelScores(results) {
+  console.log("Model Comparison (lower BIC is better; picked = share of bootstrap resamples choosing it):");
+  console.table(results.map(res => ({
+    model: res.type,
+    BIC: res.bic.toFixed(1),
+    'ΔBIC': res.deltaBic.toFixed(1),
+    AIC: res.aic.toFixed(1),
+    RMSE: res.rmse.toFixed(6),
+    picked: `${Math.round(res.bootstrapShare * 100)}%`
+  })));
+}
+
+/**
+ * Flattens data points for console.table: each size with its measurement, the spread of its runs,
+ * the calls each run batched if there were several, and the heap if it was measured.
+ * @param {Array<object>} dataPoints Data points from runAnalysis.
+ * @param {string} measure 'time' or 'operations'.
+ */
+function toTableRows(dataPoints, measure) {
+  return dataPoints.map(point => {
+    const { stdDev, cv, count } = point.dispersion[measure];
+    const row = { n: point.n, [measure]: point[measure], stdDev, 'cv %': Math.round(cv * 100), runs: count };
+    if (point.repetitions !== undefined) row['calls/run'] = point.repetitions;
+    if (point.memory !== undefined) row.memory = point.memory;
+    return row;
+  });
+}
+
+/**
+ * Prints what the timer calibration found for the measured data points, if there was one.
+ */
+function displayCalibration(calibration, dataPoints) {
+  if (!calibration) return;
+  describeCalibration(summarizeCalibration(calibration, dataPoints)).forEach(line => console.log(line));
+}
+
+/**
+ * Prints the static prediction next to the empirical result, flagging disagreement.
+ * @param {object} staticEstimate The result of analyzeStatically.
+ * @param {object} complexity The result of determineComplexity.
+ */
+function displayStaticEstimate(staticEstimate, complexity) {
+  if (staticEstimate.bigO === null) {
+    console.log(`\nStatic estimate unavailable: ${staticEstimate.reasons[0]}`);
+    return;
+  }
+
+  console.log(`\nStatic estimate (from the code): \x1b[36m${staticEstimate.bigO}\x1b[0m`);
+  staticEstimate.reasons.forEach(reason => console.log(`  - ${reason}`));
+  if (!agreesWithEmpirical(staticEstimate, complexity.rank)) {
+    console.log(`\x1b[33mThe static estimate (${staticEstimate.bigO}) disagrees with the measured ${complexity.bestFit}. Check the input sizes, or whether the loops really depend on the input.\x1b[0m`);
+  }
+  console.log();
+}
 
 /**
  * Displays the analysis results and handles graph generation.
+ * @param {object} complexity The result of determineComplexity.
+ * @param {Array<{n: number, time: number}>} dataPoints The data points to plot.
+ * @param {object} [cases] The best / average / worst summary from runCaseAnalysis, if one was run.
+ * @param {object} [staticEstimate] The result of analyzeStatically for the same code.
+ * @param {string} [measure] What the data points hold: 'time' (default) or 'operations'.
+ * @param {string|null} [graphPath] Where to draw the chart (default 'graph.png'); the space chart goes
+ *   next to it with '-memory' added to its name. Null draws nothing.
  */
-async function displayAnalysis(complexity, dataPoints) {
+async function displayAnalysis(complexity, dataPoints, cases, staticEstimate, measure = 'time', graphPath = 'graph.png') {
   console.log("\n--- Complexity Analysis ---");
   console.log(`Most likely Big O: \x1b[32m${complexity.bestFit}\x1b[0m`);
+  if (complexity.exponent !== null) {
+    console.log(`Empirical exponent (log-log fit): n^${complexity.exponent}`);
+  }
+
+  if (cases) {
+    console.log("\nBest / Average / Worst Case:");
+    console.table(['best', 'average', 'worst'].map(name => ({
+      case: name,
+      input: cases[name].distribution,
+      bigO: cases[name].bestFit,
+      confidence: `${cases[name].confidence}%`
+    })));
+    if (cases.casesDisagree) {
+      console.log("\x1b[33mThe cases disagree: this algorithm's complexity depends on the order of its input. Big O above is the worst case.\x1b[0m");
+    }
+  }
 
   const confidenceColor = complexity.confidence > 75 ? '\x1b[32m' : '\x1b[31m';
   console.log(`Confidence: ${confidenceColor}${complexity.confidence}%\x1b[0m`);
@@ -19,55 +256,469 @@ async function displayAnalysis(complexity, dataPoints) {
       console.log("\x1b[33mWarning: Low confidence detected. The data may be noisy or the algorithm might differ from standard complexity classes.\x1b[0m");
   }
 
-  console.log("Model Fit (RMSE - Lower is better):");
-  complexity.results.forEach(res => {
-    console.log(`  ${res.type}: ${res.rmse.toFixed(6)}`);
-  });
+  if (staticEstimate) {
+    displayStaticEstimate(staticEstimate, complexity);
+  }
+
+  displayModelScores(complexity.results);
 
+  const spaceComplexity = dataPoints.every(d => d.memory !== undefined)
+    ? determineComplexity(dataPoints, 'memory')
+    : null;
+  if (spaceComplexity) {
+    const spaceColor = spaceComplexity.confidence > 75 ? '\x1b[32m' : '\x1b[31m';
+    console.log(`\nSpace: \x1b[32m${spaceComplexity.bestFit}\x1b[0m (confidence ${spaceColor}${spaceComplexity.confidence}%\x1b[0m)`);
+  }
+
+  if (!graphPath) return;
   try {
-    const graphPath = await createGraph(dataPoints, complexity.bestFit, complexity.confidence);
+    await createGraph(dataPoints, complexity.bestFit, complexity.confidence, graphPath, measure);
     console.log(`\nGraph generated: ${graphPath}`);
+    if (spaceComplexity) {
+      const { dir, name, ext } = path.parse(graphPath);
+      const spaceGraphPath = path.join(dir, `${name}-memory${ext}`);
+      await createGraph(dataPoints, spaceComplexity.bestFit, spaceComplexity.confidence, spaceGraphPath, 'memory');
+      console.log(`Space graph generated: ${spaceGraphPath}`);
+    }
   } catch (error) {
     console.error(`\nFailed to generate graph: ${error.message}`);
   }
 }
 
 /**
- * A wrapper for runAnalysis that also handles displaying results.
+ * A wrapper for measureComplexity that also handles displaying results.
+ * @param {object} [options]
+ * @param {number} [options.iterations] Runs per size (default 10).
+ * @param {string|null} [options.graphPath] Where to draw the chart (see displayAnalysis).
  */
-async function runAndDisplayAnalysis(algorithm, selectedAlgoName, inputSizes, inputMode = 'array') {
+async function runAndDisplayAnalysis(code, selectedAlgoName, inputSizes, inputMode = 'array', params, measure = 'time', options = {}) {
+  const { iterations = 10, graphPath } = options;
   console.log(`\nTesting ${selectedAlgoName} with input sizes: ${inputSizes.join(', ')}`);
-  console.log("Running analysis (10 iterations per size)... please wait.\n");
+  console.log(measure === 'operations'
+    ? "Counting operations (one run per size)... please wait.\n"
+    : `Running analysis (${iterations} iterations per size)... please wait.\n`);
 
-  const dataPoints = runAnalysis(algorithm, inputSizes, 10, inputMode);
+  const { dataPoints, complexity, calibration } = await measureComplexity(code, { inputSizes, iterations, inputMode, params, measure });
   console.log("Results:");
-  console.table(dataPoints);
+  console.table(toTableRows(dataPoints, measure));
+  displayCalibration(calibration, dataPoints);
+
+  await displayAnalysis(complexity, dataPoints, undefined, analyzeStatically(code), measure, graphPath);
+  exportReport(createReport({ algoName: selectedAlgoName, measure, dataPoints, complexity, calibration }));
+
+  return complexity;
+}
+
+// Why an automatic sweep stopped growing n, by runAdaptiveAnalysis's `stoppedBecause`.
+const stopReasons = {
+  budget: 'the next size would not fit in the time budget',
+  timeout: 'the next size risked the per-run time limit',
+  'out-of-memory': 'the next size ran out of memory',
+  maxSize: 'it reached the largest size it tries'
+};
+
+/**
+ * Runs the analysis with input sizes picked automatically within a time budget, and displays it.
+ * @param {object} [options]
+ * @param {string|null} [options.graphPath] Where to draw the chart (see displayAnalysis).
+ * @returns {object|null} The complexity, or null if the budget only allowed one size.
+ */
+async function runAndDisplayAdaptiveAnalysis(code, selectedAlgoName, budgetSeconds, inputMode = 'array', params, measure = 'time', options = {}) {
+  const { graphPath } = options;
+  console.log(`\nTesting ${selectedAlgoName} with input sizes picked automatically within ${budgetSeconds}s... please wait.\n`);
+
+  const { dataPoints, complexity, calibration, adaptive } = await measureComplexity(code, { budgetMs: budgetSeconds * 1000, inputMode, params, measure });
+  console.log("Results:");
+  console.table(toTableRows(dataPoints, measure));
+  console.log(`Measured ${dataPoints.length} sizes in ${(adaptive.elapsedMs / 1000).toFixed(1)}s; stopped because ${stopReasons[adaptive.stoppedBecause]}.`);
+  displayCalibration(calibration, dataPoints);
+
+  if (!complexity) {
+    console.log("\nOne input size is not enough to fit a model. Try a larger time budget.");
+    return null;
+  }
+
+  await displayAnalysis(complexity, dataPoints, undefined, analyzeStatically(code), measure, graphPath);
+  exportReport(createReport({ algoName: selectedAlgoName, measure, dataPoints, complexity, calibration }));
+  return complexity;
+}
+
+/**
+ * Runs the analysis against every input distribution and displays best, average and worst case.
+ * The worst case drives the reported Big O, graph and confidence.
+ * @param {object} [options]
+ * @param {number} [options.iterations] Runs per size and distribution (default 10).
+ * @param {string|null} [options.graphPath] Where to draw the chart (see displayAnalysis).
+ */
+async function runAndDisplayCaseAnalysis(code, selectedAlgoName, inputSizes, params, measure = 'time', options = {}) {
+  const { iterations = 10, graphPath } = options;
+  console.log(`\nTesting ${selectedAlgoName} on sorted, reversed, random, duplicate-heavy and nearly sorted inputs.`);
+  console.log(`Input sizes: ${inputSizes.join(', ')} (${iterations} iterations per size and distribution)... please wait.\n`);
+
+  const { dataPoints, complexity, calibration, cases } = await measureComplexity(code, { inputSizes, cases: true, iterations, params, measure });
+  console.log(`Results (worst case: ${cases.worst.distribution}):`);
+  console.table(toTableRows(dataPoints, measure));
+  displayCalibration(calibration, dataPoints);
+
+  await displayAnalysis(complexity, dataPoints, cases, analyzeStatically(code), measure, graphPath);
+  exportReport(createReport({ algoName: selectedAlgoName, measure, dataPoints, complexity, cases, calibration }));
 
-  const complexity = determineComplexity(dataPoints);
-  
-  await displayAnalysis(complexity, dataPoints);
-  
   return complexity;
 }
 
+/**
+ * Describes a crossover from runComparison in a sentence.
+ * @param {object} crossover
+ * @param {Array<number>} inputSizes The measured sizes.
+ * @returns {string}
+ */
+function describeCrossover({ implementations: [a, b], n, fasterBelow, fasterAbove, extrapolated }, inputSizes) {
+  if (n === null) {
+    return `${a} vs ${b}: no crossover; ${fasterBelow} is faster at every measured size.`;
+  }
+  const where = extrapolated
+    ? `beyond the measured sizes (extrapolated from the fitted models, largest measured n=${inputSizes[inputSizes.length - 1]})`
+    : 'within the measured sizes';
+  return `${a} vs ${b}: crossover near n=${n}, ${where}; ${fasterBelow} is faster below it, ${fasterAbove} above it.`;
+}
+
+/**
+ * Measures several implementations on identical inputs, interleaved, and displays each one's
+ * Big O, the speed-up over the first (the baseline) at each size, and where the faster one changes.
+ * @param {Array<{name: string, code: string}>} implementations
+ */
+async function runAndDisplayComparison(implementations, inputSizes, inputMode, params, measure = 'time') {
+  console.log(`\nComparing ${implementations.map(impl => impl.name).join(', ')} with input sizes: ${inputSizes.join(', ')}`);
+  console.log(measure === 'operations'
+    ? "Counting operations (one run per size and implementation)... please wait.\n"
+    : "Running analysis (10 interleaved iterations per size and implementation)... please wait.\n");
+
+  const comparison = await runComparison(implementations, inputSizes, 10, inputMode, params, { measure });
+  console.log(`Results (${measure === 'operations' ? 'operation counts' : 'time in ms'}):`);
+  console.table(inputSizes.map((n, i) => {
+    const row = { n };
+    comparison.implementations.forEach(({ name, dataPoints }) => { row[name] = dataPoints[i][measure]; });
+    return row;
+  }));
+
+  console.log("\n--- Complexity Analysis ---");
+  console.table(comparison.implementations.map(({ name, complexity }) => ({
+    implementation: name,
+    bigO: complexity.bestFit,
+    confidence: `${complexity.confidence}%`,
+    exponent: complexity.exponent
+  })));
+
+  console.log(`Speed-up over ${comparison.baseline} (above 1 is faster):`);
+  console.table(comparison.speedups.map(({ n, ratios }) => {
+    const row = { n };
+    Object.entries(ratios).forEach(([name, ratio]) => { row[name] = `${ratio.toFixed(2)}x`; });
+    return row;
+  }));
+
+  comparison.crossovers.forEach(crossover => console.log(describeCrossover(crossover, inputSizes)));
+
+  try {
+    const graphPath = await createComparisonGraph(comparison.implementations, 'graph-comparison.png', measure);
+    console.log(`\nGraph generated: ${graphPath}`);
+  } catch (error) {
+    console.error(`\nFailed to generate graph: ${error.message}`);
+  }
+
+  exportReport(createReport({ algoName: implementations[0].name, measure, comparison }));
+  return comparison;
+}
+
+/**
+ * Loads the function a non-interactive run analyzes: a built-in, or an export of --file.
+ * @param {object} settings From parseCommandLine.
+ * @returns {{algorithm: Function, generator: Function|undefined, name: string}}
+ * @throws {UsageError} If the function (or the generateInput custom mode needs) isn't there.
+ * @throws {Error} If the file can't be loaded.
+ */
+function loadAlgorithm({ file, functionName, inputMode }) {
+  if (!file) {
+    if (!builtInNames.includes(functionName)) {
+      throw new UsageError(`Unknown built-in algorithm '${functionName}'. Use one of: ${builtInNames.join(', ')}, or pass --file.`);
+    }
+    if (inputMode === 'custom') {
+      throw new UsageError('Custom input mode needs a --file exporting generateInput(n).');
+    }
+    return { algorithm: algorithms[functionName], generator: undefined, name: functionName };
+  }
+
+  let customModule;
+  try {
+    customModule = require(file);
+  } catch (error) {
+    throw new Error(`Error loading file ${file}: ${error.message}`);
+  }
+
+  let algorithm;
+  let name;
+  if (typeof customModule === 'function') {
+    algorithm = customModule;
+    name = customModule.name || 'Custom Function';
+  } else if (customModule && typeof customModule === 'object') {
+    const exports = Object.keys(customModule).filter(k => typeof customModule[k] === 'function' && k !== 'generateInput');
+    if (exports.length === 0) throw new Error(`No exported functions found in ${file}.`);
+    if (functionName && !exports.includes(functionName)) {
+      throw new UsageError(`${file} has no exported function '${functionName}'. It exports: ${exports.join(', ')}.`);
+    }
+    if (!functionName && exports.length > 1) {
+      throw new UsageError(`${file} exports several functions (${exports.join(', ')}); pick one with --function.`);
+    }
+    name = functionName || exports[0];
+    algorithm = customModule[name];
+  } else {
+    throw new Error(`${file} does not export a function or object.`);
+  }
+
+  const generator = inputMode === 'custom' ? customModule.generateInput : undefined;
+  if (inputMode === 'custom' && typeof generator !== 'function') {
+    throw new UsageError(`Custom input mode needs ${file} to export generateInput(n).`);
+  }
+  return { algorithm, generator, name };
+}
+
+/**
+ * Runs a non-interactive analysis without printing anything, for --format json.
+ * @returns {Promise<object>} The report (see createReport).
+ * @throws {InsufficientDataError} If the analysis produced too few sizes to fit a model.
+ */
+async function analyzeQuietly(code, name, params, settings) {
+  const { strategy, inputSizes, mSizes, budgetSeconds, inputMode, measure, iterations, cases } = settings;
+  if (strategy === 'grid') {
+    const dataPoints = await runGridAnalysis(code, inputSizes, mSizes, iterations, inputMode, params, { measure });
+    const complexity = determineGridComplexity(dataPoints, measure);
+    return createReport({ algoName: name, measure, dataPoints, complexity, grid: { nSizes: inputSizes, mSizes } });
+  }
+  const measured = await measureComplexity(code, {
+    inputSizes,
+    budgetMs: strategy === 'auto' ? budgetSeconds * 1000 : undefined,
+    cases,
+    iterations,
+    inputMode,
+    params,
+    measure
+  });
+  const { dataPoints, complexity, calibration } = measured;
+  if (!complexity) {
+    throw new InsufficientDataError('Too few input sizes were measured to fit a model. Try more sizes or a larger time budget.', dataPoints);
+  }
+  return createReport({ algoName: name, measure, dataPoints, complexity, cases: measured.cases, calibration });
+}
+
+/**
+ * Runs the analysis the command-line options describe, printing it in the chosen format.
+ * @param {object} settings From parseCommandLine.
+ * @returns {Promise<number>} The exit code: success, or lowConfidence when the verdict's
+ *   confidence is below settings.minConfidence.
+ * @throws {UsageError|SandboxError|Error} If the options don't fit the function or the analysis fails.
+ */
+async function runBatch(settings) {
+  const { strategy, inputSizes, mSizes, budgetSeconds, inputMode, measure, iterations, cases, format, graphPath } = settings;
+  const { algorithm, generator, name } = loadAlgorithm(settings);
+
+  let params = settings.params || builtInParams[name];
+  if (!params) {
+    if (strategy === 'grid' && inputMode !== 'custom') {
+      throw new UsageError("A grid needs --params with one parameter scaling with m, e.g. '[{\"kind\":\"scaling\"},{\"kind\":\"scaling\",\"dimension\":\"m\"}]'.");
+    }
+    if (algorithm.length > 1) {
+      throw new UsageError(`${name} takes ${algorithm.length} parameters; describe how to fill them with --params.`);
+    }
+    params = [{ kind: 'scaling' }];
+  }
+  const code = toSandboxSource(algorithm, generator);
+
+  let confidence;
+  if (format === 'json') {
+    const report = await analyzeQuietly(code, name, params, settings);
+    console.log(renderReport(report, 'json').trimEnd());
+    if (graphPath && !report.grid) {
+      try {
+        await createGraph(report.dataPoints, report.bigO, report.confidence, graphPath, measure);
+      } catch (error) {
+        console.error(`Failed to generate graph: ${error.message}`);
+      }
+    }
+    exportReport(report, console.error);
+    confidence = report.confidence;
+  } else {
+    const options = { iterations, graphPath };
+    let complexity;
+    if (strategy === 'grid') {
+      complexity = await runAndDisplayGridAnalysis(code, name, inputSizes, mSizes, inputMode, params, measure, options);
+    } else if (strategy === 'auto') {
+      complexity = await runAndDisplayAdaptiveAnalysis(code, name, budgetSeconds, inputMode, params, measure, options);
+      if (!complexity) return EXIT_CODES.failure;
+    } else if (cases) {
+      complexity = await runAndDisplayCaseAnalysis(code, name, inputSizes, params, measure, options);
+    } else {
+      complexity = await runAndDisplayAnalysis(code, name, inputSizes, inputMode, params, measure, options);
+    }
+    confidence = complexity.confidence;
+  }
+  return confidence < settings.minConfidence ? EXIT_CODES.lowConfidence : EXIT_CODES.success;
+}
+
+/**
+ * Prints the problem catalog.
+ */
+function displayProblems() {
+  console.table(listProblems().map(({ id, title, target, signature }) => ({ id, title, target, signature })));
+}
+
+/**
+ * Grades a solution and prints the grade.
+ * @returns {Promise<object>} The grade (see gradeSolution).
+ */
+async function runAndDisplayGrade(problemId, solution, name, options = {}) {
+  console.log(`\nGrading ${name}...`);
+  const grade = await gradeSolution(problemId, solution, { name, ...options });
+  console.log(`\n--- ${grade.problem.title} (target ${grade.problem.target}) ---`);
+  const color = grade.passed ? '\x1b[32m' : '\x1b[31m';
+  console.log(`Grade: ${color}${grade.passed ? 'PASSED' : 'NOT PASSED'}\x1b[0m`);
+  describeGrade(grade).forEach(line => console.log(line));
+  return grade;
+}
+
+/**
+ * The exit code of a grade: passed, failed (wrong, or worse than the target) or inconclusive.
+ */
+function gradeExitCode(grade) {
+  if (grade.passed) return EXIT_CODES.success;
+  if (grade.correct && grade.complexity && grade.complexity.status === 'inconclusive') return EXIT_CODES.lowConfidence;
+  return EXIT_CODES.failure;
+}
+
+/**
+ * Grades the --file solution to a --problem, printing the grade in the chosen format.
+ * @param {object} settings From parseCommandLine.
+ * @returns {Promise<number>} The exit code (see gradeExitCode).
+ * @throws {UsageError|SandboxError|Error} If the solution can't be loaded, or fails at a measured size.
+ */
+async function runGrade(settings) {
+  const { problem, measure, iterations, format } = settings;
+  const { algorithm, name } = loadAlgorithm({ ...settings, inputMode: 'array' });
+  let grade;
+  if (format === 'json') {
+    grade = await gradeSolution(problem, algorithm, { name, measure, iterations });
+    // The raw measurements stay out; `complexity` keeps the verdict against the target.
+    const { analysis, ...complexity } = grade.complexity || {};
+    console.log(JSON.stringify({ ...grade, complexity: grade.complexity && complexity }, null, 2));
+  } else {
+    grade = await runAndDisplayGrade(problem, algorithm, name, { measure, iterations });
+  }
+  return gradeExitCode(grade);
+}
+
+/**
+ * Runs the CLI: non-interactively when options are given, through the menus otherwise.
+ */
 async function main() {
+  let command;
+  try {
+    command = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\nRun with --help to see the options.`);
+    process.exitCode = EXIT_CODES.usage;
+    return;
+  }
+
+  if (command.mode === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  if (command.mode === 'problems') {
+    displayProblems();
+    return;
+  }
+  if (command.mode === 'grade') {
+    process.exitCode = await runGrade(command.settings);
+    return;
+  }
+  if (command.mode === 'interactive') {
+    exportFormats = command.exportFormats;
+    await runInteractive();
+    return;
+  }
+  exportFormats = command.settings.exportFormats;
+  process.exitCode = await runBatch(command.settings);
+}
+
+/**
+ * Asks for a catalog problem and a file with the solution, then grades it.
+ */
+async function runInteractiveGrade() {
+  const problems = listProblems();
+  const titles = problems.map(problem => `${problem.title} (target ${problem.target})`);
+  const selectedTitle = getOptionFromConsole("Select a problem:", titles);
+  if (!selectedTitle) return;
+  const problem = problems[titles.indexOf(selectedTitle)];
+  console.log(`\nYour solution must look like this:\n\n${starterCode(problem)}\n`);
+
+  const filePath = await getFileWithAutocomplete("Enter path to your solution file (Tab for autocomplete): ");
+  if (!filePath) return;
+  const absolutePath = path.isAbsolute(filePath) ? filePath : path.resolve(process.cwd(), filePath);
+  let solution;
+  let name;
+  try {
+    const customModule = require(absolutePath);
+    if (typeof customModule === 'function') {
+      solution = customModule;
+      name = customModule.name || 'Custom Function';
+    } else if (customModule && typeof customModule === 'object') {
+      const exports = Object.keys(customModule).filter(k => typeof customModule[k] === 'function');
+      if (exports.length === 0) throw new Error("No exported functions found in that file.");
+      name = exports.length > 1 ? getOptionFromConsole("Select the solution to grade:", exports) : exports[0];
+      if (!name) return;
+      solution = customModule[name];
+    } else {
+      throw new Error("Module does not export a function or object.");
+    }
+  } catch (error) {
+    console.error(`Error loading file: ${error.message}`);
+    return;
+  }
+
+  try {
+    await runAndDisplayGrade(problem.id, solution, name);
+  } catch (error) {
+    console.error(`Grading failed: ${error.message}`);
+  }
+}
+
+/**
+ * Asks for the source, measure, growth strategy and run mode through menus, then runs the analysis.
+ */
+async function runInteractive() {
   console.log("---- Big O Calculator & Tester ----");
 
   // 1. Select Algorithm Source
-  const sourceOptions = ['Built-in Algorithms', 'Load Custom Function from File'];
+  const sourceOptions = ['Built-in Algorithms', 'Load Custom Function from File', 'Grade a Solution to a LeetCode Problem'];
   const source = getOptionFromConsole("Select algorithm source:", sourceOptions);
   
   if (!source) return;
+  if (source.startsWith('Grade')) {
+    await runInteractiveGrade();
+    return;
+  }
 
   let algorithm;
+  let generator;
+  let params;
   let selectedAlgoName;
+  let implementations = null; // Set when several exports are compared instead.
   let inputMode = 'array'; // Default for built-ins
 
   if (source === 'Built-in Algorithms') {
-    const algoNames = Object.keys(algorithms);
-    selectedAlgoName = getOptionFromConsole("Select an algorithm to test:", algoNames);
+    selectedAlgoName = getOptionFromConsole("Select an algorithm to test:", builtInNames);
     if (!selectedAlgoName) return;
     algorithm = algorithms[selectedAlgoName];
+    inputMode = builtInModes[selectedAlgoName];
+    params = builtInParams[selectedAlgoName] || [{ kind: 'scaling' }];
   } else {
     const filePath = await getFileWithAutocomplete("Enter path to file (Tab for autocomplete): ");
     if (!filePath) return;
@@ -79,10 +730,25 @@ async function main() {
         algorithm = customModule;
         selectedAlgoName = customModule.name || 'Custom Function';
       } else if (typeof customModule === 'object') {
-        const exports = Object.keys(customModule).filter(k => typeof customModule[k] === 'function');
+        // A generateInput export is the input generator, not something to analyze.
+        const exports = Object.keys(customModule).filter(k => typeof customModule[k] === 'function' && k !== 'generateInput');
         if (exports.length === 0) { throw new Error("No exported functions found in that file."); }
-        selectedAlgoName = getOptionFromConsole("Select exported function to test:", exports);
-        if (!selectedAlgoName) return;
+        const loadModes = ['Analyze one export', 'Compare several exports on identical inputs'];
+        const loadMode = exports.length > 1 ? getOptionFromConsole("Analyze or compare?", loadModes) : loadModes[0];
+        if (!loadMode) return;
+        if (loadMode.startsWith('Compare')) {
+          const comparedNames = getOptionsFromConsole("Select the exports to compare (the first one is the baseline):", exports);
+          if (!comparedNames) return;
+          if (comparedNames.length < 2) {
+            console.log("A comparison needs at least two exports.");
+            return;
+          }
+          implementations = comparedNames.map(name => ({ name }));
+          selectedAlgoName = comparedNames[0];
+        } else {
+          selectedAlgoName = getOptionFromConsole("Select exported function to test:", exports);
+          if (!selectedAlgoName) return;
+        }
         algorithm = customModule[selectedAlgoName];
       } else {
         throw new Error("Module does not export a function or object.");
@@ -92,9 +758,26 @@ async function main() {
         'Array of n items (for sorting, iteration, etc.)',
         'The number n itself (for mathematical, digit-based functions, etc.)'
       ];
+      const hasGenerator = typeof customModule === 'object' && typeof customModule.generateInput === 'function';
+      if (hasGenerator) {
+        inputModeOptions.push('Custom generator (the generateInput(n) exported by your file)');
+      }
       const selectedModeDescription = getOptionFromConsole("\nHow should the input 'n' be passed to your function?", inputModeOptions);
       if (!selectedModeDescription) return;
-      inputMode = selectedModeDescription.includes('Array') ? 'array' : 'number';
+      if (selectedModeDescription.startsWith('Custom')) {
+        inputMode = 'custom';
+        generator = customModule.generateInput;
+      } else {
+        inputMode = selectedModeDescription.includes('Array') ? 'array' : 'number';
+      }
+
+      // Compared exports share the baseline's parameter layout.
+      params = promptForParams(algorithm);
+      if (!params) return;
+
+      if (implementations) {
+        implementations = implementations.map(({ name }) => ({ name, code: toSandboxSource(customModule[name], generator) }));
+      }
 
     } catch (error) {
       console.error(`Error loading file: ${error.message}`);
@@ -102,16 +785,26 @@ async function main() {
     }
   }
 
-  // Special handling for logarithmicTime
-  if (selectedAlgoName === 'logarithmicTime') {
-    const originalAlgo = algorithm;
-    algorithm = (arr) => originalAlgo(arr, -1);
-  }
+  // 2. Select what to measure
+  const measureOptions = ['Wall-clock time (ms)', 'Operation count (loop iterations, calls, property accesses; deterministic)'];
+  const selectedMeasure = getOptionFromConsole("Select what to measure:", measureOptions);
+  if (!selectedMeasure) return;
+  const measure = selectedMeasure.startsWith('Operation') ? 'operations' : 'time';
 
-  // 2. Select Input Growth Strategy
-  const growthStrategies = ['Powers of 10 (10, 100, 1000...)', 'Doubling (100, 200, 400...)', 'Linear Steps (1000, 2000, 3000...)'];
+  // 3. Select Input Growth Strategy
+  const growthStrategies = [
+    'Powers of 10 (10, 100, 1000...)',
+    'Doubling (100, 200, 400...)',
+    'Linear Steps (1000, 2000, 3000...)',
+    'Two-variable grid (n x m)',
+    'Automatic (sizes picked within a time budget)'
+  ];
   const selectedStrategy = getOptionFromConsole("Select input growth strategy:", growthStrategies);
   if (!selectedStrategy) return;
+  if (implementations && (selectedStrategy.startsWith('Two-variable') || selectedStrategy.startsWith('Automatic'))) {
+    console.log("A comparison measures every implementation at the same listed sizes: pick powers of 10, doubling or linear steps.");
+    return;
+  }
 
   let inputSizes = [];
   if (selectedStrategy.startsWith('Powers of 10')) {
@@ -133,16 +826,54 @@ async function main() {
     const count = getNumberFromConsole("Enter number of data points: ");
     if (startSize === null || stepSize === null || count === null) return;
     for (let i = 0; i < count; i++) inputSizes.push(startSize + (i * stepSize));
+  } else if (selectedStrategy.startsWith('Two-variable')) {
+    const nSizes = getSizeListFromConsole("Enter n sizes, comma-separated (e.g., 100, 200, 400, 800): ");
+    const mSizes = getSizeListFromConsole("Enter m sizes, comma-separated (e.g., 100, 200, 400, 800): ");
+    if (!nSizes || !mSizes) return;
+    // A custom generateInput(n, m) builds the input from both sizes; otherwise a parameter must grow with m.
+    const gridParams = inputMode === 'custom' ? params : promptForGridDimension(params);
+    if (!gridParams) return;
+    await runAndDisplayGridAnalysis(toSandboxSource(algorithm, generator), selectedAlgoName, nSizes, mSizes, inputMode, gridParams, measure);
+    return;
+  } else if (selectedStrategy.startsWith('Automatic')) {
+    const budgetSeconds = getNumberFromConsole("Enter time budget in seconds (e.g., 10): ");
+    if (budgetSeconds === null) return;
+    if (!(budgetSeconds > 0)) {
+      console.log("The time budget must be a positive number of seconds.");
+      return;
+    }
+    await runAndDisplayAdaptiveAnalysis(toSandboxSource(algorithm, generator), selectedAlgoName, budgetSeconds, inputMode, params, measure);
+    return;
+  }
+
+  if (implementations) {
+    await runAndDisplayComparison(implementations, inputSizes, inputMode, params, measure);
+    return;
   }
 
-  // 3. Run Initial Analysis
-  const initialComplexity = await runAndDisplayAnalysis(algorithm, selectedAlgoName, inputSizes, inputMode);
+  const code = toSandboxSource(algorithm, generator);
 
-  // 4. Offer High-Precision Re-run or advice for low-confidence results
+  // 4. Select Run Mode (distributions only make sense for arrays)
+  let runCases = false;
+  if (inputMode === 'array') {
+    const runModes = ['Single run (sorted input 0..n-1)', 'Best / average / worst case (5 input distributions)'];
+    const selectedRunMode = getOptionFromConsole("Select run mode:", runModes);
+    if (!selectedRunMode) return;
+    runCases = selectedRunMode.startsWith('Best');
+  }
+
+  // 5. Run Initial Analysis
+  const initialComplexity = runCases
+    ? await runAndDisplayCaseAnalysis(code, selectedAlgoName, inputSizes, params, measure)
+    : await runAndDisplayAnalysis(code, selectedAlgoName, inputSizes, inputMode, params, measure);
+
+  // 6. Offer High-Precision Re-run or advice for low-confidence results
   if (initialComplexity.confidence <= 75) {
     const bestFit = initialComplexity.bestFit;
-    const isFastIsh = bestFit.includes('O(1)') || bestFit.includes('O(log n)') || bestFit.includes('O(n)') || bestFit.includes('O(n log n)');
-    const isSlow = bestFit.includes('O(n^2)');
+    // Anything from O(n^2) up gets the long-runtime warning instead of a plain offer.
+    const quadraticRank = COMPLEXITY_MODELS.find(m => m.type.startsWith('O(n^2)')).complexity;
+    const isFastIsh = initialComplexity.rank < quadraticRank;
+    const isSlow = !isFastIsh;
     
     let userWantsRerun = false;
 
@@ -151,7 +882,7 @@ async function main() {
       userWantsRerun = getYesNoFromConsole('The confidence score is low. Would you like to run a high-precision analysis to get a more accurate result?');
     } else if (isSlow) {
       console.log('\n---');
-      console.log('\x1b[33mWarning:\x1b[0m The tool suspects this algorithm is O(n^2), but confidence is low.');
+      console.log(`\x1b[33mWarning:\x1b[0m The tool suspects this algorithm is ${bestFit}, but confidence is low.`);
       console.log('A high-precision test can provide a better result, but if the algorithm truly is O(n^2) or slower, it could take an extremely long time to complete.');
       userWantsRerun = getYesNoFromConsole('Would you like to run the high-precision test anyway?');
     }
@@ -159,9 +890,26 @@ async function main() {
     if (userWantsRerun) {
       console.log('\nRunning high-precision analysis with the "Super Range" strategy...');
       const highPrecisionInputSizes = [10, 1000, 100000, 10000000]; // Optimal "Super Range"
-      await runAndDisplayAnalysis(algorithm, selectedAlgoName, highPrecisionInputSizes, inputMode);
+      if (runCases) {
+        await runAndDisplayCaseAnalysis(code, selectedAlgoName, highPrecisionInputSizes, params, measure);
+      } else {
+        await runAndDisplayAnalysis(code, selectedAlgoName, highPrecisionInputSizes, inputMode, params, measure);
+      }
     }
   }
 }
 
-main();
+// How each sandbox failure reason is reported.
+const failureMessages = {
+  timeout: 'Timed out: the function ran past the sandbox time limit. Try smaller input sizes.',
+  'out-of-memory': 'Out of memory: the function went over the sandbox memory cap. Try smaller input sizes.',
+  error: 'Your code threw an error.'
+};
+
+main().catch(error => {
+  if (error instanceof SandboxError) {
+    console.error(`\n\x1b[31m${failureMessages[error.reason]}\x1b[0m`);
+  }
+  console.error(error.message);
+  process.exitCode = error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.failure;
+});
@@ -49,12 +49,290 @@ function quadraticTime(arr) {
   return count;
 }
 
+// O(1): two reads, whatever the length.
+function firstAndLast(arr) {
+  return arr[0] + arr[arr.length - 1];
+}
+
+// O(log n): the number of binary digits of n.
+function countBits(n) {
+  let bits = 0;
+  while (n > 0) {
+    n = Math.floor(n / 2);
+    bits++;
+  }
+  return bits;
+}
+
+// O(log^2 n): a halving loop inside another halving loop.
+function logSquaredTime(n) {
+  let count = 0;
+  for (let i = n; i > 1; i = Math.floor(i / 2)) {
+    for (let j = n; j > 1; j = Math.floor(j / 2)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// O(log^2 n): a binary search for every power of two below n.
+function repeatedBinarySearch(arr) {
+  let found = 0;
+  for (let target = 1; target < arr.length; target *= 2) {
+    let low = 0;
+    let high = arr.length - 1;
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      if (arr[mid] === target) {
+        found++;
+        break;
+      } else if (arr[mid] < target) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+  }
+  return found;
+}
+
+// O(sqrt n): counts the divisors of n by trial division up to its square root.
+function countDivisors(n) {
+  let divisors = 0;
+  for (let i = 1; i * i <= n; i++) {
+    if (n % i === 0) divisors += i * i === n ? 1 : 2;
+  }
+  return divisors;
+}
+
+// O(sqrt n): the integer square root of n, found by counting up.
+function integerSquareRoot(n) {
+  let root = 0;
+  while ((root + 1) * (root + 1) <= n) {
+    root++;
+  }
+  return root;
+}
+
+// O(n): a single pass for the largest element.
+function maxValue(arr) {
+  let max = -Infinity;
+  for (const value of arr) {
+    if (value > max) max = value;
+  }
+  return max;
+}
+
+// O(n log n): top-down merge sort.
+function mergeSort(arr) {
+  if (arr.length <= 1) return arr;
+  const middle = Math.floor(arr.length / 2);
+  const left = mergeSort(arr.slice(0, middle));
+  const right = mergeSort(arr.slice(middle));
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (j >= right.length || (i < left.length && left[i] <= right[j])) {
+      merged.push(left[i++]);
+    } else {
+      merged.push(right[j++]);
+    }
+  }
+  return merged;
+}
 
+// O(n log n): a doubling loop inside a linear one.
+function linearithmicLoops(arr) {
+  let count = 0;
+  for (let i = 0; i < arr.length; i++) {
+    for (let j = 1; j < arr.length; j *= 2) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// O(n^2): selection sort, which scans the whole unsorted part on every pass.
+function selectionSort(arr) {
+  const sorted = [...arr];
+  for (let i = 0; i < sorted.length; i++) {
+    let smallest = i;
+    for (let j = i + 1; j < sorted.length; j++) {
+      if (sorted[j] < sorted[smallest]) smallest = j;
+    }
+    [sorted[i], sorted[smallest]] = [sorted[smallest], sorted[i]];
+  }
+  return sorted;
+}
+
+// O(n^2 log n): a doubling loop inside two nested linear ones.
+function quadraticLogTime(arr) {
+  let count = 0;
+  for (let i = 0; i < arr.length; i++) {
+    for (let j = 0; j < arr.length; j++) {
+      for (let k = 1; k < arr.length; k *= 2) {
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+// O(n^2 log n): merge sorts every rotation of the array.
+function sortEveryRotation(arr) {
+  const sort = (items) => {
+    if (items.length <= 1) return items;
+    const middle = Math.floor(items.length / 2);
+    const left = sort(items.slice(0, middle));
+    const right = sort(items.slice(middle));
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < left.length || j < right.length) {
+      if (j >= right.length || (i < left.length && left[i] <= right[j])) {
+        merged.push(left[i++]);
+      } else {
+        merged.push(right[j++]);
+      }
+    }
+    return merged;
+  };
+  let firsts = 0;
+  for (let shift = 0; shift < arr.length; shift++) {
+    firsts += sort([...arr.slice(shift), ...arr.slice(0, shift)])[0];
+  }
+  return firsts;
+}
+
+// O(n^3): counts the triples of distinct indices.
+function cubicTime(arr) {
+  let count = 0;
+  for (let i = 0; i < arr.length; i++) {
+    for (let j = 0; j < arr.length; j++) {
+      for (let k = 0; k < arr.length; k++) {
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+// O(n^3): multiplies two n x n matrices the schoolbook way.
+function matrixMultiply(n) {
+  const a = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i + j));
+  const product = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      for (let k = 0; k < n; k++) {
+        product[i][j] += a[i][k] * a[k][j];
+      }
+    }
+  }
+  return product[0][0];
+}
+
+// O(2^n): naive recursive Fibonacci. (Strictly O(phi^n), but exponential all the same.)
+function fibonacci(n) {
+  return n < 2 ? n : fibonacci(n - 1) + fibonacci(n - 2);
+}
+
+// O(2^n): counts the subsets of {1..n} with an even sum by visiting every subset.
+function evenSubsets(n) {
+  const visit = (i, sum) => (i > n ? (sum % 2 === 0 ? 1 : 0) : visit(i + 1, sum) + visit(i + 1, sum + i));
+  return visit(1, 0);
+}
+
+// O(n!): counts the permutations of n items by building each one.
+function countPermutations(n) {
+  const used = new Array(n).fill(false);
+  const extend = (length) => {
+    if (length === n) return 1;
+    let count = 0;
+    for (let i = 0; i < n; i++) {
+      if (used[i]) continue;
+      used[i] = true;
+      count += extend(length + 1);
+      used[i] = false;
+    }
+    return count;
+  };
+  return extend(0);
+}
+
+// O(n!): generates every ordering of n items with Heap's algorithm, counting those that start low.
+function heapPermutations(n) {
+  const items = Array.from({ length: n }, (_, i) => i);
+  let count = 0;
+  const generate = (k) => {
+    if (k <= 1) {
+      if (items[0] < n / 2) count++;
+      return;
+    }
+    for (let i = 0; i < k - 1; i++) {
+      generate(k - 1);
+      const j = k % 2 === 0 ? i : 0;
+      [items[j], items[k - 1]] = [items[k - 1], items[j]];
+    }
+    generate(k - 1);
+  };
+  generate(n);
+  return count;
+}
 
+/**
+ * The labeled reference corpus the classifier benchmark (src/benchmark.js) runs: functions whose
+ * complexity is known, at least two for every class in COMPLEXITY_MODELS. `expected` is the class,
+ * `inputMode` how the function takes its input (as in runAnalysis), and `range` the smallest and
+ * largest n to measure, chosen so the largest size stays quick to run and to count.
+ */
+const REFERENCE_CORPUS = [
+  { fn: constantTime, expected: 'O(1)', inputMode: 'array', range: [10, 100000] },
+  { fn: firstAndLast, expected: 'O(1)', inputMode: 'array', range: [10, 100000] },
+  { fn: logarithmicTime, expected: 'O(log n)', inputMode: 'array', params: [{ kind: 'scaling' }, { kind: 'fixed', value: -1 }], range: [10, 100000] },
+  { fn: countBits, expected: 'O(log n)', inputMode: 'number', range: [10, 1e12] },
+  { fn: logSquaredTime, expected: 'O(log^2 n)', inputMode: 'number', range: [10, 1e12] },
+  { fn: repeatedBinarySearch, expected: 'O(log^2 n)', inputMode: 'array', range: [10, 100000] },
+  { fn: countDivisors, expected: 'O(sqrt n)', inputMode: 'number', range: [100, 1e10] },
+  { fn: integerSquareRoot, expected: 'O(sqrt n)', inputMode: 'number', range: [100, 1e10] },
+  { fn: linearTime, expected: 'O(n)', inputMode: 'array', range: [100, 100000] },
+  { fn: maxValue, expected: 'O(n)', inputMode: 'array', range: [100, 100000] },
+  { fn: mergeSort, expected: 'O(n log n)', inputMode: 'array', range: [100, 50000] },
+  { fn: linearithmicLoops, expected: 'O(n log n)', inputMode: 'array', range: [100, 50000] },
+  { fn: quadraticTime, expected: 'O(n^2)', inputMode: 'array', range: [10, 1000] },
+  { fn: selectionSort, expected: 'O(n^2)', inputMode: 'array', range: [10, 1000] },
+  { fn: quadraticLogTime, expected: 'O(n^2 log n)', inputMode: 'array', range: [10, 400] },
+  { fn: sortEveryRotation, expected: 'O(n^2 log n)', inputMode: 'array', range: [10, 400] },
+  { fn: cubicTime, expected: 'O(n^3)', inputMode: 'array', range: [5, 160] },
+  { fn: matrixMultiply, expected: 'O(n^3)', inputMode: 'number', range: [5, 160] },
+  { fn: fibonacci, expected: 'O(2^n)', inputMode: 'number', range: [2, 24] },
+  { fn: evenSubsets, expected: 'O(2^n)', inputMode: 'number', range: [2, 18] },
+  { fn: countPermutations, expected: 'O(n!)', inputMode: 'number', range: [1, 9] },
+  { fn: heapPermutations, expected: 'O(n!)', inputMode: 'number', range: [1, 9] }
+];
 
 module.exports = {
   constantTime,
   linearTime,
   quadraticTime,
   logarithmicTime,
+  firstAndLast,
+  countBits,
+  logSquaredTime,
+  repeatedBinarySearch,
+  countDivisors,
+  integerSquareRoot,
+  maxValue,
+  mergeSort,
+  linearithmicLoops,
+  selectionSort,
+  quadraticLogTime,
+  sortEveryRotation,
+  cubicTime,
+  matrixMultiply,
+  fibonacci,
+  evenSubsets,
+  countPermutations,
+  heapPermutations,
+  REFERENCE_CORPUS,
 };
@@ -1,13 +1,17 @@
 // src/utils/analysisRunner.js
 const { runAnalysis, determineComplexity } = require('../calculator');
+const { toSandboxSource } = require('./sandboxSource');
 
 /**
  * A reusable function that runs a single, non-interactive analysis.
- * @param {Function} algorithm - The algorithm function to test.
+ * For a documented, versioned result, use analyze() from src/analyze.js instead.
+ * @param {Function|string} algorithm - The algorithm function to test, or source code defining `functionToTest`.
  * @param {number[]} inputSizes - The array of input sizes for the test.
- * @returns {object} The raw complexity result object from determineComplexity.
+ * @param {number} [iterations] - Runs per input size (default 10).
+ * @param {string} [inputMode] - 'array' (default) or 'number'.
+ * @returns {Promise<object>} The raw complexity result object from determineComplexity.
  */
-function runSingleAnalysis(algorithm, inputSizes, iterations = 10, inputMode = 'array') {
+async function runSingleAnalysis(algorithm, inputSizes, iterations = 10, inputMode = 'array') {
   if (inputSizes.length < 2) {
     // Not enough data points to run a meaningful analysis.
     return {
@@ -16,7 +20,9 @@ function runSingleAnalysis(algorithm, inputSizes, iterations = 10, inputMode = '
       results: [],
     };
   }
-  const dataPoints = runAnalysis(algorithm, inputSizes, iterations, inputMode);
+  // The sandbox runs source code, so a function is bound to the name it calls.
+  const code = typeof algorithm === 'function' ? toSandboxSource(algorithm) : algorithm;
+  const dataPoints = await runAnalysis(code, inputSizes, iterations, inputMode);
   const complexity = determineComplexity(dataPoints);
   return complexity;
 }
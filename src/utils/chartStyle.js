@@ -0,0 +1,37 @@
+// src/utils/chartStyle.js
+
+/**
+ * The labels for each metric a chart or report can show: the chart title, the series name, the
+ * y-axis label and the CSV column.
+ */
+const metricLabels = {
+  time: { title: 'Big O Complexity Analysis', series: 'Execution Time (ms)', axis: 'Time (ms)', column: 'time_ms' },
+  operations: { title: 'Big O Complexity Analysis (Operation Count)', series: 'Operations', axis: 'Operations', column: 'operations' },
+  memory: { title: 'Space Complexity Analysis', series: 'Peak Extra Heap (bytes)', axis: 'Peak Extra Heap (bytes)', column: 'memory_bytes' }
+};
+
+// Line colors for the series on one chart as RGB, the first one being the original purple accent.
+const seriesColors = [
+  [177, 98, 134],
+  [131, 165, 152],
+  [250, 189, 47],
+  [184, 187, 38],
+  [254, 128, 25],
+  [211, 134, 155]
+];
+
+/**
+ * The CSS color of the i-th series on a chart, cycling through seriesColors.
+ * @param {number} i
+ * @param {number} [alpha] Opacity from 0 to 1 (default 1, opaque).
+ * @returns {string} E.g. 'rgb(177, 98, 134)', or 'rgba(177, 98, 134, 0.5)' when translucent.
+ */
+function seriesColor(i, alpha = 1) {
+  const color = seriesColors[i % seriesColors.length].join(', ');
+  return alpha === 1 ? `rgb(${color})` : `rgba(${color}, ${alpha})`;
+}
+
+module.exports = {
+  metricLabels,
+  seriesColor
+};
@@ -0,0 +1,58 @@
+// src/utils/distributions.js
+const { createRandom } = require('./random');
+
+/**
+ * Swaps two entries of an array in place.
+ */
+function swap(arr, i, j) {
+  const tmp = arr[i];
+  arr[i] = arr[j];
+  arr[j] = tmp;
+}
+
+/**
+ * Seeded array generators used for best / average / worst-case analysis.
+ * Each takes the size n and a seed and returns a fresh array of n numbers.
+ */
+const distributions = {
+  // 0, 1, 2, ..., n-1
+  sorted: (n) => Array.from({ length: n }, (_, i) => i),
+
+  // n-1, n-2, ..., 0
+  reversed: (n) => Array.from({ length: n }, (_, i) => n - 1 - i),
+
+  // A uniformly shuffled permutation of 0..n-1 (Fisher-Yates).
+  random: (n, seed) => {
+    const random = createRandom(seed);
+    const arr = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+      swap(arr, i, Math.floor(random() * (i + 1)));
+    }
+    return arr;
+  },
+
+  // Values drawn from only ~sqrt(n) distinct numbers, in random order.
+  duplicates: (n, seed) => {
+    const random = createRandom(seed);
+    const distinct = Math.max(1, Math.floor(Math.sqrt(n)));
+    return Array.from({ length: n }, () => Math.floor(random() * distinct));
+  },
+
+  // Sorted, then about 5% of the positions swapped with a random partner.
+  nearlySorted: (n, seed) => {
+    const random = createRandom(seed);
+    const arr = Array.from({ length: n }, (_, i) => i);
+    const swaps = Math.max(1, Math.floor(n * 0.05));
+    for (let k = 0; k < swaps && n > 1; k++) {
+      swap(arr, Math.floor(random() * n), Math.floor(random() * n));
+    }
+    return arr;
+  },
+};
+
+const DISTRIBUTION_NAMES = Object.keys(distributions);
+
+module.exports = {
+  distributions,
+  DISTRIBUTION_NAMES,
+};
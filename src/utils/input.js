@@ -30,6 +30,20 @@ function getOptionFromConsole(message, options) {
   return options[index];
 }
 
+// Lets the user pick several options by number, e.g. "3, 1". Returns them in the order entered, or null if none were picked.
+function getOptionsFromConsole(message, options) {
+  console.log(`\n${message}`);
+  options.forEach((option, i) => console.log(`[${i + 1}] ${option}`));
+  const userInput = readlineSync.question('Enter the numbers, comma-separated (e.g. 1, 2): ');
+  const selected = [...new Set(userInput.split(',').map(part => options[parseInt(part.trim(), 10) - 1]))]
+    .filter(option => option !== undefined);
+  if (selected.length === 0) {
+    console.log("Operation cancelled.");
+    return null;
+  }
+  return selected;
+}
+
 function getStringFromConsole(message) {
   let userInput = readlineSync.question(message);
   if (userInput === null || userInput === '') {
@@ -46,6 +60,7 @@ function getYesNoFromConsole(message) {
 module.exports = {
   getNumberFromConsole,
   getOptionFromConsole,
+  getOptionsFromConsole,
   getStringFromConsole,
   getYesNoFromConsole,
 };
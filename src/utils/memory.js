@@ -0,0 +1,50 @@
+// src/utils/memory.js
+const v8 = require('v8');
+const vm = require('vm');
+
+let gc = null;
+
+/**
+ * Returns V8's garbage collector, exposing it on first use.
+ * Flipping --expose-gc at runtime only affects contexts created afterwards,
+ * so the function is fetched from a fresh context.
+ * @returns {Function}
+ */
+function getGC() {
+  if (!gc) {
+    v8.setFlagsFromString('--expose-gc');
+    gc = vm.runInNewContext('gc');
+  }
+  return gc;
+}
+
+/**
+ * Creates a probe that measures the peak extra heap used between start() and stop().
+ * The heap is collected before starting so the baseline is clean, and a GCProfiler
+ * records the heap size right before every collection that happens during the call,
+ * so allocations freed mid-call still count towards the peak.
+ * @returns {{start: Function, stop: Function, result: () => number}} result() is in bytes.
+ */
+function createMemoryProbe() {
+  const profiler = new v8.GCProfiler();
+  let baseline = 0;
+  let peak = 0;
+
+  return {
+    start: () => {
+      getGC()();
+      baseline = v8.getHeapStatistics().used_heap_size;
+      profiler.start();
+    },
+    stop: () => {
+      const end = v8.getHeapStatistics().used_heap_size;
+      const { statistics } = profiler.stop();
+      peak = Math.max(end, ...statistics.map(s => s.beforeGC.heapStatistics.usedHeapSize));
+    },
+    result: () => Math.max(0, peak - baseline)
+  };
+}
+
+module.exports = {
+  createMemoryProbe,
+};
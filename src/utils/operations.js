@@ -0,0 +1,102 @@
+// src/utils/operations.js
+const acorn = require('acorn');
+const { SandboxError } = require('../errors');
+
+const LOOP_TYPES = new Set(['ForStatement', 'WhileStatement', 'DoWhileStatement', 'ForOfStatement', 'ForInStatement']);
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Calls visit(node, depth) for every node below `node`, depth first.
+ * @param {object} node An acorn node.
+ * @param {Function} visit
+ * @param {number} depth The nesting depth of `node`.
+ */
+function walk(node, visit, depth = 0) {
+  visit(node, depth);
+  for (const key of Object.keys(node)) {
+    const value = node[key];
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items) {
+      if (item && typeof item.type === 'string') walk(item, visit, depth + 1);
+    }
+  }
+}
+
+/**
+ * Whether a member expression continues an optional chain (`a?.b.c`). Wrapping the object
+ * of such a member in parentheses would end the chain and break its short-circuiting.
+ */
+function continuesOptionalChain(node) {
+  let object = node.object;
+  while (object.type === 'MemberExpression' || object.type === 'CallExpression') {
+    if (object.optional) return true;
+    object = object.type === 'MemberExpression' ? object.object : object.callee;
+  }
+  return false;
+}
+
+/**
+ * Rewrites the user's source so every loop iteration, function call and property access
+ * increments the sandbox counter `__ops`. Line numbers are kept, so errors still point at the
+ * user's own code. The sandbox session (openSession in calculator.js) declares `__ops` and the
+ * `__countAccess(value)` helper.
+ *
+ * Built-ins count as the one property access that reaches them (`arr.sort` is one operation),
+ * since their internals can't be instrumented.
+ * @param {string} code The user's source.
+ * @returns {string} The instrumented source.
+ * @throws {SandboxError} With reason 'error' if the code can't be parsed, as loading it would have failed.
+ */
+function instrumentCode(code) {
+  let program;
+  try {
+    program = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script' });
+  } catch (e) {
+    throw new SandboxError('error', `Could not instrument the code for operation counting: ${e.message}`);
+  }
+
+  // Every edit is an insertion. Where several land on the same position, closing text goes
+  // before opening text, inner closings before outer ones, and outer openings before inner ones.
+  const edits = [];
+  const open = (pos, text, depth) => edits.push({ pos, text, order: 1, depth });
+  const close = (pos, text, depth) => edits.push({ pos, text, order: 0, depth: -depth });
+
+  walk(program, (node, depth) => {
+    if (LOOP_TYPES.has(node.type)) {
+      if (node.body.type === 'BlockStatement') {
+        open(node.body.start + 1, ' __ops++;', depth);
+      } else {
+        open(node.body.start, '{ __ops++; ', depth);
+        close(node.body.end, ' }', depth);
+      }
+    } else if (FUNCTION_TYPES.has(node.type)) {
+      if (node.body.type === 'BlockStatement') {
+        open(node.body.start + 1, ' __ops++;', depth);
+      } else {
+        open(node.body.start, '(__ops++, ', depth);
+        close(node.body.end, ')', depth);
+      }
+    } else if (node.type === 'NewExpression' && node.callee.type === 'MemberExpression') {
+      // `new __countAccess(a).B()` would construct __countAccess itself.
+      open(node.callee.start, '(', depth);
+      close(node.callee.end, ')', depth);
+    } else if (node.type === 'MemberExpression' && node.object.type !== 'Super' && !continuesOptionalChain(node)) {
+      open(node.object.start, '__countAccess(', depth);
+      close(node.object.end, ')', depth);
+    }
+  });
+
+  edits.sort((a, b) => a.pos - b.pos || a.order - b.order || a.depth - b.depth);
+
+  let result = '';
+  let last = 0;
+  for (const { pos, text } of edits) {
+    result += code.slice(last, pos) + text;
+    last = pos;
+  }
+  return result + code.slice(last);
+}
+
+module.exports = {
+  instrumentCode,
+};
@@ -1,14 +1,25 @@
 const fs = require('fs');
 const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+const { metricLabels, seriesColor } = require('./chartStyle');
 
 const width = 800; // px
 const height = 600; // px
 
-async function createGraph(dataPoints, bestFit, confidence, outputPath = 'graph.png') {
+/**
+ * Renders the data points and detected complexity to a PNG file.
+ * @param {Array<{n: number, time?: number, operations?: number, memory?: number}>} dataPoints
+ * @param {string} bestFit The detected complexity, shown in the title.
+ * @param {number} confidence Confidence percentage; below 75 a warning banner is drawn.
+ * @param {string} outputPath Where to write the PNG (default 'graph.png').
+ * @param {string} metric Which measurement to plot: 'time' (default), 'operations' or 'memory'.
+ * @returns {Promise<string>} The path of the written file.
+ */
+async function createGraph(dataPoints, bestFit, confidence, outputPath = 'graph.png', metric = 'time') {
   const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height });
+  const labels = metricLabels[metric];
 
   const nValues = dataPoints.map(d => d.n);
-  const timeValues = dataPoints.map(d => d.time);
+  const timeValues = dataPoints.map(d => d[metric]);
 
   const lowConfidencePlugin = {
     id: 'lowConfidenceBanner',
@@ -51,10 +62,10 @@ async function createGraph(dataPoints, bestFit, confidence, outputPath = 'graph.
       labels: nValues,
       datasets: [
         {
-          label: 'Execution Time (ms)',
+          label: labels.series,
           data: timeValues,
-          borderColor: 'rgb(177, 98, 134)',
-          backgroundColor: 'rgba(177, 98, 134, 0.5)',
+          borderColor: seriesColor(0),
+          backgroundColor: seriesColor(0, 0.5),
           tension: 0.1,
           fill: false,
           pointRadius: 2
@@ -65,7 +76,7 @@ async function createGraph(dataPoints, bestFit, confidence, outputPath = 'graph.
       plugins: {
         title: {
           display: true,
-          text: `Big O Complexity Analysis - Detected: ${bestFit}`
+          text: `${labels.title} - Detected: ${bestFit}`
         },
         legend: {
           display: true
@@ -81,7 +92,7 @@ async function createGraph(dataPoints, bestFit, confidence, outputPath = 'graph.
         y: {
           title: {
             display: true,
-            text: 'Time (ms)'
+            text: labels.axis
           },
           beginAtZero: true
         }
@@ -95,6 +106,66 @@ async function createGraph(dataPoints, bestFit, confidence, outputPath = 'graph.
   return outputPath;
 }
 
+/**
+ * Renders several implementations' data points, measured at the same sizes, on one chart.
+ * @param {Array<{name: string, dataPoints: Array<object>, complexity: {bestFit: string}}>} implementations
+ *   As returned by runComparison.
+ * @param {string} outputPath Where to write the PNG (default 'graph-comparison.png').
+ * @param {string} metric Which measurement to plot: 'time' (default) or 'operations'.
+ * @returns {Promise<string>} The path of the written file.
+ */
+async function createComparisonGraph(implementations, outputPath = 'graph-comparison.png', metric = 'time') {
+  const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height });
+  const labels = metricLabels[metric];
+
+  const configuration = {
+    type: 'line',
+    data: {
+      labels: implementations[0].dataPoints.map(d => d.n),
+      datasets: implementations.map(({ name, dataPoints, complexity }, i) => ({
+        label: `${name} (${complexity.bestFit})`,
+        data: dataPoints.map(d => d[metric]),
+        borderColor: seriesColor(i),
+        backgroundColor: seriesColor(i, 0.5),
+        tension: 0.1,
+        fill: false,
+        pointRadius: 2
+      }))
+    },
+    options: {
+      plugins: {
+        title: {
+          display: true,
+          text: `${labels.title} - Comparison`
+        },
+        legend: {
+          display: true
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Input Size (n)'
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: labels.axis
+          },
+          beginAtZero: true
+        }
+      }
+    }
+  };
+
+  const image = await chartJSNodeCanvas.renderToBuffer(configuration);
+  fs.writeFileSync(outputPath, image);
+  return outputPath;
+}
+
 module.exports = {
-  createGraph
+  createGraph,
+  createComparisonGraph
 };
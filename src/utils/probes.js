@@ -0,0 +1,53 @@
+// src/utils/probes.js
+const { performance } = require('perf_hooks');
+
+/**
+ * Creates a probe that measures the wall time between start() and stop().
+ * @returns {{start: Function, stop: Function, result: () => number}} result() is in milliseconds.
+ */
+function createTimeProbe() {
+  let start = 0;
+  let end = 0;
+  return {
+    start: () => { start = performance.now(); },
+    stop: () => { end = performance.now(); },
+    result: () => end - start
+  };
+}
+
+/**
+ * Creates a probe that reads the `__ops` counter of instrumented code at start() and stop().
+ * @returns {{start: Function, stop: Function, result: () => number}} result() is the operation count.
+ */
+function createOperationProbe() {
+  let start = 0;
+  let end = 0;
+  return {
+    start: (ops) => { start = ops; },
+    stop: (ops) => { end = ops; },
+    result: () => end - start
+  };
+}
+
+/**
+ * Measures the resolution of the clock the time probe reads: the smallest step between two
+ * different readings of performance.now(), over a number of attempts.
+ * @param {number} [attempts] How many steps to observe (default 200).
+ * @returns {number} The resolution in milliseconds.
+ */
+function measureTimerResolution(attempts = 200) {
+  let resolution = Infinity;
+  for (let i = 0; i < attempts; i++) {
+    const start = performance.now();
+    let next = performance.now();
+    while (next === start) next = performance.now();
+    resolution = Math.min(resolution, next - start);
+  }
+  return resolution;
+}
+
+module.exports = {
+  createTimeProbe,
+  measureTimerResolution,
+  createOperationProbe,
+};
@@ -0,0 +1,37 @@
+// src/utils/random.js
+
+/**
+ * Creates a small seeded pseudo-random number generator (mulberry32).
+ * The same seed always yields the same sequence, which keeps generated inputs reproducible.
+ * @param {number} seed Any 32-bit integer.
+ * @returns {() => number} A function returning floats in [0, 1), like Math.random.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Mixes several integers into a single 32-bit seed, so each (seed, n, iteration) gets its own stream.
+ * @param {...number} parts
+ * @returns {number}
+ */
+function mixSeed(...parts) {
+  let hash = 2166136261;
+  for (const part of parts) {
+    hash = Math.imul(hash ^ (part >>> 0), 16777619);
+    hash ^= hash >>> 13;
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  createRandom,
+  mixSeed,
+};
@@ -0,0 +1,77 @@
+// src/utils/regression.js
+
+/**
+ * Solves the square linear system A x = b with Gaussian elimination and partial pivoting.
+ * @param {Array<Array<number>>} A Coefficient matrix (modified in place).
+ * @param {Array<number>} b Right-hand side (modified in place).
+ * @returns {Array<number>|null} The solution, or null if the system is singular.
+ */
+function solveLinearSystem(A, b) {
+  const size = b.length;
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let k = col; k < size; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < size; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Ordinary least squares with an intercept: y ≈ b0 + b1 * x1 + b2 * x2 + ...
+ * Each feature column is scaled by its largest magnitude before solving the normal equations,
+ * so features of very different size (n vs. n^2 * m) stay numerically well conditioned.
+ * @param {Array<Array<number>>} features One row of feature values per observation.
+ * @param {Array<number>} y The observed values.
+ * @returns {{intercept: number, coefficients: Array<number>, predict: (row: Array<number>) => number}|null}
+ *   The fitted model, or null if the features are linearly dependent.
+ */
+function fitLeastSquares(features, y) {
+  const featureCount = features[0].length;
+  const scales = Array.from({ length: featureCount }, (_, j) =>
+    Math.max(...features.map(row => Math.abs(row[j]))) || 1);
+
+  // Design matrix rows: [1, x1 / s1, x2 / s2, ...]
+  const design = features.map(row => [1, ...row.map((value, j) => value / scales[j])]);
+  const width = featureCount + 1;
+
+  const XtX = Array.from({ length: width }, () => new Array(width).fill(0));
+  const Xty = new Array(width).fill(0);
+  design.forEach((row, i) => {
+    for (let a = 0; a < width; a++) {
+      Xty[a] += row[a] * y[i];
+      for (let b = 0; b < width; b++) XtX[a][b] += row[a] * row[b];
+    }
+  });
+
+  const solution = solveLinearSystem(XtX, Xty);
+  if (!solution) return null;
+
+  const intercept = solution[0];
+  const coefficients = solution.slice(1).map((value, j) => value / scales[j]);
+  return {
+    intercept,
+    coefficients,
+    predict: row => row.reduce((sum, value, j) => sum + coefficients[j] * value, intercept)
+  };
+}
+
+module.exports = {
+  fitLeastSquares,
+};
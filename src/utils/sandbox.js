@@ -0,0 +1,192 @@
+// src/utils/sandbox.js
+const { fork, execFile } = require('child_process');
+const fs = require('fs/promises');
+const path = require('path');
+const { SandboxError } = require('../errors');
+
+/**
+ * Default limits for a sandbox session.
+ * `timeoutMs` caps the CPU time of each run; `memoryMb` caps the sandbox process's heap and, with
+ * RUNTIME_MEMORY_MB on top, all the memory it holds.
+ */
+const SANDBOX_LIMITS = Object.freeze({ timeoutMs: 5000, memoryMb: 256 });
+
+const CHILD_PATH = path.join(__dirname, 'sandboxChild.js');
+
+// Extra time the sandbox process gets to start up and report back before it is killed.
+const STARTUP_GRACE_MS = 2000;
+
+// What the Node runtime itself holds besides the capped heap (code, the young generation, buffers).
+const RUNTIME_MEMORY_MB = 128;
+
+// How often the watchdog reads the sandbox process's resident memory.
+const MEMORY_POLL_MS = 25;
+
+/**
+ * Reads a process's resident memory: from /proc on Linux, from `ps` elsewhere.
+ * @returns {Promise<number>} Megabytes, or 0 once the process is gone.
+ */
+async function residentMemoryMb(pid) {
+  try {
+    if (process.platform === 'linux') {
+      const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+      return Number(/^VmRSS:\s*(\d+)/m.exec(status)[1]) / 1024;
+    }
+    const stdout = await new Promise((resolve, reject) => {
+      execFile('ps', ['-o', 'rss=', '-p', String(pid)], (error, out) => (error ? reject(error) : resolve(out)));
+    });
+    return Number(stdout.trim()) / 1024;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Starts an isolated Node process, compiles the user's code in it once, and returns a session
+ * that measures one call (or one batch of calls) per run() with freshly built input. Starting the process and compiling
+ * happen here, so no measurement ever includes them.
+ *
+ * The process runs under Node's permission model with read access to src/utils only (no writes,
+ * child processes, workers or native addons), without this process's environment variables, and
+ * has its sockets, DNS and signals to other processes disabled. The user's code runs in a vm
+ * context, which is no security boundary on its own; these limits on the process are what hold.
+ * Its heap is capped by --max-old-space-size, and a watchdog kills it once its resident memory,
+ * which also counts ArrayBuffers outside the heap, passes the cap plus RUNTIME_MEMORY_MB. A request
+ * that outlives the timeout gets the process killed too.
+ * @param {object} setup
+ * @param {string} setup.source The code to compile: the user's functions plus a `__runMeasured()`
+ *   entry point that calls __markStart / __markEnd around the calls, a `__runBaseline()` entry point
+ *   that does the same around an empty function, for check(), a `__runChecked()` entry point
+ *   that returns the call's arguments and output and, for mutates(), a `__mutatesInput()` entry
+ *   point that returns whether the call modified its arguments.
+ * @param {string} setup.inputMode 'array', 'number' or 'custom'.
+ * @param {Array<*>} setup.fixedArgs Fixed argument values, by parameter position.
+ * @param {object} [limits] Overrides for SANDBOX_LIMITS.
+ * @returns {Promise<{run: (job: object) => Promise<number>, check: (job: object) => Promise<object>,
+ *   mutates: (job: object) => Promise<boolean>, close: Function}>}
+ *   run({ probe, n, m, distribution, seed, baseline, repetitions, freshInputs, timeoutMs }) measures
+ *   one call, or a batch of `repetitions` calls (on one input each with `freshInputs`, otherwise
+ *   all on the same input), with the 'time', 'memory' or 'operations' probe, or with `baseline`
+ *   empty calls instead; `timeoutMs` can only lower the session's limit for that run.
+ *   check({ n, m, distribution, seed, timeoutMs }) makes one unmeasured call and resolves with
+ *   `{ args, output }`, cloned out of the sandbox.
+ *   mutates({ n, m, distribution, seed, timeoutMs }) makes one unmeasured call and resolves with
+ *   whether it modified its arguments.
+ *   close() ends the process; call it once the analysis is done.
+ * @throws {SandboxError} With reason 'timeout', 'out-of-memory' or 'error', here or from any run.
+ */
+async function openSandboxSession(setup, limits = {}) {
+  const { timeoutMs, memoryMb } = { ...SANDBOX_LIMITS, ...limits };
+  const child = fork(CHILD_PATH, [], {
+    execArgv: [
+      '--experimental-permission',
+      `--allow-fs-read=${path.join(__dirname, '*')}`,
+      `--max-old-space-size=${memoryMb}`,
+      '--no-warnings'
+    ],
+    env: {},
+    stdio: ['ignore', 'ignore', 'pipe', 'ipc'],
+    serialization: 'advanced'
+  });
+
+  let stderr = '';
+  let pending = null;
+  // Once set, the process is gone and every later request fails with it.
+  let failure = null;
+
+  const settle = (error, value) => {
+    if (!pending) return;
+    const { resolve, reject, timer } = pending;
+    pending = null;
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve(value);
+  };
+
+  const fail = (error) => {
+    if (!failure) failure = error;
+    clearInterval(watchdog);
+    if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+    settle(error);
+  };
+
+  const memoryLimitMb = memoryMb + RUNTIME_MEMORY_MB;
+  let reading = false;
+  const watchdog = setInterval(async () => {
+    if (reading || failure) return;
+    reading = true;
+    const residentMb = await residentMemoryMb(child.pid);
+    reading = false;
+    if (residentMb > memoryLimitMb && !failure) {
+      fail(new SandboxError('out-of-memory', `Execution ran out of memory (limit: ${memoryMb} MB of heap, ${memoryLimitMb} MB in all).`));
+    }
+  }, MEMORY_POLL_MS);
+  watchdog.unref();
+
+  const request = (message, limitMs = timeoutMs) => new Promise((resolve, reject) => {
+    if (failure) {
+      reject(failure);
+      return;
+    }
+    const timer = setTimeout(() => {
+      fail(new SandboxError('timeout', `Execution timed out after ${limitMs}ms.`));
+    }, limitMs + STARTUP_GRACE_MS);
+    pending = { resolve, reject, timer, limitMs };
+    child.send({ ...message, timeoutMs: limitMs });
+  });
+
+  child.stderr.on('data', (chunk) => {
+    // Only the tail matters: V8 prints its out-of-memory report last.
+    stderr = (stderr + chunk).slice(-4096);
+  });
+
+  child.on('message', (reply) => {
+    if (reply.ok) {
+      settle(null, reply.value);
+    } else {
+      settle(new SandboxError(reply.reason, reply.reason === 'timeout'
+        ? `Execution timed out after ${pending ? pending.limitMs : timeoutMs}ms.`
+        : reply.message));
+    }
+  });
+
+  child.on('error', (error) => {
+    fail(new SandboxError('error', `The sandbox process failed: ${error.message}`));
+  });
+
+  // 'close' waits for stderr to drain, so the out-of-memory report has arrived.
+  child.on('close', (code, signal) => {
+    if (/heap out of memory|Allocation failed/i.test(stderr)) {
+      fail(new SandboxError('out-of-memory', `Execution ran out of memory (limit: ${memoryMb} MB).`));
+    } else {
+      fail(new SandboxError('error', `The sandbox process exited unexpectedly (${signal || `code ${code}`}).`));
+    }
+  });
+
+  const close = () => fail(new SandboxError('error', 'The sandbox session is closed.'));
+
+  try {
+    await request({ type: 'init', ...setup });
+  } catch (error) {
+    close();
+    throw error;
+  }
+
+  return {
+    run: ({ timeoutMs: runTimeoutMs = timeoutMs, ...job }) => {
+      return request({ type: 'run', ...job }, Math.min(runTimeoutMs, timeoutMs));
+    },
+    check: ({ timeoutMs: checkTimeoutMs = timeoutMs, ...job }) => {
+      return request({ type: 'check', ...job }, Math.min(checkTimeoutMs, timeoutMs));
+    },
+    mutates: ({ timeoutMs: checkTimeoutMs = timeoutMs, ...job }) => {
+      return request({ type: 'mutates', ...job }, Math.min(checkTimeoutMs, timeoutMs));
+    },
+    close
+  };
+}
+
+module.exports = {
+  SANDBOX_LIMITS,
+  openSandboxSession,
+};
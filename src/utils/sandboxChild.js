@@ -0,0 +1,260 @@
+// src/utils/sandboxChild.js
+// Entry point of the sandbox process started by sandbox.js. Serves one session:
+// an 'init' message compiles the user's code once, then every 'run' message measures one call or
+// a batch of calls (or, for a baseline run, the harness around empty calls), every 'check' message
+// makes one call and returns its arguments and output, and every 'mutates' message makes one call
+// and reports whether it modified its arguments.
+//
+// The vm context is no security boundary: an object from this process's realm that reaches the
+// user's code hands it this process's Function constructor, and with it `process`. So nothing but
+// primitives and copies made in the context's own realm ever goes in, and the process itself is
+// locked down (see sandbox.js and blockProcessControl) for when that isn't enough.
+const vm = require('vm');
+const os = require('os');
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns');
+const http2 = require('http2');
+const { distributions } = require('./distributions');
+const { createMemoryProbe } = require('./memory');
+const { createTimeProbe, createOperationProbe } = require('./probes');
+
+const probeFactories = {
+  time: createTimeProbe,
+  memory: createMemoryProbe,
+  operations: createOperationProbe
+};
+
+// Compiled once per session; calls the measured entry point the init source defines.
+const runScript = new vm.Script('__runMeasured()');
+// Likewise for the same harness around an empty function, which calibrates the time probe.
+const baselineScript = new vm.Script('__runBaseline()');
+// Likewise for the unmeasured call whose output a correctness check needs.
+const checkScript = new vm.Script('__runChecked()');
+// Likewise for the unmeasured call that tells whether the function modifies its input.
+const mutatesScript = new vm.Script('__mutatesInput()');
+
+let context = null;
+let inputMode = 'array';
+// The context's own constructors and the methods intoContext needs, taken before the user's code
+// runs: the user's code could replace `Array.from` and the like with a function that keeps what it's given.
+let realm = null;
+// The probe of the current run, which the context's marks report to.
+let probe = null;
+
+// Builds the context's marks inside the context, so the user's code never holds a function from
+// this realm. A failing probe (e.g. a stack overflow provoked on purpose) is swallowed there, so its
+// error object doesn't reach the user's code either.
+const MARKS_SOURCE = `((report) => {
+  const mark = (which) => (ops) => {
+    try {
+      report(which, +ops);
+    } catch (e) {
+      // The measurement is lost; the error must not get out.
+    }
+  };
+  return { start: mark('start'), stop: mark('stop') };
+})`;
+
+// Typed arrays, which the context copies with its own constructors.
+const TYPED_ARRAYS = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+  'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'];
+
+/**
+ * Copies a value into the context's realm: arrays, plain objects, Maps, Sets, Dates and typed
+ * arrays are rebuilt from the context's own constructors, primitives pass as they are. Shared and
+ * cyclic references stay shared.
+ * @throws {Error} For anything else, such as a RegExp or an Error.
+ */
+function intoContext(value, copies = new Map()) {
+  if (value === null || typeof value !== 'object') return value;
+  if (copies.has(value)) return copies.get(value);
+  const copyInto = (copy, fill) => {
+    copies.set(value, copy);
+    fill(copy);
+    return copy;
+  };
+
+  if (Array.isArray(value)) {
+    // The common case, an array of numbers, copies natively.
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return copyInto(Reflect.apply(realm.arrayFrom, realm.Array, [value]), () => {});
+    }
+    return copyInto(new realm.Array(value.length), copy => value.forEach((item, i) => {
+      realm.defineProperty(copy, i, { value: intoContext(item, copies), writable: true, enumerable: true, configurable: true });
+    }));
+  }
+  const typedArray = TYPED_ARRAYS.find(name => value instanceof globalThis[name]);
+  if (typedArray) return copyInto(new realm[typedArray](value), () => {});
+  if (value instanceof Date) return copyInto(new realm.Date(value.getTime()), () => {});
+  if (value instanceof Map) {
+    return copyInto(new realm.Map(), copy => value.forEach((item, key) => {
+      Reflect.apply(realm.mapSet, copy, [intoContext(key, copies), intoContext(item, copies)]);
+    }));
+  }
+  if (value instanceof Set) {
+    return copyInto(new realm.Set(), copy => value.forEach(item => {
+      Reflect.apply(realm.setAdd, copy, [intoContext(item, copies)]);
+    }));
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype === Object.prototype || prototype === null) {
+    return copyInto(prototype === null ? realm.create(null) : new realm.Object(), copy => {
+      for (const key of Object.keys(value)) {
+        realm.defineProperty(copy, key, { value: intoContext(value[key], copies), writable: true, enumerable: true, configurable: true });
+      }
+    });
+  }
+  throw new Error(`A ${Object.prototype.toString.call(value).slice(8, -1)} can't be passed into the sandbox.`);
+}
+
+/**
+ * Makes every socket and DNS entry point throw. The permission model already denies the
+ * filesystem, child processes and native addons, but Node 20 has no network permission.
+ */
+function blockNetwork() {
+  const denied = () => {
+    throw new Error('Network access is disabled in the sandbox.');
+  };
+  net.Socket.prototype.connect = denied;
+  net.Server.prototype.listen = denied;
+  dgram.Socket.prototype.bind = denied;
+  dgram.Socket.prototype.send = denied;
+  http2.connect = denied;
+  for (const target of [dns, dns.promises]) {
+    for (const key of Object.keys(target)) {
+      if (typeof target[key] === 'function' && /^(lookup|resolve|reverse)/.test(key)) {
+        target[key] = denied;
+      }
+    }
+  }
+  delete globalThis.fetch;
+  delete globalThis.WebSocket;
+}
+
+/**
+ * Makes sending signals to other processes (the server among them) and changing their priority
+ * throw. The permission model covers the filesystem, child processes, workers and native bindings,
+ * but not these.
+ */
+function blockProcessControl() {
+  const denied = () => {
+    throw new Error('Controlling other processes is disabled in the sandbox.');
+  };
+  process.kill = denied;
+  process._kill = denied;
+  os.setPriority = denied;
+}
+
+/**
+ * Builds fresh scaling inputs for one run. 'custom' mode builds them inside the context instead.
+ * @returns {{input: *, inputM: *}}
+ */
+function buildInputs({ n, m, distribution, seed }) {
+  if (inputMode === 'number') return { input: n, inputM: m };
+  if (inputMode === 'array') {
+    return {
+      input: distributions[distribution || 'sorted'](n, seed),
+      inputM: m !== undefined ? distributions.sorted(m) : undefined
+    };
+  }
+  return { input: undefined, inputM: undefined };
+}
+
+/**
+ * Hands one run's inputs to the context: one set shared by every call of a batch of
+ * `message.repetitions` (default 1), or a set per call when `message.freshInputs` is set.
+ */
+function prepareInputs(message) {
+  const repetitions = message.repetitions || 1;
+  const sets = message.freshInputs ? repetitions : 1;
+  Object.assign(context, {
+    n: message.n,
+    m: message.m,
+    __inputs: intoContext(Array.from({ length: sets }, () => buildInputs(message))),
+    __repetitions: repetitions
+  });
+}
+
+/**
+ * Creates the session's context, without require, process or code generation, and runs the
+ * init source in it once, which defines the user's functions and `__runMeasured`. The fixed
+ * arguments and the marks are set up in the context's realm first.
+ */
+function init(message) {
+  inputMode = message.inputMode;
+  context = vm.createContext({}, { codeGeneration: { strings: false, wasm: false } });
+  realm = vm.runInContext(`({
+    Array, Object, Map, Set, Date, ${TYPED_ARRAYS.join(', ')},
+    arrayFrom: Array.from,
+    defineProperty: Object.defineProperty,
+    create: Object.create,
+    mapSet: Map.prototype.set,
+    setAdd: Set.prototype.add
+  })`, context);
+  const marks = vm.runInContext(MARKS_SOURCE, context)((which, ops) => probe[which](ops));
+  Object.assign(context, {
+    __fixedArgs: intoContext(message.fixedArgs),
+    __markStart: marks.start,
+    __markEnd: marks.stop
+  });
+  vm.runInContext(message.source, context, { timeout: message.timeoutMs });
+  return null;
+}
+
+/**
+ * Hands fresh inputs and a probe to the context and measures one call or batch of calls of
+ * `functionToTest`, or of an empty function taking the same arguments when `message.baseline` is set.
+ * @returns {number} The probe's measurement, for the whole batch.
+ */
+function run(message) {
+  probe = probeFactories[message.probe]();
+  prepareInputs(message);
+  (message.baseline ? baselineScript : runScript).runInContext(context, { timeout: message.timeoutMs });
+  return probe.result();
+}
+
+/**
+ * Hands a fresh input to the context and makes one unmeasured call of `functionToTest`.
+ * @returns {{args: Array<*>, output: *}} The arguments as they were before the call, and its result.
+ */
+function check(message) {
+  prepareInputs({ ...message, repetitions: 1 });
+  return checkScript.runInContext(context, { timeout: message.timeoutMs });
+}
+
+/**
+ * Hands a fresh input to the context and makes one unmeasured call of `functionToTest`.
+ * @returns {boolean} Whether the call modified its arguments.
+ */
+function mutates(message) {
+  prepareInputs({ ...message, repetitions: 1 });
+  return mutatesScript.runInContext(context, { timeout: message.timeoutMs }) === true;
+}
+
+const handlers = { init, run, check, mutates };
+
+blockNetwork();
+blockProcessControl();
+
+process.on('message', (message) => {
+  let reply;
+  try {
+    reply = { ok: true, value: handlers[message.type](message) };
+  } catch (e) {
+    const timedOut = e && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    reply = {
+      ok: false,
+      reason: timedOut ? 'timeout' : 'error',
+      message: e && e.message !== undefined ? e.message : String(e)
+    };
+  }
+  try {
+    process.send(reply);
+  } catch (e) {
+    // A returned value that can't be cloned, such as a function, fails the call, not the session.
+    process.send({ ok: false, reason: 'error', message: `The result can't be sent back from the sandbox: ${e.message}` });
+  }
+});
+
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,71 @@
+// src/utils/sandboxSource.js
+const acorn = require('acorn');
+const { InvalidOptionsError } = require('../errors');
+
+/**
+ * Whether the source parses as a script.
+ */
+function parses(source) {
+  try {
+    acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'script' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Whether the source is a method's, as an object literal or class method prints it: `f(a) { ... }`,
+ * also async, a generator or with a computed name, but not a getter or setter.
+ */
+function isMethod(source) {
+  try {
+    const program = acorn.parse(`({ ${source} })`, { ecmaVersion: 'latest', sourceType: 'script' });
+    const { properties } = program.body[0].expression;
+    return properties.length === 1 && properties[0].method && properties[0].kind === 'init';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * An expression that evaluates to a copy of a function, from its source. Function and arrow
+ * sources are expressions already. A method's source is only valid inside an object literal, so
+ * the method is taken back out of one.
+ * @param {Function} fn
+ * @param {string} what What the function is, for the error message.
+ * @param {string} option The option at fault, for the error.
+ * @returns {string}
+ * @throws {InvalidOptionsError} If the source can't be rebuilt: a getter or setter, or a bound or
+ *   built-in function, whose source is `[native code]`.
+ */
+function functionExpression(fn, what, option) {
+  const source = fn.toString();
+  if (parses(`(${source});`)) return source;
+  if (isMethod(source)) return `Object.values({ ${source} })[0]`;
+  throw new InvalidOptionsError(
+    `${what} can't be rebuilt from its source (${source.split('\n')[0]}). Pass a function declaration, an arrow function or a method, not a getter, setter, bound or built-in function.`,
+    option
+  );
+}
+
+/**
+ * Builds the sandbox source for a loaded function. The sandbox always calls
+ * `functionToTest` (and `generateInput` in custom mode), so the functions are bound to those names.
+ * @param {Function} algorithm The function to analyze.
+ * @param {Function} [generator] An optional `generateInput(n)` function.
+ * @param {string} [option] The option the algorithm was passed as, for errors (default 'target').
+ * @returns {string} Source code ready for runAnalysis.
+ * @throws {InvalidOptionsError} If either function's source can't be rebuilt (see functionExpression).
+ */
+function toSandboxSource(algorithm, generator, option = 'target') {
+  let source = `const functionToTest = ${functionExpression(algorithm, 'The function to analyze', option)};`;
+  if (generator) {
+    source += `\nconst generateInput = ${functionExpression(generator, 'generateInput', 'generateInput')};`;
+  }
+  return source;
+}
+
+module.exports = {
+  toSandboxSource,
+};
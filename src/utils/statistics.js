@@ -0,0 +1,89 @@
+// src/utils/statistics.js
+const ss = require('simple-statistics');
+const { createRandom } = require('./random');
+
+/**
+ * The mean of what is left after dropping `proportion` of the values from each end.
+ * A run slowed down by garbage collection or the OS scheduler lands at the top and is dropped.
+ * @param {Array<number>} values
+ * @param {number} [proportion] Share trimmed from each end, from 0 (the mean) up to 0.5 (default 0.2).
+ * @returns {number}
+ */
+function trimmedMean(values, proportion = 0.2) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const cut = Math.min(Math.floor(sorted.length * proportion), Math.floor((sorted.length - 1) / 2));
+  return ss.mean(sorted.slice(cut, sorted.length - cut));
+}
+
+/**
+ * How spread out one size's measurements are.
+ * @param {Array<number>} values At least one measurement.
+ * @returns {{count: number, min: number, max: number, stdDev: number, iqr: number, mad: number, cv: number}}
+ *   `stdDev` is the sample standard deviation, `iqr` the interquartile range, `mad` the median
+ *   absolute deviation and `cv` the coefficient of variation (stdDev / mean; 0 for a zero mean).
+ *   With a single value every spread is 0.
+ */
+function describeDispersion(values) {
+  const stdDev = values.length > 1 ? ss.sampleStandardDeviation(values) : 0;
+  const mean = ss.mean(values);
+  return {
+    count: values.length,
+    min: ss.min(values),
+    max: ss.max(values),
+    stdDev,
+    iqr: ss.interquartileRange(values),
+    mad: ss.medianAbsoluteDeviation(values),
+    cv: mean === 0 ? 0 : stdDev / mean
+  };
+}
+
+/**
+ * Akaike and Bayesian information criteria of a least-squares fit, assuming Gaussian errors.
+ * Lower is better; both charge for every fitted parameter, BIC more so as observations grow.
+ * @param {number} rss The residual sum of squares.
+ * @param {number} observations How many values were fitted.
+ * @param {number} parameters How many coefficients the model fitted, intercept included.
+ * @returns {{aic: number, bic: number}}
+ */
+function informationCriteria(rss, observations, parameters) {
+  const logLikelihoodTerm = observations * Math.log(rss / observations);
+  return {
+    aic: logLikelihoodTerm + 2 * parameters,
+    bic: logLikelihoodTerm + parameters * Math.log(observations)
+  };
+}
+
+/**
+ * Bootstraps a decision made from grouped samples. Every resample redraws each group with
+ * replacement, reduces it with `statistic`, and hands the per-group values to `decide`.
+ * @param {Array<Array<number>>} groups The samples behind each value, e.g. one group per input size.
+ * @param {(values: Array<number>) => number} statistic Reduces one redrawn group to a value.
+ * @param {(values: Array<number>) => string} decide Makes the decision from the per-group values.
+ * @param {object} [options]
+ * @param {number} [options.resamples] How many resamples to draw (default 200).
+ * @param {number} [options.seed] Seeds the draws, so the same samples always give the same shares (default 42).
+ * @returns {Object<string, number>} The share of resamples, from 0 to 1, behind each decision that came up.
+ */
+function bootstrapShares(groups, statistic, decide, options = {}) {
+  const { resamples = 200, seed = 42 } = options;
+  const random = createRandom(seed);
+  const counts = {};
+  for (let r = 0; r < resamples; r++) {
+    const values = groups.map(group => statistic(group.map(() => group[Math.floor(random() * group.length)])));
+    const decision = decide(values);
+    counts[decision] = (counts[decision] || 0) + 1;
+  }
+
+  const shares = {};
+  for (const [decision, count] of Object.entries(counts)) {
+    shares[decision] = count / resamples;
+  }
+  return shares;
+}
+
+module.exports = {
+  trimmedMean,
+  describeDispersion,
+  informationCriteria,
+  bootstrapShares,
+};
@@ -0,0 +1,52 @@
+// test/analyze.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze, measureComplexity } = require('../src/analyze');
+const { SandboxError } = require('../src/errors');
+
+test('analyze rejects code that does not parse with a typed error, whatever the measure', async () => {
+  for (const measure of ['operations', 'time']) {
+    await assert.rejects(
+      analyze('function functionToTest(a) {', { measure, inputSizes: [10, 100], measureMemory: false }),
+      error => error instanceof SandboxError && error.reason === 'error',
+      measure
+    );
+  }
+});
+
+test('analyze counts operations through the sandbox', async () => {
+  const result = await analyze('function functionToTest(a) { let s = 0; for (const x of a) s += x; return s; }', {
+    measure: 'operations',
+    inputSizes: [10, 100, 1000, 10000],
+    measureMemory: false
+  });
+  assert.match(result.bigO, /^O\(n\) /);
+  assert.deepEqual(result.dataPoints.map(d => d.operations), [11, 101, 1001, 10001]);
+});
+
+test('analyze times each batch\'s own harness for a function too fast to time call by call', async () => {
+  const result = await analyze('function functionToTest(a) {}', {
+    inputSizes: [10, 100, 1000, 10000, 100000],
+    measureMemory: false
+  });
+  assert.ok(result.dataPoints.every(d => d.repetitions > 1 && d.harness.overheadMs > 0 && d.harness.floorMs > 0));
+  assert.ok(result.calibration.unresolvedSizes.every(n => result.inputSizes.includes(n)));
+});
+
+test('measureComplexity fits the worst case of a case analysis and reports how a budgeted sweep ended', async () => {
+  const insertionSort = `function functionToTest(a) {
+    for (let i = 1; i < a.length; i++) {
+      for (let j = i; j > 0 && a[j - 1] > a[j]; j--) [a[j - 1], a[j]] = [a[j], a[j - 1]];
+    }
+  }`;
+  const cases = await measureComplexity(insertionSort, { inputSizes: [50, 100, 200, 400], cases: true, measure: 'operations', measureMemory: false });
+  assert.equal(cases.calibration, null);
+  assert.equal(cases.dataPoints, cases.cases.distributions[cases.cases.worst.distribution].dataPoints);
+  assert.equal(cases.complexity.bestFit, cases.cases.worst.bestFit);
+
+  const sweep = await measureComplexity('function functionToTest(a) { return a.length; }', { budgetMs: 500, measure: 'operations', measureMemory: false });
+  assert.equal(sweep.cases, null);
+  assert.equal(sweep.adaptive.budgetMs, 500);
+  assert.equal(typeof sweep.adaptive.stoppedBecause, 'string');
+  assert.equal(sweep.complexity === null, sweep.dataPoints.length < 2);
+});
@@ -0,0 +1,84 @@
+// test/calculator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { determineComplexity, summarizeCalibration } = require('../src/calculator');
+
+const SIZES = [100, 200, 400, 800, 1600, 3200, 6400, 12800];
+
+// Exact data points following `f`, as an operation count would give them.
+const pointsFor = (f, metric = 'operations') => SIZES.map(n => ({ n, [metric]: f(n) }));
+
+test('determineComplexity picks the class the data follows', () => {
+  const cases = [
+    ['O(1)', () => 42],
+    ['O(log n)', n => 3 + 5 * Math.log2(n)],
+    ['O(n)', n => 10 + 2 * n],
+    ['O(n log n)', n => n * Math.log2(n)],
+    ['O(n^2)', n => n * n + 7]
+  ];
+  for (const [expected, f] of cases) {
+    const { bestFit } = determineComplexity(pointsFor(f), 'operations');
+    assert.equal(bestFit.split(' - ')[0], expected);
+  }
+});
+
+test('determineComplexity is fully confident on exact counts', () => {
+  const { bestFit, confidence } = determineComplexity(pointsFor(n => 3 * n), 'operations');
+  assert.match(bestFit, /^O\(n\) /);
+  assert.equal(confidence, 100);
+});
+
+test('determineComplexity fits times when given the time metric', () => {
+  const { bestFit } = determineComplexity(pointsFor(n => 0.001 * n * n, 'time'), 'time');
+  assert.match(bestFit, /^O\(n\^2\) /);
+});
+
+test('determineComplexity never picks a growing class with a falling slope', () => {
+  // Nearly constant, drifting down from 5.00 to 4.96 ms.
+  const points = SIZES.map((n, i) => {
+    const time = 5 - 0.04 * Math.log2(n / SIZES[0]) / Math.log2(SIZES[SIZES.length - 1] / SIZES[0]);
+    return { n, time, samples: { time: [time - 0.001, time, time + 0.001] } };
+  });
+  const { bestFit, results } = determineComplexity(points, 'time');
+  assert.match(bestFit, /^O\(1\) /);
+  assert.ok(results.every(model => model.parameters === 1 || model.coefficients[1] > 0));
+});
+
+// A calibration as calibrateTiming reports it, and a batched data point of 100,000 calls per run
+// with its batch's harness; `runs` are the per-call times.
+const CALIBRATION = { timerResolutionMs: 0.0001, overheads: [{ n: 1000, overheadMs: 0.01 }], floorMs: 0.001 };
+const batchedPoint = (n, floorMs, runs) => ({
+  n,
+  time: runs.reduce((a, b) => a + b, 0) / runs.length,
+  repetitions: 100000,
+  harness: { overheadMs: 2, floorMs },
+  samples: { time: runs }
+});
+
+test('determineComplexity fits a series below every batch\'s floor as O(1), with no confidence', () => {
+  // Constant time lost in the harness: floors of 1.39, 0.90, 1.24 and 8.08 ms per batch, which
+  // traced O(n^2) when each point was raised to its own.
+  const points = [
+    batchedPoint(1000, 1.39, [0, 0, 1e-6]),
+    batchedPoint(10000, 0.90, [0, 0, 0]),
+    batchedPoint(100000, 1.24, [0, 2e-6, 0]),
+    batchedPoint(1000000, 8.08, [0, 0, 1e-6])
+  ];
+  const { bestFit, confidence } = determineComplexity(points, 'time', { calibration: CALIBRATION });
+  assert.match(bestFit, /^O\(1\) /);
+  assert.equal(confidence, 0);
+  assert.deepEqual(summarizeCalibration(CALIBRATION, points).unresolvedSizes, [1000, 10000, 100000, 1000000]);
+});
+
+test('unresolved points share the largest of their floors, and points below it are unresolved too', () => {
+  const points = [
+    batchedPoint(1000, 5, [1e-6, 1e-6, 1e-6]),
+    // Above its own floor (1e-6 per call), but below the first point's (5e-5).
+    batchedPoint(2000, 0.1, [2e-5, 2e-5, 2e-5]),
+    batchedPoint(4000, 0.1, [4e-4, 4e-4, 4e-4]),
+    batchedPoint(8000, 0.1, [8e-4, 8e-4, 8e-4])
+  ];
+  assert.deepEqual(summarizeCalibration(CALIBRATION, points).unresolvedSizes, [1000, 2000]);
+  const { confidence } = determineComplexity(points, 'time', { calibration: CALIBRATION });
+  assert.ok(confidence <= 50);
+});
@@ -0,0 +1,54 @@
+// test/cli.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseCommandLine, UsageError } = require('../src/cli');
+const { sizesForStrategy } = require('../src/analyze');
+
+test('parseCommandLine asks interactively without options', () => {
+  assert.deepEqual(parseCommandLine([]), { mode: 'interactive', exportFormats: [] });
+  assert.deepEqual(parseCommandLine(['-h']), { mode: 'help' });
+  assert.deepEqual(parseCommandLine(['--list-problems']), { mode: 'problems' });
+});
+
+test('parseCommandLine fills in the defaults of a batch run', () => {
+  const { mode, settings } = parseCommandLine(['--function', 'linearTime']);
+  assert.equal(mode, 'batch');
+  assert.equal(settings.functionName, 'linearTime');
+  assert.equal(settings.strategy, 'powers');
+  assert.deepEqual(settings.inputSizes, [10, 100, 1000, 10000]);
+  assert.equal(settings.measure, 'time');
+  assert.equal(settings.iterations, 10);
+  assert.equal(settings.format, 'human');
+  assert.equal(settings.graphPath, 'graph.png');
+});
+
+test('parseCommandLine reads sizes, files and measures', () => {
+  const { settings } = parseCommandLine(['-f', 'algo.js', '--sizes', '5,10,20', '--measure', 'operations', '--format', 'json']);
+  assert.equal(settings.file, path.resolve('algo.js'));
+  assert.equal(settings.strategy, 'list');
+  assert.deepEqual(settings.inputSizes, [5, 10, 20]);
+  assert.equal(settings.measure, 'operations');
+  assert.equal(settings.graphPath, null);
+});
+
+test('parseCommandLine builds a growth strategy\'s sizes as analyze() does', () => {
+  const sizes = (...args) => parseCommandLine(['--function', 'linearTime', ...args]).settings.inputSizes;
+  assert.deepEqual(sizes('--strategy', 'powers', '--max-power', '3'), sizesForStrategy({ kind: 'powers', count: 3 }));
+  assert.deepEqual(sizes('--strategy', 'doubling', '--start', '50', '--steps', '4'), [50, 100, 200, 400]);
+  assert.deepEqual(sizes('--strategy', 'linear', '--start', '10', '--count', '3'), sizesForStrategy({ kind: 'linear', start: 10, count: 3 }));
+});
+
+test('parseCommandLine rejects invalid command lines', () => {
+  const invalid = [
+    ['--bogus'],
+    ['--iterations', '3'],
+    ['--function', 'linearTime', '--measure', 'memory'],
+    ['--function', 'linearTime', '--strategy', 'grid', '--sizes', '1,2'],
+    ['--function', 'linearTime', '--strategy', 'auto'],
+    ['--function', 'linearTime', '--params', '[oops']
+  ];
+  for (const args of invalid) {
+    assert.throws(() => parseCommandLine(args), UsageError, args.join(' '));
+  }
+});
@@ -0,0 +1,30 @@
+// test/history.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../server/history');
+
+test('the history store saves, searches, reloads and removes records', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'bigo-history-'));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const store = createHistoryStore({ directory });
+  const linear = await store.save({ algoName: 'sum', code: 'for (const x of a) s += x;', bigO: 'O(n) - Linear', result: { ok: true } });
+  const constant = await store.save({ algoName: 'first', code: 'return a[0];', bigO: 'O(1) - Constant', result: {} });
+
+  assert.deepEqual((await store.list()).map(r => r.id).sort(), [linear.id, constant.id].sort());
+  assert.deepEqual((await store.list({ query: 'LINEAR' })).map(r => r.id), [linear.id]);
+  assert.deepEqual((await store.list({ query: 's += x' })).map(r => r.id), [linear.id]);
+  assert.equal((await store.list({ limit: 1 })).length, 1);
+  assert.deepEqual((await store.get(linear.id)).result, { ok: true });
+
+  // A new store finds the records already on disk.
+  const reloaded = createHistoryStore({ directory });
+  assert.equal((await reloaded.list()).length, 2);
+  assert.equal(await reloaded.remove(constant.id), true);
+  assert.equal(await reloaded.remove(constant.id), false);
+  assert.equal(await reloaded.get(constant.id), null);
+  assert.deepEqual((await reloaded.list()).map(r => r.id), [linear.id]);
+});
@@ -0,0 +1,104 @@
+// test/jobs.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter, once } = require('events');
+const { createJobQueue } = require('../server/jobs');
+
+/**
+ * Subscribes to a job and resolves with its events once it finishes.
+ */
+function eventsOf(queue, id) {
+  const emitter = new EventEmitter();
+  const events = [];
+  queue.subscribe(id, (event, data) => {
+    events.push({ event, data });
+    if (['done', 'failed', 'cancelled'].includes(event)) emitter.emit('finished');
+  });
+  return once(emitter, 'finished').then(() => events);
+}
+
+test('jobs run one at a time and report their progress', async () => {
+  const queue = createJobQueue();
+  let running = 0;
+  const task = async ({ onProgress }) => {
+    running++;
+    assert.equal(running, 1);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    onProgress({ dataPoint: { n: 10 }, completed: 1, total: 1 });
+    running--;
+    return { bigO: 'O(n)' };
+  };
+  const first = queue.submit(task);
+  const second = queue.submit(task);
+  assert.equal(second.queuePosition, 1);
+
+  const [firstEvents, secondEvents] = await Promise.all([eventsOf(queue, first.id), eventsOf(queue, second.id)]);
+  // The first job was already running when subscribed to.
+  assert.deepEqual(firstEvents.map(e => e.event), ['progress', 'done']);
+  assert.deepEqual(secondEvents.map(e => e.event), ['status', 'progress', 'done']);
+  const finished = queue.get(first.id);
+  assert.equal(finished.status, 'done');
+  assert.deepEqual(finished.result, { bigO: 'O(n)' });
+  assert.deepEqual(finished.dataPoints, [{ n: 10 }]);
+});
+
+test('a queued job can be cancelled before it starts', async () => {
+  const queue = createJobQueue();
+  let release;
+  const blocker = queue.submit(() => new Promise(resolve => {
+    release = resolve;
+  }));
+  let started = false;
+  const waiting = queue.submit(async () => {
+    started = true;
+  });
+  assert.equal(queue.cancel(waiting.id).status, 'cancelled');
+  release({});
+  await eventsOf(queue, blocker.id);
+  assert.equal(started, false);
+  assert.equal(queue.subscribe(waiting.id, () => {}), null);
+});
+
+test('a running job is cancelled through its signal', async () => {
+  const queue = createJobQueue();
+  const job = queue.submit(({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('stopped')));
+  }));
+  const events = eventsOf(queue, job.id);
+  queue.cancel(job.id);
+  assert.equal((await events).pop().event, 'cancelled');
+});
+
+test('a failed job carries the error the client would have got', async () => {
+  const queue = createJobQueue({ describeError: error => ({ status: 400, body: { error: error.message } }) });
+  const job = queue.submit(async () => {
+    throw new Error('bad code');
+  });
+  await eventsOf(queue, job.id);
+  assert.deepEqual(queue.get(job.id).error, { status: 400, error: 'bad code' });
+});
+
+test('run waits its turn behind submitted jobs and settles with the task\'s result or error', async () => {
+  const queue = createJobQueue();
+  let release;
+  const order = [];
+  queue.submit(() => new Promise(resolve => {
+    release = () => {
+      order.push('job');
+      resolve({});
+    };
+  }));
+  const answer = queue.run(async () => {
+    order.push('run');
+    return { bigO: 'O(1)' };
+  });
+  const failure = queue.run(async () => {
+    throw new RangeError('too big');
+  });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(order, []);
+  release();
+  assert.deepEqual(await answer, { bigO: 'O(1)' });
+  assert.deepEqual(order, ['job', 'run']);
+  await assert.rejects(failure, RangeError);
+});
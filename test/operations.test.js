@@ -0,0 +1,42 @@
+// test/operations.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { instrumentCode } = require('../src/utils/operations');
+
+/**
+ * Runs instrumented code the way the sandbox session does and returns what `functionToTest(...args)`
+ * counted.
+ */
+function countOperations(code, ...args) {
+  const context = vm.createContext({ args });
+  vm.runInContext(`let __ops = 0; const __countAccess = (value) => (__ops++, value);\n${instrumentCode(code)}`, context);
+  return vm.runInContext('__ops = 0; functionToTest(...args); __ops', context);
+}
+
+test('instrumentCode counts loop iterations, calls and property accesses', () => {
+  const code = 'function functionToTest(a) { let s = 0; for (let i = 0; i < 3; i++) s++; return s; }';
+  // One call and three iterations.
+  assert.equal(countOperations(code), 4);
+  // A call, plus one `a.length` per test and one `a[i]` per iteration.
+  assert.equal(countOperations('function functionToTest(a) { let s = 0; for (let i = 0; i < a.length; i++) s += a[i]; return s; }', [1, 2, 3]), 1 + 4 + 3 + 3);
+});
+
+test('instrumentCode counts grow with the input', () => {
+  const code = 'function functionToTest(a) { let s = 0; for (const x of a) s += x; return s; }';
+  assert.equal(countOperations(code, [1, 2, 3, 4]) - countOperations(code, [1, 2]), 2);
+});
+
+test('instrumentCode keeps the code working', () => {
+  const code = `function functionToTest(a) {
+    const o = { list: a };
+    return o?.list.map(x => x * 2).filter(Boolean).length + new Date(0).getTime();
+  }`;
+  const context = vm.createContext({});
+  vm.runInContext(`let __ops = 0; const __countAccess = (value) => (__ops++, value);\n${instrumentCode(code)}`, context);
+  assert.equal(vm.runInContext('functionToTest([0, 1, 2])', context), 2);
+});
+
+test('instrumentCode reports code that does not parse as a sandbox error', () => {
+  assert.throws(() => instrumentCode('function functionToTest(a) {'), { name: 'SandboxError', reason: 'error' });
+});
@@ -0,0 +1,33 @@
+// test/problems.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProblem, starterCode } = require('../src/problems');
+const { gradeSolution } = require('../src/grading');
+
+test('the 4Sum reference finds every distinct quadruplet without modifying its input', () => {
+  const problem = getProblem('four-sum');
+  const nums = [1, 0, -1, 0, -2, 2];
+  const quadruplets = problem.reference(nums, 0);
+  assert.deepEqual(nums, [1, 0, -1, 0, -2, 2]);
+  assert.ok(problem.isCorrect(quadruplets, [[-2, -1, 1, 2], [-2, 0, 0, 2], [-1, 0, 0, 1]]));
+  assert.ok(problem.isCorrect([[2, 1, -1, -2], [0, 0, -1, 1], [0, 2, -2, 0]], quadruplets));
+  assert.ok(!problem.isCorrect([[-2, -1, 1, 2]], quadruplets));
+  assert.deepEqual(problem.reference([2, 2, 2, 2, 2], 8), [[2, 2, 2, 2]]);
+});
+
+test('gradeSolution passes the 4Sum reference and fails a solution with a fixed target', async () => {
+  const reference = getProblem('four-sum').reference;
+  const grade = await gradeSolution('four-sum', `const functionToTest = ${reference.toString()};`);
+  assert.equal(grade.correct, true);
+  assert.equal(grade.passed, true, grade.complexity.message);
+
+  const fixedTarget = `function functionToTest(nums, target) { return (${reference.toString()})(nums, -1); }`;
+  const wrong = await gradeSolution('four-sum', fixedTarget);
+  assert.equal(wrong.correct, false);
+  assert.equal(wrong.passed, false);
+});
+
+test('getProblem rejects unknown ids and starterCode uses the signature', () => {
+  assert.throws(() => getProblem('three-sum'), { name: 'InvalidOptionsError', option: 'problem' });
+  assert.match(starterCode(getProblem('two-sum')), /function functionToTest\(nums, target\) \{/);
+});
@@ -0,0 +1,25 @@
+// test/requests.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAnalysisRequest } = require('../server/requests');
+
+const body = (fields) => ({ code: 'function functionToTest(a) {}', algoName: 'f', inputMode: 'array', inputSizes: [10, 100], ...fields });
+
+test('validateAnalysisRequest accepts positive whole input sizes', () => {
+  assert.deepEqual(validateAnalysisRequest(body()).request.inputSizes, [10, 100]);
+  const params = [{ kind: 'scaling' }, { kind: 'scaling', dimension: 'm' }];
+  const { error, request } = validateAnalysisRequest(body({ mSizes: [5], params }));
+  assert.equal(error, undefined);
+  assert.deepEqual([request.inputSizes, request.mSizes, request.isGrid], [[10, 100], [5], true]);
+});
+
+test('validateAnalysisRequest rejects sizes that are not positive whole numbers, as analyze() does', () => {
+  for (const inputSizes of [[-5, 10], [1.5, 10], [0, 10], [10], ['10', 100], undefined]) {
+    assert.match(validateAnalysisRequest(body({ inputSizes })).error, /inputSizes must list at least 2 positive whole numbers/, String(inputSizes));
+  }
+  for (const mSizes of [[], [-1], [2.5], null]) {
+    assert.match(validateAnalysisRequest(body({ mSizes })).error, /mSizes must list at least one positive whole number/, String(mSizes));
+  }
+  // An automatic sweep picks its own sizes.
+  assert.equal(validateAnalysisRequest(body({ inputSizes: undefined, budgetMs: 1000 })).error, undefined);
+});
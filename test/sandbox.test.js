@@ -0,0 +1,72 @@
+// test/sandbox.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collectOutputs, runAnalysis } = require('../src/calculator');
+const { SandboxError } = require('../src/errors');
+
+test('the user code gets no object from the sandbox process realm', async () => {
+  // Every object the harness hands over, tried as a way to the real Function constructor.
+  const code = `
+    function functionToTest(a, fixed) {
+      const routes = { input: a, fixed, fixedArgs: __fixedArgs, inputs: __inputs, mark: __markStart };
+      return Object.entries(routes).map(([name, object]) => {
+        try {
+          const process = object.constructor.constructor('return process')();
+          return name + ' escaped to ' + typeof process;
+        } catch (e) {
+          return name + ' blocked';
+        }
+      });
+    }`;
+  const [{ output }] = await collectOutputs(code, [3], 'array', [
+    { kind: 'scaling' },
+    { kind: 'fixed', value: { list: [1, 2], lookup: new Map([['a', new Set([1])]]) } }
+  ]);
+  assert.deepEqual(output, ['input blocked', 'fixed blocked', 'fixedArgs blocked', 'inputs blocked', 'mark blocked']);
+});
+
+test('fixed arguments keep their values and types inside the sandbox', async () => {
+  const code = `
+    function functionToTest(a, fixed) {
+      return [fixed.list.length, fixed.lookup.get('a').has(1), fixed.when.getTime(), fixed.bytes[1], fixed.again === fixed.list];
+    }`;
+  const value = { list: [1, 2], lookup: new Map([['a', new Set([1])]]), when: new Date(5), bytes: new Uint8Array([7, 8]) };
+  value.again = value.list;
+  const [{ output }] = await collectOutputs(code, [3], 'array', [{ kind: 'scaling' }, { kind: 'fixed', value }]);
+  assert.deepEqual(output, [2, true, 5, 8, true]);
+});
+
+test('memory outside the heap counts towards the sandbox memory cap', async () => {
+  const code = 'function functionToTest(a) { return new Uint8Array(700 * 1024 * 1024).fill(1).length; }';
+  await assert.rejects(collectOutputs(code, [3]), error => error instanceof SandboxError && error.reason === 'out-of-memory');
+});
+
+test('a failing timing mark never hands its error to the user code', async () => {
+  // Overflowing the stack right at the mark makes the probe fail; its error would come from the process realm.
+  const code = `
+    let leaked = null;
+    function functionToTest(a) {
+      const dive = () => {
+        try {
+          dive();
+        } catch (e) {
+          try {
+            __markEnd(0);
+          } catch (error) {
+            leaked = error;
+          }
+        }
+      };
+      dive();
+      if (leaked) {
+        try {
+          leaked.constructor.constructor('return process')();
+        } catch (e) {
+          return;
+        }
+        throw new Error('the mark threw an error from the process realm into the user code');
+      }
+    }`;
+  const dataPoints = await runAnalysis(code, [10], 1, 'array', undefined, { measureMemory: false });
+  assert.equal(dataPoints.length, 1);
+});
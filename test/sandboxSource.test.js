@@ -0,0 +1,45 @@
+// test/sandboxSource.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { toSandboxSource } = require('../src/utils/sandboxSource');
+const { analyze } = require('../src/analyze');
+
+// Loads a sandbox source the way the sandbox does and returns its functionToTest.
+const load = (source) => vm.runInNewContext(`${source}\nfunctionToTest`);
+
+test('toSandboxSource binds functions, arrows and methods to functionToTest', () => {
+  const methods = {
+    first(a) { return a[0]; },
+    async second(a) { return a[1]; },
+    *third(a) { yield a[2]; },
+    ['la' + 'st'](a) { return a[a.length - 1]; }
+  };
+  class Sorter {
+    static sort(a) { return [...a].sort(); }
+  }
+  assert.equal(load(toSandboxSource(function head(a) { return a[0]; }))([7, 8]), 7);
+  assert.equal(load(toSandboxSource(a => a.length))([7, 8]), 2);
+  assert.equal(load(toSandboxSource(methods.first))([7, 8]), 7);
+  assert.equal(load(toSandboxSource(methods.third))([7, 8, 9]).next().value, 9);
+  assert.equal(load(toSandboxSource(methods.last))([7, 8]), 8);
+  assert.deepEqual([...load(toSandboxSource(Sorter.sort))([2, 1])], [1, 2]);
+  assert.equal(typeof load(toSandboxSource(methods.second)), 'function');
+});
+
+test('toSandboxSource says why a function can\'t be rebuilt from its source', () => {
+  const getter = Object.getOwnPropertyDescriptor({ get size() { return 1; } }, 'size').get;
+  for (const fn of [getter, Math.max, function bound(a) { return a; }.bind(null)]) {
+    assert.throws(() => toSandboxSource(fn), { name: 'InvalidOptionsError', option: 'target', message: /can't be rebuilt/ });
+  }
+  assert.throws(() => toSandboxSource(a => a, Math.random), { name: 'InvalidOptionsError', option: 'generateInput' });
+});
+
+test('analyze measures a method passed on its own', async () => {
+  const result = await analyze(({ total(a) { let s = 0; for (const x of a) s += x; return s; } }).total, {
+    measure: 'operations',
+    inputSizes: [10, 100, 1000],
+    measureMemory: false
+  });
+  assert.match(result.bigO, /^O\(n\) /);
+});
@@ -0,0 +1,74 @@
+// test/staticAnalysis.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeStatically } = require('../src/staticAnalysis');
+
+// The predicted class without its name, e.g. 'O(n log n)'.
+const predict = (code) => analyzeStatically(code).bigO.split(' - ')[0];
+
+test('analyzeStatically reads loop nesting', () => {
+  assert.equal(predict('function functionToTest(a) { return a[0]; }'), 'O(1)');
+  assert.equal(predict('function functionToTest(a) { let s = 0; for (const x of a) s += x; return s; }'), 'O(n)');
+  assert.equal(predict(`function functionToTest(a) {
+    let c = 0;
+    for (let i = 0; i < a.length; i++) for (let j = 0; j < a.length; j++) c++;
+    return c;
+  }`), 'O(n^2)');
+});
+
+test('analyzeStatically sees halving loops and square-root bounds', () => {
+  assert.equal(predict(`function functionToTest(a) {
+    let lo = 0, hi = a.length - 1;
+    while (lo <= hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (a[mid] < 0) lo = mid + 1; else hi = mid - 1;
+    }
+    return lo;
+  }`), 'O(log n)');
+  assert.equal(predict('function functionToTest(n) { let c = 0; for (let i = 1; i * i <= n; i++) c++; return c; }'), 'O(sqrt n)');
+});
+
+test('analyzeStatically knows the cost of built-ins', () => {
+  assert.equal(predict('function functionToTest(a) { return a.sort((x, y) => x - y); }'), 'O(n log n)');
+  assert.equal(predict('function functionToTest(a) { return a.includes(-1); }'), 'O(n)');
+});
+
+test('analyzeStatically reads recursion', () => {
+  assert.equal(predict('function functionToTest(n) { return n < 2 ? n : functionToTest(n - 1) + functionToTest(n - 2); }'), 'O(2^n)');
+  assert.equal(predict('function functionToTest(n) { return n === 0 ? 0 : 1 + functionToTest(n - 1); }'), 'O(n)');
+});
+
+test('analyzeStatically reports code it cannot read', () => {
+  assert.equal(analyzeStatically('function functionToTest(a) {').bigO, null);
+  assert.equal(analyzeStatically('function other() {}').bigO, null);
+});
+
+test('analyzeStatically treats a loop as constant only when its bound ignores the input', () => {
+  assert.equal(predict('function functionToTest(a) { let s = 0; for (let i = 0; i < 10; i++) s += a[i]; return s; }'), 'O(1)');
+  assert.equal(predict('function functionToTest(a) { let s = 0; for (let i = a.length - 1; i >= 0; i--) s += a[i]; return s; }'), 'O(n)');
+  assert.equal(predict('function functionToTest(a) { while (a.length > 0) a.pop(); }'), 'O(n)');
+  assert.equal(predict('function functionToTest(n) { let c = 0, i; for (i = n; i > 1; i = Math.floor(i / 2)) c++; return c; }'), 'O(log n)');
+});
+
+test('analyzeStatically sees recursion on halves of the input', () => {
+  const mergeSort = `function functionToTest(a) {
+    if (a.length < 2) return a;
+    const m = a.length >> 1;
+    const left = functionToTest(a.slice(0, m));
+    const right = functionToTest(a.slice(m));
+    const merged = [];
+    let i = 0, j = 0;
+    while (i < left.length || j < right.length) {
+      if (j >= right.length || (i < left.length && left[i] <= right[j])) merged.push(left[i++]);
+      else merged.push(right[j++]);
+    }
+    return merged;
+  }`;
+  assert.equal(predict(mergeSort), 'O(n log n)');
+  // A named function expression recurses through its own name.
+  assert.equal(predict(`const functionToTest = ${mergeSort.replace(/functionToTest/g, 'sort')};`), 'O(n log n)');
+  assert.equal(predict(`function functionToTest(a) {
+    const half = a.length >> 1;
+    return a.length < 2 ? 0 : 1 + functionToTest(a.subarray(0, half));
+  }`), 'O(log n)');
+});
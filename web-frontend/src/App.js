@@ -1,80 +1,541 @@
 
-import React, { useReducer } from 'react';
+import React, { useEffect, useReducer, useRef } from 'react';
 import CodeMirror from '@uiw/react-codemirror';
 import { javascript } from '@codemirror/lang-javascript';
 import { gruvboxDark } from '@uiw/codemirror-theme-gruvbox-dark';
+import ComplexityChart from './ComplexityChart';
+import GridHeatmap from './GridHeatmap';
+import HistorySidebar from './HistorySidebar';
+import ProblemGrader from './ProblemGrader';
+import WorkspaceTabs from './WorkspaceTabs';
+import {
+    functionTemplate,
+    snippetDefaults,
+    createSnippet,
+    loadWorkspace,
+    saveWorkspace,
+    serializeWorkspace,
+    parseWorkspace,
+} from './workspace';
 import './App.css';
 
-const functionTemplate = `/**
-* Paste your algorithm here.
-* Function name MUST be 'functionToTest'.
+const generatorTemplate = `
+
+/**
+* Custom input mode: build the input for size n.
+* Its cost is not included in the measured time.
 */
-function functionToTest(input) {
-  // Your code here
+function generateInput(n) {
+  return Array.from({ length: n }, () => Math.floor(Math.random() * n));
 }`;
 
+// Headline for each way a sandboxed run can fail, keyed by the API's `reason`.
+const failureLabels = {
+    timeout: 'Timed out',
+    'out-of-memory': 'Out of memory',
+    error: 'Your code threw an error',
+};
+
+// Why an automatic sweep stopped growing n, by the server's `stoppedBecause` value.
+const stopReasons = {
+    budget: 'the next size would not fit in the time budget',
+    timeout: 'the next size risked the per-run time limit',
+    'out-of-memory': 'the next size ran out of memory',
+    maxSize: 'it reached the largest size it tries',
+};
+
+// Chart title and y-axis label for each metric, as on the server's PNG charts.
+const metricLabels = {
+    time: { title: 'Big O Complexity Analysis', axis: 'Time (ms)' },
+    operations: { title: 'Big O Complexity Analysis (Operation Count)', axis: 'Operations' },
+    memory: { title: 'Space Complexity Analysis', axis: 'Peak Extra Heap (bytes)' },
+};
+
+const apiBase = 'http://localhost:3001/api';
+
+// The form's settings live in the workspace's snippets (see workspace.js); the rest is per session.
 const initialState = {
-    code: functionTemplate,
-    algoName: '',
-    inputMode: 'array',
-    growthStrategy: 'powersOf10',
-    useSuperRange: false,
-    powersOf10Count: 4,
-    doublingStart: 1,
-    doublingCount: 10,
-    linearStart: 100,
-    linearEnd: 1000,
-    linearStep: 100,
+    workspace: null,
     result: null,
     error: null,
     isLoading: false,
     isBigOVisible: false,
+    isHistoryOpen: false,
+    // Shows the problem catalog and its grader in place of the analyzer.
+    isGraderOpen: false,
+    jobId: null,
+    progress: null,
+    livePoints: [],
 };
 
+// Starts from the autosaved workspace.
+function initState(state) {
+    return { ...state, workspace: loadWorkspace() };
+}
+
+const activeSnippetOf = ({ snippets, activeId }) => snippets.find((snippet) => snippet.id === activeId);
+
+/**
+ * Applies changes to the snippet in the editor. `changes` is an object, or a function from the
+ * snippet to one.
+ */
+function updateActiveSnippet(state, changes) {
+    const { workspace } = state;
+    return {
+        ...state,
+        workspace: {
+            ...workspace,
+            snippets: workspace.snippets.map((snippet) => (snippet.id === workspace.activeId
+                ? { ...snippet, ...(typeof changes === 'function' ? changes(snippet) : changes) }
+                : snippet)),
+        },
+    };
+}
+
+/**
+ * Adds a snippet right after the active one and switches to it.
+ */
+function insertSnippet(state, snippet) {
+    const { snippets, activeId } = state.workspace;
+    const index = snippets.findIndex((s) => s.id === activeId) + 1;
+    return {
+        ...state,
+        workspace: { snippets: [...snippets.slice(0, index), snippet, ...snippets.slice(index)], activeId: snippet.id },
+    };
+}
+
 function reducer(state, action) {
     switch (action.type) {
         case 'SET_FIELD':
+            if (action.field in snippetDefaults) {
+                return updateActiveSnippet(state, { [action.field]: action.value });
+            }
             return { ...state, [action.field]: action.value };
+        case 'ADD_PARAM':
+            return updateActiveSnippet(state, ({ params }) => ({ params: [...params, { kind: 'fixed', value: '' }] }));
+        case 'UPDATE_PARAM':
+            return updateActiveSnippet(state, ({ params }) => ({
+                params: params.map((param, i) => (i === action.index ? { ...param, ...action.changes } : param)),
+            }));
+        case 'REMOVE_PARAM':
+            return updateActiveSnippet(state, ({ params }) => ({ params: params.filter((_, i) => i !== action.index) }));
+        case 'ADD_COMPARISON':
+            return updateActiveSnippet(state, ({ comparisons }) => ({ comparisons: [...comparisons, { name: '', code: functionTemplate }] }));
+        case 'UPDATE_COMPARISON':
+            return updateActiveSnippet(state, ({ comparisons }) => ({
+                comparisons: comparisons.map((pane, i) => (i === action.index ? { ...pane, ...action.changes } : pane)),
+            }));
+        case 'REMOVE_COMPARISON':
+            return updateActiveSnippet(state, ({ comparisons }) => ({ comparisons: comparisons.filter((_, i) => i !== action.index) }));
+        case 'SELECT_SNIPPET':
+            return { ...state, workspace: { ...state.workspace, activeId: action.id } };
+        case 'ADD_SNIPPET':
+            return insertSnippet(state, createSnippet());
+        case 'DUPLICATE_SNIPPET': {
+            const original = activeSnippetOf(state.workspace);
+            return insertSnippet(state, createSnippet({ ...original, algoName: `${original.algoName || 'Untitled'} (copy)` }));
+        }
+        case 'REMOVE_SNIPPET': {
+            const { snippets, activeId } = state.workspace;
+            const index = snippets.findIndex((snippet) => snippet.id === action.id);
+            const remaining = snippets.filter((snippet) => snippet.id !== action.id);
+            // Closing the last tab leaves a fresh one, and closing the active tab moves to its neighbour.
+            if (remaining.length === 0) {
+                const snippet = createSnippet();
+                return { ...state, workspace: { snippets: [snippet], activeId: snippet.id } };
+            }
+            const nextActiveId = action.id === activeId ? remaining[Math.min(index, remaining.length - 1)].id : activeId;
+            return { ...state, workspace: { snippets: remaining, activeId: nextActiveId } };
+        }
+        case 'IMPORT_WORKSPACE':
+            return { ...state, error: null, workspace: action.payload };
         case 'START_ANALYSIS':
-            return { ...state, isLoading: true, error: null, result: null };
+            return { ...state, isLoading: true, error: null, result: null, jobId: null, progress: null, livePoints: [] };
+        case 'JOB_STARTED':
+            return { ...state, jobId: action.payload };
+        case 'JOB_SNAPSHOT':
+            return { ...state, progress: action.payload.progress, livePoints: action.payload.dataPoints };
+        case 'JOB_PROGRESS': {
+            const { dataPoint, ...progress } = action.payload;
+            // A case analysis or comparison reports which series the point belongs to.
+            const series = progress.distribution || progress.implementation;
+            const livePoint = series ? { ...dataPoint, series } : dataPoint;
+            return { ...state, progress, livePoints: [...state.livePoints, livePoint] };
+        }
         case 'ANALYSIS_SUCCESS':
             return {
                 ...state,
                 isLoading: false,
+                jobId: null,
                 result: action.payload,
                 isBigOVisible: action.payload.confidence >= 75,
             };
         case 'ANALYSIS_ERROR':
-            return { ...state, isLoading: false, error: action.payload };
+            return { ...state, isLoading: false, jobId: null, error: action.payload };
+        case 'ANALYSIS_CANCELLED':
+            return { ...state, isLoading: false, jobId: null, error: 'The analysis was cancelled.' };
+        case 'SHOW_RECORD':
+            return {
+                ...state,
+                error: null,
+                result: { ...action.payload.result, historyId: action.payload.id },
+                isBigOVisible: action.payload.result.confidence >= 75,
+            };
+        case 'LOAD_RECORD': {
+            // A past analysis opens in a new tab, so it never overwrites a snippet.
+            const record = action.payload;
+            const [baseline, ...others] = record.implementations || [{ name: record.algoName, code: record.code }];
+            const loaded = {
+                code: baseline.code,
+                algoName: record.implementations ? baseline.name : record.algoName,
+                comparisons: others,
+                inputMode: record.inputMode,
+                params: fromParamSpecs(record.params),
+                measure: record.measure,
+                caseAnalysis: record.caseAnalysis,
+                useSuperRange: false,
+            };
+            // Plain size lists don't map back onto a growth strategy, so those get the default one.
+            if (record.mSizes) {
+                Object.assign(loaded, { growthStrategy: 'grid', gridNSizes: record.inputSizes.join(', '), gridMSizes: record.mSizes.join(', ') });
+            } else if (record.budgetMs) {
+                Object.assign(loaded, { growthStrategy: 'adaptive', budgetSeconds: record.budgetMs / 1000 });
+            }
+            return insertSnippet(state, createSnippet(loaded));
+        }
         default:
             return state;
     }
 }
 
+/**
+ * Converts the form's parameter rows into the spec list expected by /api/analyze.
+ * Fixed values are parsed as JSON when possible and sent as plain strings otherwise.
+ */
+function toParamSpecs(params) {
+    return params.map(({ kind, value }) => {
+        if (kind === 'scaling') return { kind };
+        if (kind === 'scaling-m') return { kind: 'scaling', dimension: 'm' };
+        if (kind === 'derived') return { kind, expression: value };
+        try {
+            return { kind, value: JSON.parse(value) };
+        } catch (err) {
+            return { kind, value };
+        }
+    });
+}
+
+/**
+ * Turns stored parameter specs back into the form's parameter rows, the reverse of toParamSpecs.
+ */
+function fromParamSpecs(specs) {
+    return specs.map((spec) => {
+        if (spec.kind === 'scaling') return { kind: spec.dimension === 'm' ? 'scaling-m' : 'scaling', value: '' };
+        if (spec.kind === 'derived') return { kind: 'derived', value: spec.expression };
+        return { kind: 'fixed', value: typeof spec.value === 'string' ? spec.value : JSON.stringify(spec.value) };
+    });
+}
+
+/**
+ * Parses a comma-separated list of sizes, e.g. "100, 200, 400", ignoring anything that isn't a positive number.
+ */
+function parseSizeList(text) {
+    return text.split(',').map((part) => Number(part.trim())).filter((n) => n > 0);
+}
+
+/**
+ * The metric a data point was measured by ('time' or 'operations'), next to the heap it may also carry.
+ */
+function measuredMetric(point) {
+    return Object.keys(point.dispersion).find((metric) => metric !== 'memory');
+}
+
+/**
+ * A calibration time in milliseconds, to two significant digits.
+ */
+const formatMs = (ms) => `${Number(ms.toPrecision(2))} ms`;
+
+/**
+ * What the timer calibration found: the clock's resolution, the harness overhead taken off every
+ * run, and the floor below which the times can't be told from noise.
+ */
+function CalibrationSummary({ calibration }) {
+    const overheads = calibration.overheads.map((entry) => entry.overheadMs);
+    const low = Math.min(...overheads);
+    const high = Math.max(...overheads);
+    return (
+        <>
+            <p>
+                <strong>Timer Calibration:</strong> resolution {formatMs(calibration.timerResolutionMs)}, harness overhead
+                {' '}{low === high ? formatMs(low) : `${formatMs(low)} to ${formatMs(high)}`} per call (subtracted), floor {formatMs(calibration.floorMs)}
+            </p>
+            {calibration.unresolvedSizes.length > 0 && (
+                <p className="cases-warning">
+                    Below the floor at n = {calibration.unresolvedSizes.join(', ')}: those times can't be told apart
+                    from timer noise. Counting operations measures such fast calls exactly.
+                </p>
+            )}
+        </>
+    );
+}
+
+/**
+ * A running job's progress bar and the table of the input sizes measured so far.
+ */
+function JobProgress({ progress, livePoints }) {
+    let status = 'Waiting for the first input size...';
+    if (progress && progress.total) {
+        status = `${progress.completed} of ${progress.total} input sizes measured`;
+    } else if (progress) {
+        status = `${progress.completed} input sizes measured, ${Math.round(progress.fraction * 100)}% of the time budget used`;
+    }
+
+    const metric = livePoints.length > 0 ? measuredMetric(livePoints[0]) : null;
+    const digits = metric === 'time' ? 4 : 0;
+
+    return (
+        <div className="job-progress">
+            <progress value={progress ? progress.fraction : 0} max="1" />
+            <p>{status}</p>
+            {livePoints.length > 0 && (
+                <div className="cases">
+                    <table>
+                        <thead>
+                            <tr>
+                                {livePoints[0].series && <th>Series</th>}
+                                <th>n</th>
+                                {livePoints[0].m !== undefined && <th>m</th>}
+                                <th>{metric === 'time' ? 'Time (ms)' : 'Operations'}</th>
+                                <th>± Std Dev</th>
+                                <th>Runs</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {livePoints.map((point, i) => (
+                                <tr key={i}>
+                                    {point.series && <td>{point.series}</td>}
+                                    <td>{point.n}</td>
+                                    {point.m !== undefined && <td>{point.m}</td>}
+                                    <td>{point[metric].toFixed(digits)}</td>
+                                    <td>{point.dispersion[metric].stdDev.toFixed(digits)}</td>
+                                    <td>{point.dispersion[metric].count}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Describes where two compared implementations swap places as the faster one.
+ */
+function describeCrossover({ implementations: [a, b], n, fasterBelow, fasterAbove, extrapolated }) {
+    if (n === null) {
+        return `${a} vs ${b}: no crossover, ${fasterBelow} is faster at every measured size.`;
+    }
+    const where = extrapolated ? 'beyond the measured sizes (extrapolated from the fitted models)' : 'within the measured sizes';
+    return `${a} vs ${b}: crossover near n=${n}, ${where}. ${fasterBelow} is faster below it, ${fasterAbove} above it.`;
+}
+
+// The report formats the server exports, by query value.
+const reportFormats = [
+    ['json', 'JSON'],
+    ['csv', 'CSV'],
+    ['markdown', 'Markdown'],
+    ['svg', 'SVG'],
+    ['html', 'HTML'],
+];
+
+/**
+ * Download links for the result as a report, rendered by the server from its history record.
+ * Nothing is shown if the result couldn't be recorded.
+ */
+function ReportDownloads({ historyId }) {
+    if (!historyId) return null;
+    return (
+        <div className="report-downloads">
+            <span>Download report:</span>
+            {reportFormats.map(([format, label]) => (
+                <a key={format} className="secondary-button" href={`${apiBase}/history/${historyId}/export?format=${format}`} download>
+                    {label}
+                </a>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * The results of a comparison: each implementation's Big O, the speed-up over the baseline at
+ * each size, the crossovers, and one chart with every implementation and its best fit overlaid.
+ */
+function ComparisonResults({ result }) {
+    const { comparison, measure } = result;
+    const others = comparison.implementations.filter((impl) => impl.name !== comparison.baseline);
+    const bestFits = comparison.implementations.map((impl) => ({
+        ...impl.models.find((model) => model.type === impl.bigO),
+        label: `${impl.name}: ${impl.bigO}`,
+    }));
+
+    return (
+        <>
+            <div className="cases">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Implementation</th>
+                            <th>Big O</th>
+                            <th>Confidence</th>
+                            <th>Empirical Exponent</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {comparison.implementations.map((impl) => (
+                            <tr key={impl.name}>
+                                <td>{impl.name}</td>
+                                <td>{impl.bigO}</td>
+                                <td>{impl.confidence}%</td>
+                                <td>{impl.exponent !== null ? <>n<sup>{impl.exponent}</sup></> : '-'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="cases">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>n</th>
+                            {others.map((impl) => <th key={impl.name}>{impl.name} vs {comparison.baseline}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {comparison.speedups.map(({ n, ratios }) => (
+                            <tr key={n}>
+                                <td>{n}</td>
+                                {others.map((impl) => <td key={impl.name}>{ratios[impl.name].toFixed(2)}x</td>)}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <p>Speed-up over {comparison.baseline}: above 1x is faster.</p>
+            </div>
+            <ul className="crossovers">
+                {comparison.crossovers.map((crossover) => (
+                    <li key={crossover.implementations.join(' vs ')}>{describeCrossover(crossover)}</li>
+                ))}
+            </ul>
+            <ComplexityChart
+                title={`${metricLabels[measure].title} - Comparison`}
+                series={result.series}
+                models={bestFits}
+                initiallyVisible={bestFits.map((model) => model.label)}
+                metric={measure}
+                axisLabel={metricLabels[measure].axis}
+                fileName="comparison.png"
+            />
+        </>
+    );
+}
+
 function App() {
-    const [state, dispatch] = useReducer(reducer, initialState);
+    const [state, dispatch] = useReducer(reducer, initialState, initState);
+    const { workspace, result, error, isLoading, isBigOVisible, isHistoryOpen, isGraderOpen, jobId, progress, livePoints } = state;
     const {
         code,
         algoName,
         inputMode,
+        params,
+        comparisons,
         growthStrategy,
         useSuperRange,
+        caseAnalysis,
+        measure,
         powersOf10Count,
         doublingStart,
         doublingCount,
         linearStart,
         linearEnd,
         linearStep,
-        result,
-        error,
-        isLoading,
-        isBigOVisible,
-    } = state;
+        gridNSizes,
+        gridMSizes,
+        budgetSeconds,
+    } = activeSnippetOf(workspace);
+    // The open event stream of the running job, if any.
+    const eventsRef = useRef(null);
+
+    useEffect(() => () => {
+        if (eventsRef.current) eventsRef.current.close();
+    }, []);
+
+    // Every edit is autosaved, so a reload picks up where it left off.
+    useEffect(() => {
+        saveWorkspace(workspace);
+    }, [workspace]);
 
     const setField = (field, value) => {
         dispatch({ type: 'SET_FIELD', field, value });
     };
 
+    const formatFailure = (failure) => {
+        const label = failureLabels[failure.reason];
+        return label ? `${label}: ${failure.error}` : failure.error;
+    };
+
+    /**
+     * Follows a submitted job over Server-Sent Events until it finishes, feeding the progress bar
+     * and the live table as each input size completes.
+     */
+    const followJob = (id) => {
+        const events = new EventSource(`${apiBase}/jobs/${id}/events`);
+        eventsRef.current = events;
+        const finish = (action) => {
+            events.close();
+            eventsRef.current = null;
+            dispatch(action);
+        };
+
+        events.addEventListener('snapshot', (e) => dispatch({ type: 'JOB_SNAPSHOT', payload: JSON.parse(e.data) }));
+        events.addEventListener('progress', (e) => dispatch({ type: 'JOB_PROGRESS', payload: JSON.parse(e.data) }));
+        events.addEventListener('done', (e) => finish({ type: 'ANALYSIS_SUCCESS', payload: JSON.parse(e.data).result }));
+        events.addEventListener('failed', (e) => finish({ type: 'ANALYSIS_ERROR', payload: formatFailure(JSON.parse(e.data).error) }));
+        events.addEventListener('cancelled', () => finish({ type: 'ANALYSIS_CANCELLED' }));
+        events.onerror = () => {
+            // The browser reconnects on its own unless the stream is gone for good.
+            if (events.readyState === EventSource.CLOSED) {
+                finish({ type: 'ANALYSIS_ERROR', payload: 'Lost the connection to the server.' });
+            }
+        };
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([serializeWorkspace(workspace)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'big-o-workspace.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    const handleImport = async (file) => {
+        if (!window.confirm('Importing replaces every snippet in the current workspace. Continue?')) return;
+        try {
+            dispatch({ type: 'IMPORT_WORKSPACE', payload: parseWorkspace(await file.text()) });
+        } catch (err) {
+            dispatch({ type: 'SET_FIELD', field: 'error', value: `Could not import the workspace: ${err.message}` });
+        }
+    };
+
+    const handleCancel = async () => {
+        try {
+            await fetch(`${apiBase}/jobs/${jobId}/cancel`, { method: 'POST' });
+        } catch (err) {
+            dispatch({ type: 'ANALYSIS_ERROR', payload: 'Failed to connect to the server.' });
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         dispatch({ type: 'START_ANALYSIS' });
@@ -96,15 +557,45 @@ function App() {
                         inputSizes.push(i);
                     }
                     break;
+                case 'grid':
+                    inputSizes = parseSizeList(gridNSizes);
+                    break;
+                case 'adaptive':
+                    // The server picks the sizes itself.
+                    inputSizes = undefined;
+                    break;
                 default:
                     inputSizes = [10, 100, 1000, 10000];
             }
         }
 
-        const payload = { code, algoName, inputMode, inputSizes };
+        const isComparison = comparisons.length > 0;
+        const payload = {
+            algoName,
+            inputMode,
+            inputSizes,
+            params: toParamSpecs(params),
+            caseAnalysis: caseAnalysis && inputMode === 'array' && !isComparison,
+            measure,
+        };
+        if (isComparison) {
+            // The main editor is the baseline, named after the algorithm.
+            payload.implementations = [{ name: algoName, code }, ...comparisons];
+        } else {
+            payload.code = code;
+        }
+        const isGrid = !useSuperRange && growthStrategy === 'grid';
+        if (isGrid) {
+            payload.mSizes = parseSizeList(gridMSizes);
+            payload.caseAnalysis = false;
+        }
+        if (!useSuperRange && growthStrategy === 'adaptive') {
+            payload.budgetMs = Math.round(budgetSeconds * 1000);
+            payload.caseAnalysis = false;
+        }
 
         try {
-            const response = await fetch('http://localhost:3001/api/analyze', {
+            const response = await fetch(`${apiBase}/jobs`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(payload)
@@ -113,9 +604,10 @@ function App() {
             const data = await response.json();
 
             if (response.ok) {
-                dispatch({ type: 'ANALYSIS_SUCCESS', payload: data });
+                dispatch({ type: 'JOB_STARTED', payload: data.id });
+                followJob(data.id);
             } else {
-                dispatch({ type: 'ANALYSIS_ERROR', payload: data.error });
+                dispatch({ type: 'ANALYSIS_ERROR', payload: formatFailure(data) });
             }
         } catch (err) {
             dispatch({ type: 'ANALYSIS_ERROR', payload: 'Failed to connect to the server.' });
@@ -125,9 +617,38 @@ function App() {
     return (
         <div className="App">
             <header className="App-header">
+                <button type="button" className="secondary-button grader-toggle" onClick={() => setField('isGraderOpen', !isGraderOpen)}>
+                    {isGraderOpen ? 'Analyzer' : 'Problems'}
+                </button>
                 <h1>Big O Calculator</h1>
+                <button type="button" className="secondary-button history-toggle" onClick={() => setField('isHistoryOpen', !isHistoryOpen)}>
+                    {isHistoryOpen ? 'Hide History' : 'History'}
+                </button>
             </header>
-            <main>
+            {isHistoryOpen && (
+                <HistorySidebar
+                    apiBase={apiBase}
+                    refreshKey={result && result.historyId}
+                    onOpen={(record) => dispatch({ type: 'SHOW_RECORD', payload: record })}
+                    onLoadCode={(record) => dispatch({ type: 'LOAD_RECORD', payload: record })}
+                />
+            )}
+            {isGraderOpen && (
+                <main>
+                    <ProblemGrader apiBase={apiBase} />
+                </main>
+            )}
+            <main hidden={isGraderOpen}>
+                <WorkspaceTabs
+                    snippets={workspace.snippets}
+                    activeId={workspace.activeId}
+                    onSelect={(id) => dispatch({ type: 'SELECT_SNIPPET', id })}
+                    onAdd={() => dispatch({ type: 'ADD_SNIPPET' })}
+                    onDuplicate={() => dispatch({ type: 'DUPLICATE_SNIPPET' })}
+                    onRemove={(id) => dispatch({ type: 'REMOVE_SNIPPET', id })}
+                    onExport={handleExport}
+                    onImport={handleImport}
+                />
                 <form onSubmit={handleSubmit}>
                     <div className="form-group">
                         <label htmlFor="algoName">Algorithm Name</label>
@@ -140,7 +661,7 @@ function App() {
                         />
                     </div>
                     <div className="form-group">
-                        <label htmlFor="codeInput">Code</label>
+                        <label htmlFor="codeInput">{comparisons.length > 0 ? 'Code (baseline)' : 'Code'}</label>
                         <CodeMirror
                             className="code-editor-wrapper"
                             id="codeInput"
@@ -150,6 +671,34 @@ function App() {
                             theme={gruvboxDark}
                         />
                     </div>
+                    {comparisons.map((pane, index) => (
+                        <div className="form-group comparison-pane" key={index}>
+                            <label htmlFor={`comparisonName${index}`}>Compared Implementation #{index + 2}</label>
+                            <div className="param-row">
+                                <input
+                                    id={`comparisonName${index}`}
+                                    type="text"
+                                    placeholder="Name, e.g. optimized"
+                                    value={pane.name}
+                                    onChange={(e) => dispatch({ type: 'UPDATE_COMPARISON', index, changes: { name: e.target.value } })}
+                                    required
+                                />
+                                <button type="button" className="secondary-button" onClick={() => dispatch({ type: 'REMOVE_COMPARISON', index })}>
+                                    Remove
+                                </button>
+                            </div>
+                            <CodeMirror
+                                className="code-editor-wrapper"
+                                value={pane.code}
+                                extensions={[javascript({ jsx: true })]}
+                                onChange={(value) => dispatch({ type: 'UPDATE_COMPARISON', index, changes: { code: value } })}
+                                theme={gruvboxDark}
+                            />
+                        </div>
+                    ))}
+                    <button type="button" className="secondary-button" onClick={() => dispatch({ type: 'ADD_COMPARISON' })}>
+                        Add Implementation to Compare
+                    </button>
                     <div className="form-group">
                         <fieldset>
                             <legend>Input Mode</legend>
@@ -171,8 +720,68 @@ function App() {
                                 />
                                 Number
                             </label>
+                            <label>
+                                <input
+                                    type="radio"
+                                    value="custom"
+                                    checked={inputMode === 'custom'}
+                                    onChange={(e) => {
+                                        setField('inputMode', e.target.value);
+                                        if (!code.includes('generateInput')) {
+                                            setField('code', code + generatorTemplate);
+                                        }
+                                    }}
+                                />
+                                Custom (generateInput)
+                            </label>
+                        </fieldset>
+                    </div>
+                    <div className="form-group">
+                        <fieldset className="params-fieldset">
+                            <legend>Parameters</legend>
+                            {params.map((param, index) => (
+                                <div className="param-row" key={index}>
+                                    <span className="param-label">#{index + 1}</span>
+                                    <select
+                                        value={param.kind}
+                                        onChange={(e) => dispatch({ type: 'UPDATE_PARAM', index, changes: { kind: e.target.value } })}
+                                    >
+                                        <option value="scaling">Scaling input (grows with n)</option>
+                                        <option value="scaling-m">Scaling input (grows with m, grid only)</option>
+                                        <option value="fixed">Fixed value</option>
+                                        <option value="derived">Derived from input</option>
+                                    </select>
+                                    {param.kind !== 'scaling' && param.kind !== 'scaling-m' && (
+                                        <input
+                                            type="text"
+                                            value={param.value}
+                                            placeholder={param.kind === 'fixed' ? 'JSON value, e.g. -1' : 'e.g. input[input.length - 1] + input[input.length - 2]'}
+                                            onChange={(e) => dispatch({ type: 'UPDATE_PARAM', index, changes: { value: e.target.value } })}
+                                        />
+                                    )}
+                                    {params.length > 1 && (
+                                        <button type="button" className="secondary-button" onClick={() => dispatch({ type: 'REMOVE_PARAM', index })}>
+                                            Remove
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                            <button type="button" className="secondary-button" onClick={() => dispatch({ type: 'ADD_PARAM' })}>
+                                Add Parameter
+                            </button>
                         </fieldset>
                     </div>
+                    <div className="form-group">
+                        <label htmlFor="measure">Measure</label>
+                        <select
+                            id="measure"
+                            value={measure}
+                            onChange={(e) => setField('measure', e.target.value)}
+                        >
+                            <option value="time">Wall-Clock Time</option>
+                            <option value="operations">Operation Count (deterministic)</option>
+                        </select>
+                    </div>
                     <div className="form-group">
                         <label htmlFor="growthStrategy">Growth Strategy</label>
                         <select
@@ -184,6 +793,8 @@ function App() {
                             <option value="powersOf10">Powers of 10</option>
                             <option value="doubling">Doubling</option>
                             <option value="linear">Linear</option>
+                            <option value="grid">Two-Variable Grid (n × m)</option>
+                            <option value="adaptive">Automatic (time budget)</option>
                         </select>
                     </div>
 
@@ -253,6 +864,42 @@ function App() {
                                     </div>
                                 </>
                             )}
+                            {growthStrategy === 'grid' && (
+                                <>
+                                    <div className="form-group">
+                                        <label htmlFor="gridNSizes">n Sizes</label>
+                                        <input
+                                            id="gridNSizes"
+                                            type="text"
+                                            value={gridNSizes}
+                                            onChange={(e) => setField('gridNSizes', e.target.value)}
+                                        />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="gridMSizes">m Sizes</label>
+                                        <input
+                                            id="gridMSizes"
+                                            type="text"
+                                            value={gridMSizes}
+                                            onChange={(e) => setField('gridMSizes', e.target.value)}
+                                        />
+                                    </div>
+                                </>
+                            )}
+                            {growthStrategy === 'adaptive' && (
+                                <div className="form-group">
+                                    <label htmlFor="budgetSeconds">Time Budget (seconds)</label>
+                                    <input
+                                        id="budgetSeconds"
+                                        type="number"
+                                        min="0.5"
+                                        max="60"
+                                        step="0.5"
+                                        value={budgetSeconds}
+                                        onChange={(e) => setField('budgetSeconds', parseFloat(e.target.value))}
+                                    />
+                                </div>
+                            )}
                         </div>
                     )}
                     
@@ -266,16 +913,43 @@ function App() {
                             High Precision (Super Range)
                         </label>
                     </div>
+                    <div className="form-group">
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={caseAnalysis && inputMode === 'array' && comparisons.length === 0}
+                                disabled={inputMode !== 'array' || comparisons.length > 0}
+                                onChange={(e) => setField('caseAnalysis', e.target.checked)}
+                            />
+                            Best / Average / Worst Case (sorted, reversed, random, duplicates, nearly sorted)
+                        </label>
+                    </div>
                     <button type="submit" disabled={isLoading}>
                         {isLoading ? 'Analyzing...' : 'Analyze'}
                     </button>
+                    {jobId && (
+                        <button type="button" className="secondary-button" onClick={handleCancel}>
+                            Cancel
+                        </button>
+                    )}
                 </form>
 
+                {isLoading && <JobProgress progress={progress} livePoints={livePoints} />}
+
                 {error && <div className="error">{error}</div>}
 
-                {result && (
+                {result && result.comparison && (
+                    <div className="results">
+                        <h2>Results</h2>
+                        <ReportDownloads historyId={result.historyId} />
+                        <ComparisonResults result={result} />
+                    </div>
+                )}
+
+                {result && !result.comparison && (
                     <div className="results">
                         <h2>Results</h2>
+                        <ReportDownloads historyId={result.historyId} />
                         {isBigOVisible ? (
                             <p><strong>Big O:</strong> {result.bigO}</p>
                         ) : (
@@ -283,9 +957,143 @@ function App() {
                                 <strong>Big O:</strong> Low confidence in this result. Click to reveal.
                             </p>
                         )}
-                        <p><strong>Confidence:</strong> {result.confidence.toFixed(2)}%</p>
+                        <p><strong>Confidence:</strong> {result.confidence.toFixed(2)}% of bootstrap resamples pick this model</p>
                         <p><strong>RMSE:</strong> {result.rmse.toFixed(4)}</p>
-                        <img src={`data:image/png;base64,${result.graphBase64}`} alt="Complexity Graph" />
+                        {result.exponent !== null && (
+                            <p><strong>Empirical Exponent:</strong> n<sup>{result.exponent}</sup> (log-log fit)</p>
+                        )}
+                        {result.adaptive && (
+                            <p>
+                                <strong>Automatic Sizes:</strong> {result.adaptive.inputSizes.length} sizes from
+                                n={result.adaptive.inputSizes[0]} to n={result.adaptive.inputSizes[result.adaptive.inputSizes.length - 1]} in
+                                {' '}{(result.adaptive.elapsedMs / 1000).toFixed(1)}s; stopped because {stopReasons[result.adaptive.stoppedBecause]}.
+                            </p>
+                        )}
+                        {result.calibration && <CalibrationSummary calibration={result.calibration} />}
+                        {result.staticAnalysis && (
+                            <div className={`static-analysis${result.staticAnalysis.agrees === false ? ' disagrees' : ''}`}>
+                                <p><strong>Static Estimate:</strong> {result.staticAnalysis.bigO ?? 'unavailable'}</p>
+                                <ul>
+                                    {result.staticAnalysis.reasons.map((reason, i) => <li key={i}>{reason}</li>)}
+                                </ul>
+                                {result.staticAnalysis.agrees === false && (
+                                    <p className="cases-warning">
+                                        The static estimate disagrees with the measured result.
+                                    </p>
+                                )}
+                            </div>
+                        )}
+                        {result.grid && (
+                            <div className="cases">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>n \ m</th>
+                                            {result.grid.mSizes.map((m) => <th key={m}>{m}</th>)}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.grid.nSizes.map((n) => (
+                                            <tr key={n}>
+                                                <th>{n}</th>
+                                                {result.grid.mSizes.map((m) => {
+                                                    const point = result.grid.dataPoints.find((p) => p.n === n && p.m === m);
+                                                    return <td key={m}>{point ? point[result.measure].toFixed(result.measure === 'time' ? 4 : 0) : '-'}</td>;
+                                                })}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                        {result.cases && (
+                            <div className="cases">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Case</th>
+                                            <th>Input</th>
+                                            <th>Big O</th>
+                                            <th>Confidence</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {['best', 'average', 'worst'].map((name) => (
+                                            <tr key={name}>
+                                                <td>{name}</td>
+                                                <td>{result.cases[name].distribution}</td>
+                                                <td>{result.cases[name].bestFit}</td>
+                                                <td>{result.cases[name].confidence}%</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {result.cases.casesDisagree && (
+                                    <p className="cases-warning">
+                                        The cases disagree: this algorithm's complexity depends on the order of its input.
+                                    </p>
+                                )}
+                            </div>
+                        )}
+                        {result.models && (
+                            <div className="cases">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Model</th>
+                                            <th>ΔBIC</th>
+                                            <th>AIC</th>
+                                            <th>RMSE</th>
+                                            <th>Picked in Resamples</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.models.map((model) => (
+                                            <tr key={model.type}>
+                                                <td>{model.type}</td>
+                                                <td>{model.deltaBic.toFixed(1)}</td>
+                                                <td>{model.aic.toFixed(1)}</td>
+                                                <td>{model.rmse.toFixed(4)}</td>
+                                                <td>{Math.round(model.bootstrapShare * 100)}%</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                        {result.grid ? (
+                            <GridHeatmap grid={result.grid} bigO={result.bigO} metric={result.measure} fileName="complexity-grid.png" />
+                        ) : (
+                            <ComplexityChart
+                                title={`${metricLabels[result.measure].title} - Detected: ${result.bigO}`}
+                                series={result.series}
+                                models={result.models}
+                                initiallyVisible={[result.bigO]}
+                                metric={result.measure}
+                                axisLabel={metricLabels[result.measure].axis}
+                                fileName="complexity.png"
+                            />
+                        )}
+                        {result.space && (
+                            <div className="space-results">
+                                <h3>Space</h3>
+                                <p><strong>Space:</strong> {result.space.bigO}</p>
+                                <p><strong>Confidence:</strong> {result.space.confidence.toFixed(2)}%</p>
+                                <p><strong>RMSE:</strong> {result.space.rmse.toFixed(4)}</p>
+                                {result.space.exponent !== null && (
+                                    <p><strong>Empirical Exponent:</strong> n<sup>{result.space.exponent}</sup> (log-log fit)</p>
+                                )}
+                                <ComplexityChart
+                                    title={`${metricLabels.memory.title} - Detected: ${result.space.bigO}`}
+                                    series={[{ label: 'Peak Extra Heap (bytes)', dataPoints: result.dataPoints }]}
+                                    models={result.space.models}
+                                    initiallyVisible={[result.space.bigO]}
+                                    metric="memory"
+                                    axisLabel={metricLabels.memory.axis}
+                                    fileName="space-complexity.png"
+                                />
+                            </div>
+                        )}
                     </div>
                 )}
             </main>
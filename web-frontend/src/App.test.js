@@ -0,0 +1,73 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import App from './App';
+
+// A grid sweep as the server saves it in the history: the result without its PNG charts.
+const gridRecord = {
+    id: 'grid-1',
+    createdAt: '2026-10-19T12:00:00.000Z',
+    algoName: 'matrixWalk',
+    code: 'function functionToTest(rows, columns) { return rows.length * columns.length; }',
+    implementations: null,
+    inputMode: 'array',
+    inputSizes: [10, 20],
+    mSizes: [10, 20],
+    budgetMs: null,
+    params: [{ kind: 'scaling' }, { kind: 'scaling', dimension: 'm' }],
+    measure: 'operations',
+    caseAnalysis: false,
+    bigO: 'O(n·m)',
+    result: {
+        bigO: 'O(n·m)',
+        confidence: 100,
+        rmse: 0,
+        exponent: null,
+        models: [],
+        measure: 'operations',
+        dataPoints: [],
+        series: null,
+        cases: null,
+        grid: {
+            nSizes: [10, 20],
+            mSizes: [10, 20],
+            dataPoints: [
+                { n: 10, m: 10, operations: 100 },
+                { n: 10, m: 20, operations: 200 },
+                { n: 20, m: 10, operations: 200 },
+                { n: 20, m: 20, operations: 400 },
+            ],
+        },
+        adaptive: null,
+        comparison: null,
+        graphBase64: null,
+        space: null,
+        spaceGraphBase64: null,
+        staticAnalysis: null,
+        calibration: null,
+    },
+};
+
+const respond = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+beforeEach(() => {
+    window.localStorage.clear();
+    global.fetch = jest.fn((url) => {
+        if (url.includes('/history/grid-1')) return respond(gridRecord);
+        if (url.includes('/history')) {
+            const { id, createdAt, algoName, inputMode, measure, inputSizes, bigO } = gridRecord;
+            return respond({ entries: [{ id, createdAt, algoName, inputMode, measure, inputSizes, bigO }] });
+        }
+        if (url.includes('/problems')) return respond({ problems: [] });
+        return respond({});
+    });
+});
+
+test('reopening a saved grid analysis draws its heatmap from the data points', async () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'History' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Open' }));
+
+    expect(await screen.findByRole('img', { name: 'Heatmap of 4 grid cells' })).toBeTruthy();
+    expect(document.querySelector('img[src$="base64,null"]')).toBeNull();
+    // The cells' values are in the grid table as well.
+    expect(screen.getAllByText('400').length).toBeGreaterThan(0);
+});
@@ -0,0 +1,189 @@
+import React, { useRef, useState } from 'react';
+import {
+    Chart as ChartJS,
+    LinearScale,
+    LogarithmicScale,
+    PointElement,
+    LineElement,
+    Tooltip,
+    Legend,
+    Title,
+} from 'chart.js';
+import { Scatter } from 'react-chartjs-2';
+
+ChartJS.register(LinearScale, LogarithmicScale, PointElement, LineElement, Tooltip, Legend, Title);
+ChartJS.defaults.color = 'white';
+
+// Colors for the measured series, the first one being the original purple accent (as on the server's charts).
+const seriesColors = [
+    [177, 98, 134],
+    [131, 165, 152],
+    [250, 189, 47],
+    [184, 187, 38],
+    [254, 128, 25],
+    [211, 134, 155],
+];
+
+// Colors for the fitted model overlays, drawn as dashed lines.
+const modelColors = ['#03dac6', '#bb86fc', '#fe8019', '#fabd2f', '#8ec07c', '#fb4934', '#83a598', '#d3869b'];
+
+// Paints the dark surface color behind the chart, so a downloaded PNG isn't transparent.
+const canvasBackgroundPlugin = {
+    id: 'canvasBackground',
+    beforeDraw: (chart) => {
+        const { ctx } = chart;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+    },
+};
+
+/**
+ * Formats a measurement for a tooltip: time with four decimals, counts as whole numbers.
+ */
+function formatValue(value, metric) {
+    return metric === 'time' ? value.toFixed(4) : Math.round(value).toLocaleString();
+}
+
+// The name a model goes by in the chart: its own label if it has one, e.g. in a comparison, or its type.
+const labelOf = (model) => model.label || model.type;
+
+/**
+ * An interactive chart of measured data points with the fitted models drawn over them.
+ * Each model in `models` can be toggled on and off, either axis can
+ * switch between linear and log scales, hovering a point shows its measurement and spread,
+ * and the chart as shown can be downloaded as a PNG.
+ * @param {object} props
+ * @param {string} props.title
+ * @param {Array<{label: string, dataPoints: Array<object>}>} props.series The measured points, one series per input distribution or implementation.
+ * @param {Array<{type: string, label?: string, curve: Array<{n: number, value: number}>}>} props.models
+ *   The fitted models from the API, optionally labeled.
+ * @param {Array<string>} props.initiallyVisible The models drawn at first, by label (or type), e.g. the best fit.
+ * @param {string} props.metric 'time', 'operations' or 'memory'.
+ * @param {string} props.axisLabel The y-axis title.
+ * @param {string} props.fileName The downloaded PNG's name.
+ */
+function ComplexityChart({ title, series, models, initiallyVisible, metric, axisLabel, fileName }) {
+    const chartRef = useRef(null);
+    const [visibleModels, setVisibleModels] = useState(initiallyVisible);
+    const [xScale, setXScale] = useState('logarithmic');
+    const [yScale, setYScale] = useState('linear');
+
+    const toggleModel = (label) => {
+        setVisibleModels((visible) => (visible.includes(label) ? visible.filter((l) => l !== label) : [...visible, label]));
+    };
+
+    const handleDownload = () => {
+        const link = document.createElement('a');
+        link.href = chartRef.current.toBase64Image();
+        link.download = fileName;
+        link.click();
+    };
+
+    const data = {
+        datasets: [
+            ...series.map((entry, i) => {
+                const color = seriesColors[i % seriesColors.length].join(', ');
+                return {
+                    label: entry.label,
+                    data: entry.dataPoints.map((point) => ({ x: point.n, y: point[metric], point })),
+                    borderColor: `rgb(${color})`,
+                    backgroundColor: `rgba(${color}, 0.5)`,
+                    pointRadius: 4,
+                    pointHoverRadius: 6,
+                };
+            }),
+            ...models
+                .filter((model) => visibleModels.includes(labelOf(model)))
+                .map((model) => {
+                    const color = modelColors[models.indexOf(model) % modelColors.length];
+                    return {
+                        label: `${labelOf(model)} fit`,
+                        data: model.curve.map(({ n, value }) => ({ x: n, y: value })),
+                        showLine: true,
+                        borderColor: color,
+                        backgroundColor: color,
+                        borderDash: [6, 4],
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHitRadius: 4,
+                        model: labelOf(model),
+                    };
+                }),
+        ],
+    };
+
+    const tooltipLabel = (context) => {
+        const { point } = context.raw;
+        if (!point) {
+            return `${context.dataset.model}: ${formatValue(context.parsed.y, metric)} at n=${Math.round(context.parsed.x)}`;
+        }
+        const lines = [`${context.dataset.label}: ${formatValue(point[metric], metric)} at n=${point.n}`];
+        const dispersion = point.dispersion && point.dispersion[metric];
+        if (dispersion) {
+            lines.push(`± ${formatValue(dispersion.stdDev, metric)} std dev over ${dispersion.count} runs`);
+        }
+        return lines;
+    };
+
+    const options = {
+        animation: false,
+        plugins: {
+            title: { display: true, text: title },
+            tooltip: { callbacks: { label: tooltipLabel } },
+        },
+        scales: {
+            x: {
+                type: xScale,
+                title: { display: true, text: 'Input Size (n)' },
+                grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            },
+            y: {
+                type: yScale,
+                title: { display: true, text: axisLabel },
+                grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            },
+        },
+    };
+
+    const scaleToggle = (axis, scale, setScale) => (
+        <label>
+            <input
+                type="checkbox"
+                checked={scale === 'logarithmic'}
+                onChange={(e) => setScale(e.target.checked ? 'logarithmic' : 'linear')}
+            />
+            Log {axis}
+        </label>
+    );
+
+    return (
+        <div className="complexity-chart">
+            <Scatter ref={chartRef} data={data} options={options} plugins={[canvasBackgroundPlugin]} />
+            <div className="chart-controls">
+                <span className="chart-controls-label">Models:</span>
+                {models.map((model) => (
+                    <label key={labelOf(model)}>
+                        <input
+                            type="checkbox"
+                            checked={visibleModels.includes(labelOf(model))}
+                            onChange={() => toggleModel(labelOf(model))}
+                        />
+                        {labelOf(model)}
+                    </label>
+                ))}
+            </div>
+            <div className="chart-controls">
+                {scaleToggle('x', xScale, setXScale)}
+                {scaleToggle('y', yScale, setYScale)}
+                <button type="button" className="secondary-button" onClick={handleDownload}>
+                    Download PNG
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ComplexityChart;
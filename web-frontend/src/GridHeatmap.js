@@ -0,0 +1,135 @@
+import React, { useRef } from 'react';
+import { Chart as ChartJS, LinearScale, PointElement, Tooltip, Title } from 'chart.js';
+import { Scatter } from 'react-chartjs-2';
+
+ChartJS.register(LinearScale, PointElement, Tooltip, Title);
+
+// Paints the dark surface color behind the chart, so a downloaded PNG isn't transparent.
+const canvasBackgroundPlugin = {
+    id: 'canvasBackground',
+    beforeDraw: (chart) => {
+        const { ctx } = chart;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+    },
+};
+
+/**
+ * Formats a measurement for a cell: time to three significant digits, counts as whole numbers.
+ */
+function formatValue(value, metric) {
+    return metric === 'time' ? value.toPrecision(3) : Math.round(value).toLocaleString();
+}
+
+/**
+ * A heatmap of a two-variable grid sweep, drawn from its data points: one square cell per (n, m)
+ * pair, colored from cool (fast) to warm (slow) on a log scale, with the measurement printed
+ * inside, as the server draws it. The chart as shown can be downloaded as a PNG.
+ * @param {object} props
+ * @param {{nSizes: Array<number>, mSizes: Array<number>, dataPoints: Array<object>}} props.grid From the API's `grid`.
+ * @param {string} props.bigO The detected complexity, shown in the title.
+ * @param {string} props.metric 'time' or 'operations'.
+ * @param {string} props.fileName The downloaded PNG's name.
+ */
+function GridHeatmap({ grid, bigO, metric, fileName }) {
+    const chartRef = useRef(null);
+    const { nSizes, mSizes, dataPoints } = grid;
+
+    const logValues = dataPoints.map((point) => Math.log10(Math.max(point[metric], 1e-6)));
+    const minLog = Math.min(...logValues);
+    const span = (Math.max(...logValues) - minLog) || 1;
+    const cellColor = (value) => {
+        const t = (Math.log10(Math.max(value, 1e-6)) - minLog) / span;
+        return `hsl(${Math.round(260 - t * 220)}, 70%, ${Math.round(35 + t * 20)}%)`;
+    };
+    const cellRadius = (context) => {
+        const { chartArea } = context.chart;
+        if (!chartArea) return 10;
+        return Math.min(chartArea.width / nSizes.length, chartArea.height / mSizes.length) / 2 - 2;
+    };
+    const indexAxis = (sizes, label) => ({
+        type: 'linear',
+        min: -0.5,
+        max: sizes.length - 0.5,
+        title: { display: true, text: label },
+        ticks: { stepSize: 1, callback: (value) => sizes[value] },
+        grid: { color: 'rgba(255, 255, 255, 0.1)' },
+    });
+
+    const cellLabelsPlugin = {
+        id: 'cellLabels',
+        afterDatasetsDraw: (chart) => {
+            const { ctx } = chart;
+            ctx.save();
+            ctx.fillStyle = 'white';
+            ctx.font = '11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            chart.getDatasetMeta(0).data.forEach((element, i) => {
+                ctx.fillText(formatValue(dataPoints[i][metric], metric), element.x, element.y);
+            });
+            ctx.restore();
+        },
+    };
+
+    const data = {
+        datasets: [{
+            data: dataPoints.map((point) => ({ x: nSizes.indexOf(point.n), y: mSizes.indexOf(point.m), point })),
+            pointStyle: 'rect',
+            pointRadius: cellRadius,
+            pointHoverRadius: cellRadius,
+            backgroundColor: dataPoints.map((point) => cellColor(point[metric])),
+            borderColor: dataPoints.map((point) => cellColor(point[metric])),
+        }],
+    };
+
+    const options = {
+        animation: false,
+        plugins: {
+            title: { display: true, text: `Two-Variable Complexity Analysis - Detected: ${bigO}` },
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    label: (context) => {
+                        const { point } = context.raw;
+                        return `n=${point.n}, m=${point.m}: ${formatValue(point[metric], metric)}`;
+                    },
+                },
+            },
+        },
+        scales: {
+            x: indexAxis(nSizes, 'Input Size (n)'),
+            y: indexAxis(mSizes, 'Input Size (m)'),
+        },
+    };
+
+    const handleDownload = () => {
+        const link = document.createElement('a');
+        link.href = chartRef.current.toBase64Image();
+        link.download = fileName;
+        link.click();
+    };
+
+    return (
+        <div className="complexity-chart">
+            <Scatter
+                ref={chartRef}
+                data={data}
+                options={options}
+                plugins={[canvasBackgroundPlugin, cellLabelsPlugin]}
+                aria-label={`Heatmap of ${dataPoints.length} grid cells`}
+                role="img"
+            />
+            <div className="chart-controls">
+                <button type="button" className="secondary-button" onClick={handleDownload}>
+                    Download PNG
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default GridHeatmap;
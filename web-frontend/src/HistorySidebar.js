@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * The server's stored analyses, newest first, with a search box. Each entry can be reopened
+ * (its result shown as if it had just run) or loaded back into the editor, and deleted.
+ * @param {object} props
+ * @param {string} props.apiBase The API's base URL.
+ * @param {*} props.refreshKey The list is fetched again whenever this changes, e.g. after an analysis.
+ * @param {(record: object) => void} props.onOpen Called with the full record to show its result.
+ * @param {(record: object) => void} props.onLoadCode Called with the full record to edit its code.
+ */
+function HistorySidebar({ apiBase, refreshKey, onOpen, onLoadCode }) {
+    const [query, setQuery] = useState('');
+    const [entries, setEntries] = useState([]);
+    const [error, setError] = useState(null);
+    const [reloads, setReloads] = useState(0);
+
+    useEffect(() => {
+        let ignore = false;
+        fetch(`${apiBase}/history?q=${encodeURIComponent(query)}`)
+            .then((response) => response.json())
+            .then((data) => {
+                if (ignore) return;
+                setEntries(data.entries);
+                setError(null);
+            })
+            .catch(() => {
+                if (!ignore) setError('Failed to load the history.');
+            });
+        return () => {
+            ignore = true;
+        };
+    }, [apiBase, query, refreshKey, reloads]);
+
+    const withRecord = async (id, callback) => {
+        try {
+            const response = await fetch(`${apiBase}/history/${id}`);
+            const data = await response.json();
+            if (response.ok) {
+                setError(null);
+                callback(data);
+            } else {
+                setError(data.error);
+            }
+        } catch (err) {
+            setError('Failed to connect to the server.');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await fetch(`${apiBase}/history/${id}`, { method: 'DELETE' });
+            setReloads((count) => count + 1);
+        } catch (err) {
+            setError('Failed to connect to the server.');
+        }
+    };
+
+    return (
+        <aside className="history-sidebar">
+            <h2>History</h2>
+            <input
+                type="text"
+                placeholder="Search names, Big O or code"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+            />
+            {error && <div className="error">{error}</div>}
+            {entries.length === 0 && !error && <p>No past analyses{query && ' match'}.</p>}
+            <ul>
+                {entries.map((entry) => (
+                    <li key={entry.id}>
+                        <strong>{entry.algoName}</strong>
+                        <span>{entry.bigO}</span>
+                        <small>
+                            {new Date(entry.createdAt).toLocaleString()} · {entry.inputMode} · {entry.measure}
+                        </small>
+                        <div className="history-actions">
+                            <button type="button" className="secondary-button" onClick={() => withRecord(entry.id, onOpen)}>
+                                Open
+                            </button>
+                            <button type="button" className="secondary-button" onClick={() => withRecord(entry.id, onLoadCode)}>
+                                Load Code
+                            </button>
+                            <button type="button" className="secondary-button" onClick={() => handleDelete(entry.id)}>
+                                Delete
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </aside>
+    );
+}
+
+export default HistorySidebar;
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import CodeMirror from '@uiw/react-codemirror';
+import { javascript } from '@codemirror/lang-javascript';
+import { gruvboxDark } from '@uiw/codemirror-theme-gruvbox-dark';
+import ComplexityChart from './ComplexityChart';
+
+// The y-axis title for each measure a grade can use.
+const axisLabels = {
+    time: 'Time (ms)',
+    operations: 'Operations',
+};
+
+/**
+ * Shows a value from a test instance the way it would be written in code.
+ */
+const showValue = (value) => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+/**
+ * The outcome of a grade: correct or wrong (with the first failing instance), and the measured
+ * complexity against the problem's target, with its chart.
+ */
+function GradeResults({ grade }) {
+    const { problem, passed, correct, checked, failure, error, complexity } = grade;
+    return (
+        <div className="results">
+            <h2>Grade</h2>
+            <p className={passed ? 'grade-passed' : 'grade-failed'}>
+                <strong>{passed ? 'Passed' : 'Not passed'}</strong>
+            </p>
+            {error && <p><strong>Wrong:</strong> your solution couldn't run on the test instances. {error}</p>}
+            {failure && (
+                <div className="grade-failure">
+                    <p><strong>Wrong answer</strong> on test {checked} (n={failure.n}):</p>
+                    <pre>
+                        {`input:    ${failure.args.map(showValue).join(', ')}\nreturned: ${showValue(failure.output)}\nexpected: ${showValue(failure.expected)}`}
+                    </pre>
+                </div>
+            )}
+            {correct && <p><strong>Correct</strong> on all {checked} test instances.</p>}
+            {complexity ? (
+                <>
+                    <p>
+                        <strong>Complexity:</strong> measured {complexity.bigO}, target {problem.target}.{' '}
+                        {complexity.status === 'pass' && 'Within the target.'}
+                        {complexity.status === 'fail' && 'Worse than the target.'}
+                        {complexity.status === 'inconclusive' && 'Not reliably within the target: try measuring again.'}
+                    </p>
+                    <p>
+                        <strong>Confidence:</strong> {complexity.boundConfidence}% of bootstrap resamples are within
+                        the target ({complexity.requiredConfidence}% required)
+                    </p>
+                    <ComplexityChart
+                        title={`${problem.title} - Detected: ${complexity.bigO}`}
+                        series={[{ label: axisLabels[complexity.measure], dataPoints: complexity.analysis.dataPoints }]}
+                        models={complexity.analysis.models}
+                        initiallyVisible={[complexity.bigO]}
+                        metric={complexity.measure}
+                        axisLabel={axisLabels[complexity.measure]}
+                        fileName={`${problem.id}-grade.png`}
+                    />
+                </>
+            ) : (
+                <p><strong>Complexity:</strong> not measured (target {problem.target}).</p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * The problem catalog: pick a problem, write a solution in the editor and have the server grade
+ * it. Each problem keeps its own draft while the panel is open.
+ * @param {object} props
+ * @param {string} props.apiBase The API's base URL.
+ */
+function ProblemGrader({ apiBase }) {
+    const [problems, setProblems] = useState([]);
+    const [problemId, setProblemId] = useState(null);
+    const [drafts, setDrafts] = useState({});
+    const [measure, setMeasure] = useState('operations');
+    const [grade, setGrade] = useState(null);
+    const [error, setError] = useState(null);
+    const [isGrading, setIsGrading] = useState(false);
+
+    useEffect(() => {
+        let ignore = false;
+        fetch(`${apiBase}/problems`)
+            .then((response) => response.json())
+            .then((data) => {
+                if (ignore) return;
+                setProblems(data.problems);
+                setProblemId(data.problems[0].id);
+            })
+            .catch(() => {
+                if (!ignore) setError('Failed to load the problems.');
+            });
+        return () => {
+            ignore = true;
+        };
+    }, [apiBase]);
+
+    const problem = problems.find((p) => p.id === problemId);
+    const code = problem ? drafts[problem.id] ?? problem.starterCode : '';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsGrading(true);
+        setError(null);
+        setGrade(null);
+        try {
+            const response = await fetch(`${apiBase}/grade`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ problemId, code, measure }),
+            });
+            const data = await response.json();
+            if (response.ok) {
+                setGrade(data);
+            } else {
+                setError(data.error);
+            }
+        } catch (err) {
+            setError('Failed to connect to the server.');
+        }
+        setIsGrading(false);
+    };
+
+    return (
+        <section className="problem-grader">
+            <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label htmlFor="problem">Problem</label>
+                    <select
+                        id="problem"
+                        value={problemId ?? ''}
+                        onChange={(e) => {
+                            setProblemId(e.target.value);
+                            setGrade(null);
+                        }}
+                    >
+                        {problems.map((p) => (
+                            <option key={p.id} value={p.id}>{p.title} (target {p.target})</option>
+                        ))}
+                    </select>
+                </div>
+                {problem && <p className="problem-description">{problem.description}</p>}
+                <div className="form-group">
+                    <label htmlFor="solution">Solution</label>
+                    <CodeMirror
+                        className="code-editor-wrapper"
+                        id="solution"
+                        value={code}
+                        extensions={[javascript({ jsx: true })]}
+                        onChange={(value) => setDrafts((current) => ({ ...current, [problemId]: value }))}
+                        theme={gruvboxDark}
+                    />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="gradeMeasure">Measure</label>
+                    <select id="gradeMeasure" value={measure} onChange={(e) => setMeasure(e.target.value)}>
+                        <option value="operations">Operation Count (deterministic)</option>
+                        <option value="time">Wall-Clock Time (sees inside built-ins like indexOf)</option>
+                    </select>
+                </div>
+                <button type="submit" disabled={isGrading || !problem}>
+                    {isGrading ? 'Grading...' : 'Grade'}
+                </button>
+            </form>
+
+            {error && <div className="error">{error}</div>}
+
+            {grade && <GradeResults grade={grade} />}
+        </section>
+    );
+}
+
+export default ProblemGrader;
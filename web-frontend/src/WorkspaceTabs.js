@@ -0,0 +1,69 @@
+import React, { useRef } from 'react';
+
+/**
+ * The workspace's snippets as tabs, with actions to add, duplicate and close snippets and to
+ * export or import the whole workspace as a JSON file.
+ * @param {object} props
+ * @param {Array<{id: string, algoName: string}>} props.snippets
+ * @param {string} props.activeId The snippet shown in the editor.
+ * @param {(id: string) => void} props.onSelect
+ * @param {Function} props.onAdd
+ * @param {Function} props.onDuplicate Copies the active snippet into a new tab.
+ * @param {(id: string) => void} props.onRemove
+ * @param {Function} props.onExport
+ * @param {(file: File) => void} props.onImport Called with the picked workspace file.
+ */
+function WorkspaceTabs({ snippets, activeId, onSelect, onAdd, onDuplicate, onRemove, onExport, onImport }) {
+    const fileInputRef = useRef(null);
+
+    const handleFile = (e) => {
+        const [file] = e.target.files;
+        // Cleared so picking the same file again still fires a change.
+        e.target.value = '';
+        if (file) onImport(file);
+    };
+
+    return (
+        <div className="workspace">
+            <div className="workspace-tabs" role="tablist">
+                {snippets.map((snippet) => (
+                    <div key={snippet.id} className={`workspace-tab${snippet.id === activeId ? ' active' : ''}`}>
+                        <button
+                            type="button"
+                            role="tab"
+                            aria-selected={snippet.id === activeId}
+                            onClick={() => onSelect(snippet.id)}
+                        >
+                            {snippet.algoName || 'Untitled'}
+                        </button>
+                        <button
+                            type="button"
+                            className="workspace-tab-close"
+                            aria-label={`Close ${snippet.algoName || 'Untitled'}`}
+                            onClick={() => onRemove(snippet.id)}
+                        >
+                            ×
+                        </button>
+                    </div>
+                ))}
+                <button type="button" className="workspace-tab-add" aria-label="New snippet" onClick={onAdd}>
+                    +
+                </button>
+            </div>
+            <div className="workspace-actions">
+                <button type="button" className="secondary-button" onClick={onDuplicate}>
+                    Duplicate Snippet
+                </button>
+                <button type="button" className="secondary-button" onClick={onExport}>
+                    Export Workspace
+                </button>
+                <button type="button" className="secondary-button" onClick={() => fileInputRef.current.click()}>
+                    Import Workspace
+                </button>
+                <input ref={fileInputRef} type="file" accept=".json,application/json" hidden onChange={handleFile} />
+            </div>
+        </div>
+    );
+}
+
+export default WorkspaceTabs;
@@ -0,0 +1,115 @@
+export const functionTemplate = `/**
+* Paste your algorithm here.
+* Function name MUST be 'functionToTest'.
+*/
+function functionToTest(input) {
+  // Your code here
+}`;
+
+// Where the workspace is autosaved in the browser.
+const STORAGE_KEY = 'bigOCalculator.workspace';
+
+// Bumped when the saved format changes incompatibly.
+const WORKSPACE_VERSION = 1;
+
+/**
+ * Everything a snippet keeps: its name, code and every form setting. Snippets saved before a
+ * setting existed get its default here when loaded.
+ */
+export const snippetDefaults = {
+    algoName: '',
+    code: functionTemplate,
+    inputMode: 'array',
+    params: [{ kind: 'scaling', value: '' }],
+    // Extra editor panes, each an implementation compared against the main one.
+    comparisons: [],
+    growthStrategy: 'powersOf10',
+    useSuperRange: false,
+    caseAnalysis: false,
+    measure: 'time',
+    powersOf10Count: 4,
+    doublingStart: 1,
+    doublingCount: 10,
+    linearStart: 100,
+    linearEnd: 1000,
+    linearStep: 100,
+    gridNSizes: '100, 200, 400, 800',
+    gridMSizes: '100, 200, 400, 800',
+    budgetSeconds: 5,
+};
+
+const newSnippetId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Creates a snippet with a fresh id, filling in the default of every setting not given.
+ * @param {object} [fields] Settings to start from, e.g. a copy of another snippet.
+ */
+export function createSnippet(fields = {}) {
+    const known = Object.fromEntries(Object.entries(fields).filter(([key]) => key in snippetDefaults));
+    return { ...snippetDefaults, ...known, id: newSnippetId() };
+}
+
+/**
+ * Checks a parsed workspace and returns it with fresh snippet ids and every setting filled in.
+ * @throws {Error} If it isn't a workspace.
+ */
+function normalizeWorkspace(data) {
+    if (!data || !Array.isArray(data.snippets) || data.snippets.length === 0 ||
+        !data.snippets.every((snippet) => snippet && typeof snippet.code === 'string')) {
+        throw new Error('This file is not a workspace: it needs a non-empty "snippets" list, each with its code.');
+    }
+    if (data.version > WORKSPACE_VERSION) {
+        throw new Error('This workspace was saved by a newer version of the app.');
+    }
+    const activeIndex = Math.max(0, data.snippets.findIndex((snippet) => snippet.id === data.activeId));
+    const snippets = data.snippets.map(createSnippet);
+    return { snippets, activeId: snippets[activeIndex].id };
+}
+
+/**
+ * The autosaved workspace, or a single empty snippet if there is none (or it can't be read).
+ */
+export function loadWorkspace() {
+    try {
+        const saved = window.localStorage.getItem(STORAGE_KEY);
+        if (saved) return normalizeWorkspace(JSON.parse(saved));
+    } catch (err) {
+        console.error('Could not restore the saved workspace:', err);
+    }
+    const snippet = createSnippet();
+    return { snippets: [snippet], activeId: snippet.id };
+}
+
+/**
+ * Autosaves the workspace. A full or disabled storage only costs the autosave, so it's logged.
+ */
+export function saveWorkspace(workspace) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, serializeWorkspace(workspace));
+    } catch (err) {
+        console.error('Could not autosave the workspace:', err);
+    }
+}
+
+/**
+ * The workspace as JSON, as autosaved and exported.
+ */
+export function serializeWorkspace({ snippets, activeId }) {
+    return JSON.stringify({ version: WORKSPACE_VERSION, activeId, snippets }, null, 2);
+}
+
+/**
+ * Reads an exported workspace file.
+ * @param {string} text The file's contents.
+ * @returns {{snippets: Array<object>, activeId: string}}
+ * @throws {Error} If the file isn't JSON or isn't a workspace.
+ */
+export function parseWorkspace(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('This file is not valid JSON.');
+    }
+    return normalizeWorkspace(data);
+}